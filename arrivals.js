@@ -0,0 +1,217 @@
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+
+// Arrival processes for one approach. Each tick update(rate, deltaTime, random)
+// returns how many vehicles arrive, given the approach's current demand in veh/h.
+// Rates may change over time (demand profiles), so every process works on the
+// expected vehicle count accumulated so far rather than on fixed headways.
+// Model parameters are in seconds.
+
+// Strict metronome: one vehicle every 3600 / rate seconds
+class UniformArrivals {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.credit = 0;
+    }
+
+    update(rate, deltaTime) {
+        this.credit += rate * deltaTime / 3600000;
+        let count = 0;
+        while (this.credit >= 1) {
+            this.credit -= 1;
+            count++;
+        }
+        return count;
+    }
+
+    serialize() {
+        return { credit: this.credit };
+    }
+
+    restore(data) {
+        this.credit = data.credit;
+    }
+}
+
+// Poisson process: exponential headways. Each arrival needs an exponentially
+// distributed amount of expected vehicles, which stays exact when the rate varies.
+class PoissonArrivals {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.credit = 0;
+        this.target = null;
+    }
+
+    update(rate, deltaTime, random) {
+        if (this.target === null) {
+            this.target = utils.randomExponential(1, random);
+        }
+        this.credit += rate * deltaTime / 3600000;
+        let count = 0;
+        while (this.credit >= this.target) {
+            this.credit -= this.target;
+            this.target = utils.randomExponential(1, random);
+            count++;
+        }
+        return count;
+    }
+
+    serialize() {
+        return { credit: this.credit, target: this.target };
+    }
+
+    restore(data) {
+        this.credit = data.credit;
+        this.target = data.target;
+    }
+}
+
+// Shifted negative exponential headways: no two vehicles closer than minHeadway,
+// the remainder of the mean headway exponentially distributed
+class ShiftedExponentialArrivals {
+    constructor({ minHeadway }) {
+        this.minHeadway = minHeadway;
+        this.reset();
+    }
+
+    reset() {
+        this.sinceLast = 0;
+        this.draw = null; // Unit exponential scaling the random part of the next headway
+    }
+
+    update(rate, deltaTime, random) {
+        if (this.draw === null) {
+            this.draw = utils.randomExponential(1, random);
+        }
+        this.sinceLast += deltaTime / 1000;
+        if (rate <= 0) return 0;
+
+        // The headway follows the current rate; above capacity it is held at minHeadway
+        const headway = () => this.minHeadway + this.draw * Math.max(3600 / rate - this.minHeadway, 0);
+        let count = 0;
+        while (this.sinceLast >= headway()) {
+            this.sinceLast -= headway();
+            this.draw = utils.randomExponential(1, random);
+            count++;
+        }
+        return count;
+    }
+
+    serialize() {
+        return { sinceLast: this.sinceLast, draw: this.draw };
+    }
+
+    restore(data) {
+        this.sinceLast = data.sinceLast;
+        this.draw = data.draw;
+    }
+}
+
+// Platoons released by an upstream signal: vehicles reach the upstream stop line
+// as a Poisson stream, queue during its red and discharge at saturationHeadway
+// during its green (from offset to offset + green in every cycle)
+class PlatoonedArrivals {
+    constructor({ cycle, green, offset, saturationHeadway }) {
+        this.cycle = cycle;
+        this.green = green;
+        this.offset = offset;
+        this.saturationHeadway = saturationHeadway;
+        this.upstream = new PoissonArrivals();
+        this.reset();
+    }
+
+    reset() {
+        this.upstream.reset();
+        this.time = 0;
+        this.queue = 0;
+        this.sinceDischarge = this.saturationHeadway;
+    }
+
+    update(rate, deltaTime, random) {
+        this.queue += this.upstream.update(rate, deltaTime, random);
+        this.time += deltaTime / 1000;
+        this.sinceDischarge += deltaTime / 1000;
+
+        // Red or idle green time does not bank discharges
+        const cycleTime = ((this.time - this.offset) % this.cycle + this.cycle) % this.cycle;
+        if (cycleTime >= this.green || this.queue === 0) {
+            this.sinceDischarge = Math.min(this.sinceDischarge, this.saturationHeadway);
+            return 0;
+        }
+
+        let count = 0;
+        while (this.queue > 0 && this.sinceDischarge >= this.saturationHeadway) {
+            this.queue--;
+            this.sinceDischarge -= this.saturationHeadway;
+            count++;
+        }
+        return count;
+    }
+
+    serialize() {
+        return {
+            upstream: this.upstream.serialize(),
+            time: this.time,
+            queue: this.queue,
+            sinceDischarge: this.sinceDischarge
+        };
+    }
+
+    restore(data) {
+        this.upstream.restore(data.upstream);
+        this.time = data.time;
+        this.queue = data.queue;
+        this.sinceDischarge = data.sinceDischarge;
+    }
+}
+
+const PROCESS_CLASSES = {
+    [CONFIG.ARRIVAL_MODELS.UNIFORM]: UniformArrivals,
+    [CONFIG.ARRIVAL_MODELS.POISSON]: PoissonArrivals,
+    [CONFIG.ARRIVAL_MODELS.SHIFTED_EXPONENTIAL]: ShiftedExponentialArrivals,
+    [CONFIG.ARRIVAL_MODELS.PLATOONED]: PlatoonedArrivals
+};
+
+// Accepts a model type name or { type, ...params }; returns it with every parameter filled in
+export function normalizeArrivalModel(model) {
+    const { type, ...params } = typeof model === 'string' ? { type: model } : model;
+    return { type, ...CONFIG.DEFAULT_ARRIVAL_PARAMS[type], ...params };
+}
+
+// Returns a list of problems; empty when the model is valid
+export function validateArrivalModel(model, label = 'arrival model') {
+    const type = typeof model === 'string' ? model : model && model.type;
+    if (!PROCESS_CLASSES[type]) {
+        return [`${label} type must be one of ${Object.keys(PROCESS_CLASSES).join(', ')}`];
+    }
+
+    const errors = [];
+    const expected = Object.keys(CONFIG.DEFAULT_ARRIVAL_PARAMS[type] || {});
+    const params = typeof model === 'string' ? [] : Object.entries(model).filter(([key]) => key !== 'type');
+    params.forEach(([key, value]) => {
+        if (!expected.includes(key)) {
+            errors.push(`${label}.${key} is not a ${type} parameter${expected.length > 0 ? `; expected one of ${expected.join(', ')}` : ''}`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (key !== 'offset' && value === 0)) {
+            errors.push(`${label}.${key} must be a ${key === 'offset' ? 'non-negative' : 'positive'} number of seconds`);
+        }
+    });
+
+    if (errors.length === 0 && type === CONFIG.ARRIVAL_MODELS.PLATOONED) {
+        const { cycle, green } = normalizeArrivalModel(model);
+        if (green > cycle) {
+            errors.push(`${label}.green (${green}) must not exceed the cycle (${cycle})`);
+        }
+    }
+    return errors;
+}
+
+export function createArrivalProcess(model) {
+    const normalized = normalizeArrivalModel(model);
+    return new PROCESS_CLASSES[normalized.type](normalized);
+}
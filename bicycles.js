@@ -0,0 +1,272 @@
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { SimulationClock } from './clock.js';
+
+const CYCLIST_COLORS = ['#D62828', '#F77F00', '#3A86FF', '#06D6A0', '#8338EC', '#FFBE0B'];
+
+// A cyclist riding straight through from one approach. They keep to the bike lane
+// along the curb where the approach has one and otherwise ride in the curb lane,
+// where vehicles queue behind them. They obey the bicycle signal, which can turn
+// green ahead of the vehicle heads, and on red stop in the bike box if there is one
+// or level with the vehicle stop point if not. Their delay is the time spent
+// standing before the stop line.
+export class Cyclist {
+    constructor({ id, direction, intersection, clock = new SimulationClock() }) {
+        this.id = id;
+        this.fromDirection = direction;
+        this.turnType = CONFIG.TURN_TYPES.STRAIGHT; // Vehicles following a cyclist read these like a car's
+        this.lane = 0; // Curb lane
+        this.yieldingTo = null;
+        this.intersection = intersection;
+        this.clock = clock;
+        this.color = CYCLIST_COLORS[id % CYCLIST_COLORS.length];
+        this.inBikeLane = intersection.hasBikeLane(direction);
+
+        const spawnPoint = intersection.getBicycleSpawnPoint(direction);
+        const ahead = intersection.getLegPoint(direction, 0, 0);
+        const behind = intersection.getLegPoint(direction, 0, 1);
+        this.x = spawnPoint.x;
+        this.y = spawnPoint.y;
+        this.angle = Math.atan2(ahead.y - behind.y, ahead.x - behind.x);
+        this.width = CONFIG.BICYCLE.length; // Along the direction of travel, like a vehicle's width
+        this.height = CONFIG.BICYCLE.width;
+        this.speed = 0;
+        this.maxSpeed = CONFIG.DEFAULT_SETTINGS.BICYCLE_SPEED;
+
+        this.state = 'approaching'; // approaching, waiting, crossing, completed
+        this.waitTime = 0;
+    }
+
+    update(deltaTime, lightState) {
+        const dt = deltaTime / 1000;
+        const upstream = this.getDistanceUpstream();
+        if (this.state !== 'crossing' && upstream < this.intersection.getStopLineOffset()) {
+            this.state = 'crossing';
+        }
+
+        // Room left to ride: up to whatever is ahead, and up to the stop point on red
+        let room = Infinity;
+        const ahead = this.getVehicleAhead();
+        if (ahead) {
+            room = ahead.distance - (this.width + ahead.vehicle.width) / 2 - CONFIG.BICYCLE_GAP;
+        }
+        if (this.state !== 'crossing' && lightState === CONFIG.LIGHT_STATES.RED) {
+            room = Math.min(room, upstream - this.getStopPoint());
+        }
+
+        const { acceleration, deceleration } = CONFIG.BICYCLE;
+        if (room <= 0) {
+            this.speed = 0;
+        } else if (this.speed * this.speed / (2 * deceleration) >= room) {
+            this.speed = Math.max(0, this.speed - deceleration * dt);
+        } else {
+            this.speed = Math.min(this.maxSpeed, this.speed + acceleration * dt);
+        }
+
+        const distance = Math.min(this.speed * dt, Math.max(0, room));
+        this.x += Math.cos(this.angle) * distance;
+        this.y += Math.sin(this.angle) * distance;
+
+        if (this.state !== 'crossing') {
+            const standing = this.speed < 1;
+            this.state = standing ? 'waiting' : 'approaching';
+            if (standing) {
+                this.waitTime += deltaTime;
+            }
+        }
+
+        if (this.x < -20 || this.x > CONFIG.CANVAS_WIDTH + 20 || this.y < -20 || this.y > CONFIG.CANVAS_HEIGHT + 20) {
+            this.state = 'completed';
+        }
+    }
+
+    // Distance from the centre at which the cyclist stands on red
+    getStopPoint() {
+        const stopLineOffset = this.intersection.getStopLineOffset();
+        return this.intersection.hasBikeBox(this.fromDirection)
+            ? stopLineOffset + this.width / 2 + 1
+            : stopLineOffset + CONFIG.STOP_POINT_SETBACK;
+    }
+
+    getDistanceUpstream() {
+        return this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y);
+    }
+
+    // Nearest cyclist ahead in the same lane, or in the curb lane also the nearest
+    // vehicle, as { vehicle, distance } between centres
+    getVehicleAhead() {
+        const upstream = this.getDistanceUpstream();
+        const vehicles = this.intersection.getCyclists().filter(cyclist => cyclist.inBikeLane === this.inBikeLane);
+        if (!this.inBikeLane) {
+            // Turned vehicles have left this approach
+            vehicles.push(...this.intersection.getAllCars().filter(car => car.lane === this.lane &&
+                !(car.turnType !== CONFIG.TURN_TYPES.STRAIGHT && car.state === 'exiting')));
+        }
+
+        let closest = null;
+        vehicles.forEach(vehicle => {
+            if (vehicle === this || vehicle.fromDirection !== this.fromDirection) return;
+            const distance = upstream - this.intersection.getDistanceUpstream(this.fromDirection, vehicle.x, vehicle.y);
+            if (distance > 0 && (closest === null || distance < closest.distance)) {
+                closest = { vehicle, distance };
+            }
+        });
+        return closest;
+    }
+
+    render(ctx) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.angle);
+
+        // Frame and wheels
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-this.width / 2, 0);
+        ctx.lineTo(this.width / 2, 0);
+        ctx.stroke();
+        ctx.fillStyle = '#222222';
+        ctx.beginPath();
+        ctx.arc(-this.width / 2, 0, 1.5, 0, Math.PI * 2);
+        ctx.arc(this.width / 2, 0, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Rider
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.height / 2 + 0.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    isWaiting() {
+        return this.state === 'waiting';
+    }
+
+    isCompleted() {
+        return this.state === 'completed';
+    }
+
+    getWaitTime() {
+        return this.waitTime;
+    }
+
+    // Snapshot support: every own field except the shared references
+    serialize() {
+        const { intersection, clock, ...state } = this;
+        return { ...state };
+    }
+
+    static restore(data, intersection, clock) {
+        const cyclist = new Cyclist({ id: data.id, direction: data.fromDirection, intersection, clock });
+        Object.assign(cyclist, data);
+        return cyclist;
+    }
+}
+
+export class CyclistManager {
+    constructor(intersection, clock = new SimulationClock()) {
+        this.intersection = intersection;
+        this.clock = clock;
+        this.cyclists = [];
+        this.pendingArrivals = []; // Arrivals waiting for their spawn point to clear
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+
+        // Callback fired when a cyclist has ridden off the canvas
+        this.onCyclistCompleted = null;
+
+        // Set reference in intersection so vehicles can follow and give way to cyclists
+        this.intersection.cyclistManager = this;
+    }
+
+    initialize(settings) {
+        this.settings = { ...settings };
+        this.cyclists = [];
+        this.pendingArrivals = [];
+    }
+
+    // lightStates: the bicycle signal per approach; arrivals from the DemandGenerator
+    update(deltaTime, lightStates, arrivals = []) {
+        this.pendingArrivals.push(...arrivals);
+        this.pendingArrivals = this.pendingArrivals.filter(arrival => !this.spawnCyclist(arrival));
+
+        this.cyclists.forEach(cyclist => {
+            cyclist.maxSpeed = this.settings.BICYCLE_SPEED;
+            cyclist.update(deltaTime, lightStates[cyclist.fromDirection]);
+        });
+
+        this.cyclists.filter(cyclist => cyclist.isCompleted()).forEach(cyclist => {
+            if (this.onCyclistCompleted) {
+                this.onCyclistCompleted(cyclist);
+            }
+        });
+        this.cyclists = this.cyclists.filter(cyclist => !cyclist.isCompleted());
+    }
+
+    // Returns true if the arrival entered the road
+    spawnCyclist({ id, direction }) {
+        const spawnPoint = this.intersection.getBicycleSpawnPoint(direction);
+        const inBikeLane = this.intersection.hasBikeLane(direction);
+        const vehicles = this.cyclists.filter(cyclist => cyclist.inBikeLane === inBikeLane);
+        if (!inBikeLane) {
+            vehicles.push(...this.intersection.getAllCars().filter(car => car.lane === 0));
+        }
+        const tooClose = vehicles.some(vehicle => vehicle.fromDirection === direction &&
+            utils.getDistance(vehicle.x, vehicle.y, spawnPoint.x, spawnPoint.y) < 30);
+        if (tooClose) return false;
+
+        this.cyclists.push(new Cyclist({ id, direction, intersection: this.intersection, clock: this.clock }));
+        return true;
+    }
+
+    // Cyclists standing at a red on each approach: how many and the longest wait (ms),
+    // in the same form as pedestrian calls
+    getCalls() {
+        const calls = {};
+        this.cyclists.filter(cyclist => cyclist.isWaiting()).forEach(cyclist => {
+            const call = calls[cyclist.fromDirection] || { count: 0, waitTime: 0 };
+            call.count++;
+            call.waitTime = Math.max(call.waitTime, cyclist.getWaitTime());
+            calls[cyclist.fromDirection] = call;
+        });
+        return calls;
+    }
+
+    render(ctx) {
+        this.cyclists.forEach(cyclist => cyclist.render(ctx));
+    }
+
+    reset() {
+        this.cyclists = [];
+        this.pendingArrivals = [];
+    }
+
+    serialize() {
+        return {
+            settings: { ...this.settings },
+            cyclists: this.cyclists.map(cyclist => cyclist.serialize()),
+            pendingArrivals: this.pendingArrivals.map(arrival => ({ ...arrival }))
+        };
+    }
+
+    // Likewise for cyclists
+    restore({ settings, cyclists = [], pendingArrivals = [] } = {}) {
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS, ...settings };
+        this.cyclists = cyclists.map(cyclistData => Cyclist.restore(cyclistData, this.intersection, this.clock));
+        this.pendingArrivals = pendingArrivals.map(arrival => ({ ...arrival }));
+    }
+
+    updateSettings(settings) {
+        this.settings = { ...settings };
+    }
+
+    // Getters for external systems
+    getCyclists() {
+        return [...this.cyclists];
+    }
+
+    getWaitingCount() {
+        return this.cyclists.filter(cyclist => cyclist.isWaiting()).length;
+    }
+}
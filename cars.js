@@ -1,15 +1,20 @@
 import { CONFIG } from "./config.js";
 import { utils } from './utils.js';
+import { SimulationClock } from './clock.js';
 
 export class Car {
-    constructor({ id, direction, intersection, route = null, lane = 0 }) {
+    constructor({ id, direction, intersection, route = null, lane = 0, color, turnType = CONFIG.TURN_TYPES.STRAIGHT, vehicleType = CONFIG.VEHICLE_TYPES.CAR, driverType = 'typical', transitRoute = null, clock = new SimulationClock() }) {
         this.id = id;
         this.fromDirection = direction;
         this.intersection = intersection;
+        this.clock = clock;
+        this.turnType = turnType; // Movement drawn by the DemandGenerator from the turning percentages
         this.route = route || [direction, 'intersection', this.calculateToDirection()];
-        this.lane = lane; // 0 = lane for one direction, 1 = lane for opposite direction
-        this.lateralPosition = 0; // 0 = center of lane
-        this.turnType = this.calculateTurnType();
+        this.lane = lane; // 0 = curb lane, 1 = inner lane next to the centre line
+        this.lateralPosition = 0; // Offset from the lane's centre line towards the curb while sliding across or pulled aside (px)
+        this.laneChangeTimer = 0; // Time since a lane change was last considered (s)
+        this.laneChanges = 0;
+        this.waitingToMerge = false; // Turning vehicle held in the wrong lane, let in by the traffic behind in the other
         this.toDirection = this.route[2];
 
         
@@ -19,92 +24,80 @@ export class Car {
         this.y = spawnPoint.y;
         this.angle = this.getInitialAngle();
 
-        // Properties
+        // Properties, from the vehicle class
+        const vehicleClass = CONFIG.VEHICLE_CLASSES[vehicleType];
+        this.vehicleType = vehicleType;
         this.speed = 0;
-        this.maxSpeed = CONFIG.DEFAULT_SETTINGS.CAR_SPEED;
-        this.width = CONFIG.CAR_WIDTH;
-        this.height = CONFIG.CAR_HEIGHT;
-        this.color = CONFIG.CAR_COLORS[Math.floor(Math.random() * CONFIG.CAR_COLORS.length)];
+        this.speedFactor = vehicleClass.speedFactor;
+        this.maxSpeed = CONFIG.DEFAULT_SETTINGS.CAR_SPEED * this.speedFactor;
+        this.acceleration = vehicleClass.acceleration;
+        this.comfortableDeceleration = vehicleClass.comfortableDeceleration;
+        this.deceleration = vehicleClass.deceleration;
+        this.timeGap = CONFIG.DEFAULT_SETTINGS.TIME_GAP / 1000; // Car-following parameters, kept in step with the settings
+        this.minGap = CONFIG.DEFAULT_SETTINGS.MIN_GAP;
+        this.reactionTime = CONFIG.DEFAULT_SETTINGS.REACTION_TIME / 1000;
+        this.criticalGap = CONFIG.DEFAULT_SETTINGS.CRITICAL_GAP / 1000; // Gap acceptance for permissive left turns (s)
+        this.followUpTime = CONFIG.DEFAULT_SETTINGS.FOLLOW_UP_TIME / 1000;
+        this.driverType = driverType; // How the driver treats a yellow (CONFIG.DRIVER_TYPES)
+        this.yellowDuration = CONFIG.DEFAULT_SETTINGS.YELLOW_DURATION / 1000; // Clearance intervals the driver judges a yellow by (s)
+        this.allRedDuration = CONFIG.DEFAULT_SETTINGS.ALL_RED_DURATION / 1000;
+        this.width = vehicleClass.width;
+        this.height = vehicleClass.height;
+        this.color = color; // Drawn by the DemandGenerator, from the seeded random stream
+        this.transitRoute = transitRoute; // Bus route name for scheduled buses, which get signal priority
+        this.checkInTime = null; // Times the bus passed the priority check-in and check-out detectors
+        this.checkOutTime = null;
 
         // State
         this.state = 'approaching'; // approaching, waiting, crossing, turning, exiting, completed
-        this.waitStartTime = null;
-        this.totalWaitTime = 0;
+        this.totalWaitTime = 0; // Time spent standing before the stop line or waiting for a gap to turn left (ms)
+        this.reactionTimer = 0; // Time spent free to pull away while still standing (s)
         this.isInIntersection = false;
         this.pathProgress = 0;
-        this.turnStartTime = null;
-        this.isHidden = false;
+        this.yieldingTo = null; // Id of the emergency vehicle this car is pulled aside for
+        this.turnPath = null; // Bezier curve through the box while turning
+        this.turnDistance = 0; // Distance travelled along turnPath
+        this.gapAcceptedAt = null; // When a left turn took its gap in the oncoming traffic
+        this.yieldedToOncoming = false; // Held in the box for oncoming traffic before turning left
+        this.sneaker = false; // And only got away once its own signal had ended
+        this.cyclistConflict = false; // Had to give way to a cyclist alongside before turning right
+        this.turningOnRed = false; // Stopped at the front of the queue and going on a right turn on red
+        this.lastLight = null; // Signal seen last tick, to catch the onset of yellow and red
+        this.yellowDecision = null; // 'stop' or 'go', taken on first seeing the yellow
+        this.inDilemmaZone = false; // Caught by a yellow it could neither stop for nor clear
+        this.redStartTime = null; // When the signal last turned red
+        this.pastStopLine = false;
+        this.redLightEntry = null; // { timeIntoRed (ms), conflicting } if it crossed the stop line on red
 
         // Calculate target position for movement
         this.calculateTargetPosition();
     }
 
-    calculateTurnType() {
-        // For now, all cars go straight since lanes are for bidirectional traffic
-        return CONFIG.TURN_TYPES.STRAIGHT;
+    // Lane a turn is made from: left turns from the inner lane, right turns from the curb
+    // lane. Through traffic may use either (null).
+    getRequiredLane() {
+        if (this.turnType === CONFIG.TURN_TYPES.LEFT) return 1;
+        if (this.turnType === CONFIG.TURN_TYPES.RIGHT) return 0;
+        return null;
     }
 
-    prepareForTurn() {
-        // Tactical lane change before intersection
-        if (this.turnType === 'left') this.lane = 0;
-        else if (this.turnType === 'right') this.lane = 1;
-        // For straight, stay in current lane
-    }
-
-    updateApproaching(dt, lightStates) {
-        this.prepareForTurn();
-        // ...existing code...
-        // ...existing code...
-    }
-
-    updateCrossing(dt) {
-        // Accelerate through intersection
-        this.speed = Math.min(this.maxSpeed * 1.2, this.speed + 40 * dt);
-        // Move along trajectory
-        if (this.turnType === 'left' || this.turnType === 'right') {
-            this.followTurnTrajectory(dt);
-        } else {
-            // Straight
-            this.x += Math.cos(this.angle) * this.speed * dt;
-            this.y += Math.sin(this.angle) * this.speed * dt;
-        }
-        // Check if we've exited the intersection
-        if (!this.isInIntersection && this.pathProgress > 0) {
-            this.state = 'exiting';
-        }
-        this.pathProgress += dt;
-    }
-
-    followTurnTrajectory(dt) {
-        // Use Bezier curve for left/right turns
-        const entry = this.intersection.getPathEntryPoint(this.fromDirection);
-        const exit = this.intersection.exitPoints[this.toDirection];
-        // Control points for Bezier (simple: entry, control1, control2, exit)
-        let control1, control2;
-        if (this.turnType === 'left') {
-            control1 = { x: entry.x - 60, y: entry.y + 60 };
-            control2 = { x: exit.x - 60, y: exit.y - 60 };
-        } else {
-            control1 = { x: entry.x + 60, y: entry.y - 60 };
-            control2 = { x: exit.x + 60, y: exit.y + 60 };
-        }
-        const t = Math.min(this.pathProgress / 1.2, 1); // 1.2s for full turn
-        const pt = utils.getBezierPoint(t, entry, control1, control2, exit);
-        this.x = pt.x;
-        this.y = pt.y;
-        // Update heading
-        if (t < 1) {
-            const nextT = Math.min(t + 0.05, 1);
-            const nextPt = utils.getBezierPoint(nextT, entry, control1, control2, exit);
-            this.angle = utils.getAngle(this.x, this.y, nextPt.x, nextPt.y);
-        }
+    calculateToDirection() {
+        return Car.getExitDirection(this.fromDirection, this.turnType);
     }
 
-    calculateToDirection() {
-        // All cars go straight through (opposite direction)
+    // Leg a vehicle leaves by. Directions are listed clockwise and traffic drives on
+    // the right, so a left turn exits one leg clockwise and a right turn one leg anticlockwise.
+    static getExitDirection(fromDirection, turnType) {
         const directions = [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.SOUTH, CONFIG.DIRECTIONS.WEST];
-        const currentIndex = directions.indexOf(this.fromDirection);
-        return directions[(currentIndex + 2) % 4]; // Always go straight (opposite direction)
+        const currentIndex = directions.indexOf(fromDirection);
+        switch (turnType) {
+            case CONFIG.TURN_TYPES.LEFT:
+                return directions[(currentIndex + 1) % 4];
+            case CONFIG.TURN_TYPES.RIGHT:
+                return directions[(currentIndex + 3) % 4];
+            default:
+                return directions[(currentIndex + 2) % 4]; // Straight on to the opposite leg
+        }
     }
 
     getInitialAngle() {
@@ -134,97 +127,385 @@ calculateTargetPosition() {
     update(deltaTime, lightStates) {
         const dt = deltaTime / 1000; // Convert to seconds
 
-        switch (this.state) {
-            case 'approaching':
-                this.updateApproaching(dt, lightStates);
+        // Pulled aside for an emergency vehicle, the car holds until it has passed
+        const yielding = this.yieldingTo !== null && (this.state === 'approaching' || this.state === 'waiting');
+
+        switch (yielding ? 'yielding' : this.state) {
+            case 'yielding':
+                this.updateYielding(dt);
                 break;
+            case 'approaching':
             case 'waiting':
-                this.updateWaiting(dt, lightStates);
+                this.updateApproaching(dt, lightStates);
                 break;
             case 'crossing':
                 this.updateCrossing(dt);
                 break;
             case 'turning':
-                this.updateTurning(dt);
+                this.updateTurning(dt, lightStates);
                 break;
             case 'exiting':
                 this.updateExiting(dt);
                 break;
         }
 
-        // Update position based on speed and direction (keep cars in straight lines)
-        if (this.speed > 0 && !this.isHidden) {
+        // Update position based on speed and direction (turning cars are placed on their path)
+        if (this.speed > 0 && this.state !== 'turning') {
             // Move based on the angle the car is facing
             this.x += Math.cos(this.angle) * this.speed * dt;
             this.y += Math.sin(this.angle) * this.speed * dt;
         }
 
+        // Slide into the lane after a lane change, or back into it once nothing needs making way for
+        if (this.yieldingTo === null && this.lateralPosition !== 0) {
+            const step = CONFIG.LANE_CHANGING.lateralSpeed * dt;
+            this.lateralPosition = Math.sign(this.lateralPosition) * Math.max(0, Math.abs(this.lateralPosition) - step);
+        }
+
         // Check if car is in intersection
         this.isInIntersection = this.intersection.isInIntersection(this.x, this.y);
     }
 
+    updateYielding(dt) {
+        this.speed = Math.max(0, this.speed - this.deceleration * dt);
+        this.lateralPosition = Math.min(CONFIG.EMERGENCY_PULL_ASIDE, this.lateralPosition + 12 * dt);
+        if (this.speed === 0) {
+            this.totalWaitTime += dt * 1000;
+        }
+    }
+
+    isEmergency() {
+        return Boolean(CONFIG.VEHICLE_CLASSES[this.vehicleType].emergency);
+    }
+
+    // Follow the vehicle ahead, and stop at the stop point while the signal is red or a
+    // turn has to give way. Standing before the stop line counts as waiting.
     updateApproaching(dt, lightStates) {
-        const stopLine = this.intersection.getStopLinePosition(this.fromDirection);
-        const distanceToStop = this.getDistanceToStopLine(stopLine);
+        const light = lightStates[this.fromDirection];
+        const distanceToStopLine = this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y) -
+            this.intersection.getStopLineOffset();
+        this.observeSignal(light, distanceToStopLine);
+        this.considerLaneChange(dt, distanceToStopLine);
+        if (distanceToStopLine < 0 && !this.pastStopLine) {
+            this.pastStopLine = true;
+            if (light === CONFIG.LIGHT_STATES.RED && !this.isEmergency() && !this.turningOnRed) {
+                this.recordRedLightEntry(lightStates);
+            }
+        }
+        // Right turn on red is decided afresh while standing, and kept once moving
+        if (this.speed === 0) {
+            this.turningOnRed = this.canTurnRightOnRed(light, distanceToStopLine);
+        }
         
-        // Check for cars ahead to maintain spacing
-        const carAhead = this.checkForCarAhead();
-        const shouldStop = carAhead && this.getDistanceToCarAhead(carAhead) < 35;
+        let acceleration = this.getFollowingAcceleration(this.maxSpeed);
+        if (this.mustStopAtStopLine(light, distanceToStopLine)) {
+            // A standing obstacle minGap beyond the stop point, so the car halts on it
+            const gap = distanceToStopLine - CONFIG.STOP_POINT_SETBACK + this.minGap;
+            acceleration = Math.min(acceleration, this.getIdmAcceleration(this.maxSpeed, gap, this.speed));
+        }
+        this.waitingToMerge = false;
+        if (this.mustHoldForLaneChange(distanceToStopLine)) {
+            const gap = distanceToStopLine - CONFIG.LANE_CHANGING.endDistance + this.minGap;
+            acceleration = Math.min(acceleration, this.getIdmAcceleration(this.maxSpeed, gap, this.speed));
+            this.waitingToMerge = gap < this.width;
+        }
+        this.accelerate(acceleration, dt);
         
-        if (distanceToStop <= 30 || shouldStop) {
-            // Close to stop line, check if we should stop
-            if (lightStates[this.fromDirection] === CONFIG.LIGHT_STATES.RED || shouldStop) {
-                this.state = 'waiting';
-                this.speed = 0;
-                if (!shouldStop) {
-                    this.waitStartTime = Date.now();
-                }
-                return;
+        if (this.speed === 0) {
+            this.state = 'waiting';
+            this.totalWaitTime += dt * 1000;
+            if (this.yellowDecision === 'go') {
+                this.yellowDecision = null; // Held up after all, so it will not go on red
             }
+            const green = light === CONFIG.LIGHT_STATES.GREEN || light === CONFIG.LIGHT_STATES.YELLOW;
+            if (green && !this.cyclistConflict) {
+                this.cyclistConflict = this.hasCyclistAlongside();
+            }
+        } else {
+            this.state = 'approaching';
         }
         
-        // Continue approaching
-        this.speed = Math.min(this.maxSpeed, this.speed + 30 * dt); // Gradual acceleration
-        
         // Check if we've reached the intersection
         if (this.isInIntersection) {
             this.state = 'crossing';
         }
     }
 
-    updateWaiting(dt, lightStates) {
-        this.speed = 0;
-        
-        if (this.waitStartTime) {
-            this.totalWaitTime = Date.now() - this.waitStartTime;
+    // MOBIL (Minimizing Overall Braking Induced by Lane changes), reconsidered every
+    // decisionInterval. A turning vehicle in the wrong lane moves over as soon as it is
+    // safe to; a through vehicle only for a worthwhile gain once the vehicles behind are
+    // allowed for, and not after endDistance. Route buses keep their lane.
+    considerLaneChange(dt, distanceToStopLine) {
+        const { decisionInterval, politeness, threshold, safeDeceleration, endDistance } = CONFIG.LANE_CHANGING;
+        this.laneChangeTimer += dt;
+        if (this.laneChangeTimer < decisionInterval) return;
+        this.laneChangeTimer = 0;
+        if (this.lateralPosition !== 0 || distanceToStopLine < 0) return;
+
+        const requiredLane = this.getRequiredLane();
+        const targetLane = 1 - this.lane;
+        if (requiredLane !== null ? requiredLane !== targetLane
+            : this.transitRoute !== null || distanceToStopLine < endDistance) {
+            return;
         }
+
+        const newLeader = this.checkForCarAhead(targetLane);
+        const newFollower = this.getCarBehind(targetLane);
+
+        // Two vehicles held side by side, each in the lane the other needs, trade places
+        const partner = [newLeader, newFollower].find(car => car instanceof Car && car.waitingToMerge &&
+            car.getRequiredLane() === this.lane && Math.abs(this.getDistanceToCarAhead(car)) < (this.width + car.width) / 2);
+        if (this.waitingToMerge && partner) {
+            partner.changeLane(this.lane);
+            this.changeLane(targetLane);
+            return;
+        }
+
+        // Safety: neither this vehicle nor its new follower has to brake too hard, unless
+        // the follower is already holding back to let it in
+        const acceleration = this.getFollowingAcceleration(this.maxSpeed, newLeader);
+        const newFollowerAcceleration = newFollower ? newFollower.getFollowingAcceleration(newFollower.maxSpeed, this) : 0;
+        const lettingIn = newFollower !== null && newFollower.checkForCarAhead() === this;
+        if (acceleration < -safeDeceleration || (newFollowerAcceleration < -safeDeceleration && !lettingIn)) return;
+
+        // Incentive: own gain against the acceleration the new and old followers lose
+        if (requiredLane === null) {
+            const oldFollower = this.getCarBehind();
+            let cost = 0;
+            if (newFollower) {
+                cost += newFollower.getFollowingAcceleration(newFollower.maxSpeed) - newFollowerAcceleration;
+            }
+            if (oldFollower) {
+                cost += oldFollower.getFollowingAcceleration(oldFollower.maxSpeed) -
+                    oldFollower.getFollowingAcceleration(oldFollower.maxSpeed, this.checkForCarAhead());
+            }
+            if (acceleration - this.getFollowingAcceleration(this.maxSpeed) - politeness * cost <= threshold) return;
+        }
+        this.changeLane(targetLane);
+    }
+
+    // Move to the other lane's centre line at once, keeping the drawn position where it
+    // was through lateralPosition, which then slides to zero
+    changeLane(lane) {
+        const from = this.intersection.getLaneOffset(this.fromDirection, this.lane);
+        const to = this.intersection.getLaneOffset(this.fromDirection, lane);
+        const upstream = this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y);
+        const point = this.intersection.getLegPoint(this.fromDirection, to, upstream);
+        this.x = point.x;
+        this.y = point.y;
+        this.lateralPosition += from - to;
+        this.lane = lane;
+        this.laneChanges++;
+    }
+
+    // A turning vehicle still in the wrong lane waits for a gap short of endDistance
+    mustHoldForLaneChange(distanceToStopLine) {
+        const requiredLane = this.getRequiredLane();
+        return requiredLane !== null && requiredLane !== this.lane && !this.isEmergency() && distanceToStopLine >= 0;
+    }
+
+    // The signal or a turn giving way holds the car at the stop point, unless it is past
+    // the stop line or too close to stop short of it even braking as hard as it can
+    mustStopAtStopLine(light, distanceToStopLine) {
+        if (distanceToStopLine < 0 || this.speed * this.speed / (2 * this.deceleration) > distanceToStopLine) {
+            return false;
+        }
+        return this.stopsForSignal(light) || this.mustYieldToPedestrians() || this.mustYieldToCyclists();
+    }
+
+    // Red unless the driver chose to go on the yellow or is turning right on red, or a
+    // yellow they chose to stop for
+    stopsForSignal(light) {
+        return light === CONFIG.LIGHT_STATES.RED
+            ? this.yellowDecision !== 'go' && !this.turningOnRed
+            : light === CONFIG.LIGHT_STATES.YELLOW && this.yellowDecision === 'stop';
+    }
+
+    // Right turn on red, where the approach allows it: only after a full stop at the front
+    // of the queue, with no pedestrian on either crosswalk the turn passes and a gap of at
+    // least the critical gap in the traffic heading for the same exit
+    canTurnRightOnRed(light, distanceToStopLine) {
+        if (this.turnType !== CONFIG.TURN_TYPES.RIGHT || light !== CONFIG.LIGHT_STATES.RED || this.isEmergency() ||
+            !this.intersection.allowsRightTurnOnRed(this.fromDirection)) {
+            return false;
+        }
+        if (distanceToStopLine < 0 || distanceToStopLine - CONFIG.STOP_POINT_SETBACK > this.minGap) {
+            return false; // Not at the stop point
+        }
+        if (this.intersection.hasPedestriansCrossing(this.fromDirection) || this.intersection.hasPedestriansCrossing(this.toDirection)) {
+            return false;
+        }
+        return this.intersection.getAllCars().every(car => car === this || car.fromDirection === this.fromDirection ||
+            car.toDirection !== this.toDirection || car.getTimeToConflictArea() >= this.criticalGap);
+    }
+
+    // Whether the car is pulling up at the stop line for its signal as it last saw it,
+    // so it will not enter the intersection
+    isHeldBySignal() {
+        if (this.state !== 'approaching' && this.state !== 'waiting') return false;
+        const distanceToStopLine = this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y) -
+            this.intersection.getStopLineOffset();
+        if (distanceToStopLine < 0 || this.speed * this.speed / (2 * this.deceleration) > distanceToStopLine) {
+            return false;
+        }
+        return this.stopsForSignal(this.lastLight);
+    }
+
+    // Track the signal: the decision taken on a yellow lasts until the next green
+    observeSignal(light, distanceToStopLine) {
+        if (light !== this.lastLight) {
+            if (light === CONFIG.LIGHT_STATES.RED) {
+                this.redStartTime = this.clock.now();
+            } else if (light === CONFIG.LIGHT_STATES.GREEN) {
+                this.yellowDecision = null;
+                this.turningOnRed = false;
+            }
+            this.lastLight = light;
+        }
+        if (light === CONFIG.LIGHT_STATES.YELLOW && this.yellowDecision === null && distanceToStopLine >= 0) {
+            this.decideOnYellow(distanceToStopLine);
+        }
+        // Held up short of the line after going on the yellow (say behind a left turn
+        // waiting for a gap): past the driver's red tolerance, they stop if they still can
+        if (light === CONFIG.LIGHT_STATES.RED && this.yellowDecision === 'go' && distanceToStopLine >= 0 &&
+            this.clock.now() - this.redStartTime > Math.max(0, CONFIG.DRIVER_TYPES[this.driverType].redTolerance) &&
+            this.speed * this.speed / (2 * this.deceleration) <= distanceToStopLine) {
+            this.yellowDecision = null;
+        }
+    }
+
+    // Stop or go at the onset of yellow, or on first seeing one, by the driver type's
+    // rules in CONFIG.DRIVER_TYPES, judging the time to the stop line by their current
+    // speed; stopping means pulling up at the stop point. Whatever the driver decides,
+    // the car is caught in the dilemma zone if it could neither stop at comfortable
+    // deceleration nor, pulling away at full acceleration, clear the conflict area
+    // before the yellow and all-red have run out.
+    decideOnYellow(distanceToStopLine) {
+        const driver = CONFIG.DRIVER_TYPES[this.driverType];
+        const room = Math.max(0, distanceToStopLine - CONFIG.STOP_POINT_SETBACK);
+        const timeToStopLine = this.speed > 0 ? distanceToStopLine / this.speed : Infinity;
+        const braking = Math.min(driver.stopBraking * this.comfortableDeceleration, this.deceleration);
+        const goes = timeToStopLine <= this.yellowDuration + driver.redTolerance / 1000 ||
+            this.getStoppingDistance(braking) > room;
+        this.yellowDecision = goes ? 'go' : 'stop';
+
+        const clearingDistance = distanceToStopLine + this.intersection.getStopLineOffset() +
+            this.intersection.roadWidth / 2 + this.width / 2;
+        if (this.getStoppingDistance(this.comfortableDeceleration) > room &&
+            this.getTravelTime(clearingDistance) > this.yellowDuration + this.allRedDuration) {
+            this.inDilemmaZone = true;
+        }
+    }
+
+    // Time to cover distance pulling away at full acceleration up to the desired speed
+    getTravelTime(distance) {
+        const cruise = Math.max(this.maxSpeed, this.speed);
+        const accelerationTime = (cruise - this.speed) / this.acceleration;
+        const accelerationDistance = (this.speed + cruise) / 2 * accelerationTime;
+        if (distance <= accelerationDistance) {
+            return (Math.sqrt(this.speed * this.speed + 2 * this.acceleration * distance) - this.speed) / this.acceleration;
+        }
+        return accelerationTime + (distance - accelerationDistance) / cruise;
+    }
+
+    // Distance covered over the reaction time and then braking at a steady deceleration
+    getStoppingDistance(deceleration) {
+        return this.speed * this.reactionTime + this.speed * this.speed / (2 * deceleration);
+    }
+
+    // Crossing the stop line on red: how far into the red, and whether the all-red had
+    // already run out and the cross street had its green
+    recordRedLightEntry(lightStates) {
+        const crossStreet = [CONFIG.TURN_TYPES.LEFT, CONFIG.TURN_TYPES.RIGHT]
+            .map(turnType => lightStates[Car.getExitDirection(this.fromDirection, turnType)]);
+        this.redLightEntry = {
+            timeIntoRed: this.clock.now() - this.redStartTime,
+            conflicting: crossStreet.some(state => state !== CONFIG.LIGHT_STATES.RED)
+        };
+    }
         
-        // Check if light turned green
-        if (lightStates[this.fromDirection] === CONFIG.LIGHT_STATES.GREEN || 
-            lightStates[this.fromDirection] === CONFIG.LIGHT_STATES.YELLOW) {
-            this.state = 'crossing';
-            this.waitStartTime = null;
+    // Intelligent Driver Model: acceleration towards desiredSpeed, held back by a leader
+    // gap px ahead (bumper to bumper) that the car is closing on at closingSpeed px/s
+    getIdmAcceleration(desiredSpeed, gap = Infinity, closingSpeed = 0) {
+        const freeRoad = 1 - Math.pow(this.speed / desiredSpeed, CONFIG.CAR_FOLLOWING.accelerationExponent);
+        const desiredGap = this.minGap + Math.max(0, this.speed * this.timeGap +
+            this.speed * closingSpeed / (2 * Math.sqrt(this.acceleration * this.comfortableDeceleration)));
+        return this.acceleration * (freeRoad - Math.pow(desiredGap / Math.max(gap, 0.1), 2));
+    }
+        
+    // Acceleration behind the vehicle ahead in the lane, or on a free road (null)
+    getFollowingAcceleration(desiredSpeed, vehicleAhead = this.checkForCarAhead()) {
+        if (!vehicleAhead) {
+            return this.getIdmAcceleration(desiredSpeed);
+        }
+        const gap = this.getDistanceToCarAhead(vehicleAhead) - (this.width + vehicleAhead.width) / 2;
+        return this.getIdmAcceleration(desiredSpeed, gap, this.speed - vehicleAhead.speed);
+    }
+
+    // Change speed by a car-following acceleration, braking no harder than the vehicle
+    // can. A waiting vehicle pulls away only once it has been free to go for its
+    // reaction time, which gives each vehicle in a discharging queue its start-up delay.
+    accelerate(acceleration, dt) {
+        const { startThreshold, stoppedSpeed } = CONFIG.CAR_FOLLOWING;
+        if (this.state === 'waiting' && this.speed === 0) {
+            if (acceleration <= startThreshold * this.acceleration) {
+                this.reactionTimer = 0;
+                return;
+            }
+            this.reactionTimer += dt;
+            if (this.reactionTimer < this.reactionTime) return;
         }
+        this.reactionTimer = 0;
+
+        const speed = this.speed + Math.max(-this.deceleration, acceleration) * dt;
+        this.speed = acceleration < 0 && speed < stoppedSpeed ? 0 : speed;
+    }
+
+    // Turning vehicles give way to pedestrians on the crosswalk of the leg they turn
+    // into, which walk alongside their green; emergency vehicles do not wait
+    mustYieldToPedestrians() {
+        return this.turnType !== CONFIG.TURN_TYPES.STRAIGHT && !this.isEmergency() &&
+            this.intersection.hasPedestriansCrossing(this.toDirection);
+    }
+
+    // Right turns cross the curb-side path of cyclists riding on through, so right-turning
+    // vehicles at the stop line give way to cyclists on their approach still short of the
+    // turn: ahead of them, or in a bike lane also alongside or just behind
+    getCyclistsToYieldTo() {
+        if (this.turnType !== CONFIG.TURN_TYPES.RIGHT || this.isEmergency()) return [];
+        const upstream = this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y);
+        if (upstream > this.intersection.getStopLineOffset() + CONFIG.STOP_POINT_SETBACK) return []; // Not yet at the stop point
+        const clear = this.intersection.roadWidth / 4; // Past the turning path
+        return this.intersection.getCyclists().filter(cyclist => {
+            if (cyclist.fromDirection !== this.fromDirection) return false;
+            const distance = cyclist.getDistanceUpstream();
+            const reach = cyclist.inBikeLane ? upstream + CONFIG.BICYCLE_CONFLICT_DISTANCE : upstream;
+            return distance > clear && distance < reach;
+        });
+    }
+
+    mustYieldToCyclists() {
+        return this.getCyclistsToYieldTo().length > 0;
+    }
+
+    // Giving way to a cyclist level with or behind the vehicle's front rather than one
+    // ahead in plain view: the conflict behind right-hook crashes
+    hasCyclistAlongside() {
+        const front = this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y) - this.width / 2;
+        return this.getCyclistsToYieldTo().some(cyclist => cyclist.getDistanceUpstream() >= front);
     }
 
     updateCrossing(dt) {
-        // Accelerate through intersection
-        this.speed = Math.min(this.maxSpeed * 1.2, this.speed + 40 * dt);
+        // Accelerate through intersection, behind whatever is ahead
+        this.accelerate(this.getFollowingAcceleration(this.maxSpeed * 1.2), dt);
         
         // Check if we need to turn or go straight
         if (this.turnType !== CONFIG.TURN_TYPES.STRAIGHT) {
-            // Check if we've reached the intersection center
-            const centerX = this.intersection.centerX;
-            const centerY = this.intersection.centerY;
-            const distanceToCenter = Math.sqrt(
-                Math.pow(this.x - centerX, 2) + Math.pow(this.y - centerY, 2)
-            );
-            
-            if (distanceToCenter < 20) { // Close enough to center
+            // Turns start on entering the box
+            if (this.isInIntersection) {
+                this.turnPath = this.createTurnPath();
+                this.turnDistance = 0;
                 this.state = 'turning';
-                this.turnStartTime = Date.now();
-                this.isHidden = true;
-                this.speed = 0;
                 return;
             }
         } else {
@@ -237,135 +518,210 @@ calculateTargetPosition() {
         this.pathProgress += dt;
     }
 
-    updateTurning(dt) {
-        // Wait for turn delay
-        const turnDelay = CONFIG.TURN_DELAYS[this.turnType] || 0;
-        const elapsedTime = Date.now() - this.turnStartTime;
+    updateTurning(dt, lightStates) {
+        // Slow to the curve speed (braking no harder than the vehicle can), so the turn takes
+        // about arc length / speed, behind whatever is ahead on the same turn and short of
+        // the oncoming lanes until there is a gap
+        const { speed, yieldDistance } = this.turnPath;
+        let acceleration = this.getTurningAcceleration(speed);
+        if (this.mustYieldToOncomingTraffic(lightStates[this.fromDirection])) {
+            this.yieldedToOncoming = true;
+            acceleration = Math.min(acceleration, this.getIdmAcceleration(speed, yieldDistance - this.turnDistance + this.minGap, this.speed));
+        }
+        this.accelerate(acceleration, dt);
+        if (this.speed === 0) {
+            this.totalWaitTime += dt * 1000;
+        }
+        this.turnDistance += this.speed * dt;
+        this.followTurnTrajectory();
         
-        if (elapsedTime >= turnDelay) {
-            // Teleport to exit position
-            const exitInfo = this.getExitPosition(this.fromDirection, this.turnType, this.lane);
-            this.x = exitInfo.x;
-            this.y = exitInfo.y;
-            this.angle = this.degreesToRadians(exitInfo.heading);
-            this.fromDirection = exitInfo.direction;
-            
-            // Resume movement
-            this.isHidden = false;
-            this.speed = this.maxSpeed;
+        if (this.turnDistance >= this.turnPath.length) {
+            // fromDirection stays the approach, so per-approach statistics keep counting it
+            this.angle = this.degreesToRadians(this.getExitPosition(this.fromDirection, this.turnType).heading);
             this.state = 'exiting';
-            this.turnStartTime = null;
+            this.turnPath = null;
+        }
+    }
+
+    // Acceleration towards desiredSpeed behind the vehicle ahead on the same turn: one
+    // from the same approach turning the same way, further along its path
+    getTurningAcceleration(desiredSpeed) {
+        const leader = this.intersection.getAllCars()
+            .filter(car => car !== this && car.state === 'turning' && car.fromDirection === this.fromDirection &&
+                car.turnType === this.turnType && car.turnDistance > this.turnDistance)
+            .reduce((nearest, car) => (nearest === null || car.turnDistance < nearest.turnDistance ? car : nearest), null);
+        if (!leader) {
+            return this.getIdmAcceleration(desiredSpeed);
+        }
+        const gap = leader.turnDistance - this.turnDistance - (this.width + leader.width) / 2;
+        return this.getIdmAcceleration(desiredSpeed, gap, this.speed - leader.speed);
+    }
+
+    // Left turns share the green with oncoming traffic (permissive), so they wait short
+    // of the oncoming lanes until a gap opens. Once the gap is taken, or the car could
+    // not stop short of them anyway, it is committed. Emergency vehicles do not wait.
+    mustYieldToOncomingTraffic(light) {
+        if (this.turnType !== CONFIG.TURN_TYPES.LEFT || this.isEmergency() || this.gapAcceptedAt !== null) {
+            return false;
+        }
+        const room = this.turnPath.yieldDistance - this.turnDistance;
+        const committed = this.speed > 0 && this.speed * this.speed / (2 * this.deceleration) > room;
+        if (committed || this.acceptsOncomingGap()) {
+            this.gapAcceptedAt = this.clock.now();
+            // Held until the signal ended: a sneaker clearing on yellow or red
+            this.sneaker = this.yieldedToOncoming && light !== CONFIG.LIGHT_STATES.GREEN;
+            return false;
+        }
+        return true;
+    }
+
+    // Gap acceptance: every oncoming through or right-turning vehicle must be at least
+    // the critical gap from the conflict area. A left turner going right behind one
+    // that took the same gap goes no sooner than the follow-up time after it and needs
+    // that much less. Vehicles the signal is stopping do not count, which lets turners
+    // waiting in the box clear once the oncoming traffic has stopped for the yellow.
+    acceptsOncomingGap() {
+        const now = this.clock.now();
+        const cars = this.intersection.getAllCars();
+        let requiredGap = this.criticalGap;
+        const lastAccepted = cars.reduce((latest, car) =>
+            (car !== this && car.fromDirection === this.fromDirection && car.turnType === CONFIG.TURN_TYPES.LEFT &&
+                car.gapAcceptedAt !== null ? Math.max(latest, car.gapAcceptedAt) : latest), -Infinity);
+        const sinceLastAccepted = (now - lastAccepted) / 1000;
+        if (sinceLastAccepted < this.criticalGap) {
+            if (sinceLastAccepted < this.followUpTime) return false;
+            requiredGap = Math.max(0, this.criticalGap - this.followUpTime);
         }
+
+        const oncoming = Car.getExitDirection(this.fromDirection, CONFIG.TURN_TYPES.STRAIGHT);
+        return cars.every(car => car.fromDirection !== oncoming || car.turnType === CONFIG.TURN_TYPES.LEFT ||
+            car.getTimeToConflictArea() >= requiredGap);
     }
 
-    getExitPosition(fromDirection, turnType, lane) {
+    // Seconds until the front reaches the middle of the intersection, where oncoming left
+    // turns cut across this car's lanes: 0 while it is in that area, Infinity once its
+    // rear is clear of it or while the signal is stopping it. A car can get there no
+    // sooner than the one ahead, and not at all behind a left turn waiting for a gap.
+    getTimeToConflictArea() {
+        if (this.state === 'turning') {
+            return this.turnType === CONFIG.TURN_TYPES.LEFT && this.gapAcceptedAt === null ? Infinity : 0;
+        }
+        if (this.state === 'exiting' || this.isHeldBySignal()) return Infinity;
+        const reach = this.intersection.roadWidth / 4;
+        const upstream = this.intersection.getDistanceUpstream(this.fromDirection, this.x, this.y);
+        const front = upstream - this.width / 2;
+        if (front <= reach) {
+            return upstream + this.width / 2 > -reach ? 0 : Infinity;
+        }
+        const own = this.getTravelTime(front - reach) + (this.speed === 0 ? this.reactionTime : 0);
+        const vehicleAhead = this.checkForCarAhead();
+        return vehicleAhead instanceof Car && vehicleAhead.state !== 'exiting'
+            ? Math.max(own, vehicleAhead.getTimeToConflictArea())
+            : own;
+    }
+
+    // Curve from the current position to the receiving lane, approximating a circular
+    // arc tangent to both lanes. The radius is set by the lane geometry; the speed
+    // through it is capped by CONFIG.TURN_LATERAL_ACCELERATION (v = sqrt(a * r)).
+    // Left turns wait at yieldDistance along it, just short of the oncoming lanes.
+    createTurnPath() {
+        const exitInfo = this.getExitPosition(this.fromDirection, this.turnType);
+        const entry = { x: this.x, y: this.y };
+        const entryHeading = { x: Math.cos(this.angle), y: Math.sin(this.angle) };
+        const exitAngle = this.degreesToRadians(exitInfo.heading);
+        const exitHeading = { x: Math.cos(exitAngle), y: Math.sin(exitAngle) };
+
+        // Corner where the approach lane meets the receiving lane
+        const toExit = { x: exitInfo.x - entry.x, y: exitInfo.y - entry.y };
+        const cross = entryHeading.x * exitHeading.y - entryHeading.y * exitHeading.x;
+        const reach = (toExit.x * exitHeading.y - toExit.y * exitHeading.x) / cross;
+        const corner = { x: entry.x + entryHeading.x * reach, y: entry.y + entryHeading.y * reach };
+
+        // Leave the corner as far as we came in, so the curve is symmetric
+        const exit = { x: corner.x + exitHeading.x * reach, y: corner.y + exitHeading.y * reach };
+        const handle = 0.5523; // Cubic Bezier handle ratio for a quarter circle
+        const points = [
+            entry,
+            { x: entry.x + (corner.x - entry.x) * handle, y: entry.y + (corner.y - entry.y) * handle },
+            { x: exit.x + (corner.x - exit.x) * handle, y: exit.y + (corner.y - exit.y) * handle },
+            exit
+        ];
+
+        // Cumulative arc length at evenly spaced t, for constant-speed travel
+        const segments = 16;
+        const lengths = [0];
+        let previous = entry;
+        for (let i = 1; i <= segments; i++) {
+            const point = utils.getBezierPoint(i / segments, ...points);
+            lengths.push(lengths[i - 1] + utils.getDistance(previous.x, previous.y, point.x, point.y));
+            previous = point;
+        }
+        const length = lengths[segments];
+        const radius = 2 * length / Math.PI;
+
+        // Last point where the front is still on this side of the centre line
+        let yieldDistance = length;
+        if (this.turnType === CONFIG.TURN_TYPES.LEFT) {
+            for (let i = 0; i <= segments; i++) {
+                const point = utils.getBezierPoint(i / segments, ...points);
+                const tangent = utils.getBezierTangent(i / segments, ...points);
+                const scale = this.width / 2 / Math.hypot(tangent.x, tangent.y);
+                if (this.intersection.getLateralOffset(this.fromDirection, point.x + tangent.x * scale, point.y + tangent.y * scale) <= 0) {
+                    yieldDistance = i > 0 ? lengths[i - 1] : 0;
+                    break;
+                }
+            }
+        }
+
+        return {
+            points,
+            lengths,
+            length,
+            yieldDistance,
+            speed: Math.min(this.maxSpeed, Math.sqrt(CONFIG.TURN_LATERAL_ACCELERATION * radius))
+        };
+    }
+
+    // Place the car turnDistance along its turn path, facing along the curve
+    followTurnTrajectory() {
+        const { points, lengths, length } = this.turnPath;
+        const distance = Math.min(this.turnDistance, length);
+        const segments = lengths.length - 1;
+        let i = 0;
+        while (i < segments - 1 && lengths[i + 1] < distance) i++;
+        const span = lengths[i + 1] - lengths[i];
+        const t = (i + (span > 0 ? (distance - lengths[i]) / span : 0)) / segments;
+
+        const point = utils.getBezierPoint(t, ...points);
+        const tangent = utils.getBezierTangent(t, ...points);
+        this.x = point.x;
+        this.y = point.y;
+        this.angle = Math.atan2(tangent.y, tangent.x);
+    }
+
+    getExitPosition(fromDirection, turnType) {
         const cx = this.intersection.centerX;
         const cy = this.intersection.centerY;
-        const roadWidth = CONFIG.ROAD_WIDTH;
-        const laneWidth = CONFIG.LANE_WIDTH;
-        const intersectionSize = CONFIG.INTERSECTION_SIZE;
-        
-        // Calculate lane offset from road center
-        const laneOffset = (lane - 0.5) * laneWidth;
-        const roadDistance = intersectionSize / 2 + 10; // Distance from center to road edge
+        const roadDistance = this.intersection.size / 2 + 10; // Distance from center to road edge
         
-        let exitDirection, x, y, heading;
+        // The receiving lanes carry the same traffic as the opposite approach's lanes:
+        // left turns enter the inner lane, right turns the curb lane
+        const exitDirection = Car.getExitDirection(fromDirection, turnType);
+        const sameWayApproach = Car.getExitDirection(exitDirection, CONFIG.TURN_TYPES.STRAIGHT);
+        const exitLane = turnType === CONFIG.TURN_TYPES.LEFT ? 1 : 0;
+        const lanePoint = this.intersection.getSpawnPointForLane(sameWayApproach, exitLane);
         
-        switch (fromDirection) {
+        switch (exitDirection) {
             case CONFIG.DIRECTIONS.NORTH:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.SOUTH;
-                        x = cx + laneOffset;
-                        y = cy + roadDistance;
-                        heading = CONFIG.HEADINGS.SOUTH;
-                        break;
-                    case CONFIG.TURN_TYPES.LEFT:
-                        exitDirection = CONFIG.DIRECTIONS.EAST;
-                        x = cx + roadDistance;
-                        y = cy + laneOffset;
-                        heading = CONFIG.HEADINGS.EAST;
-                        break;
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.WEST;
-                        x = cx - roadDistance;
-                        y = cy - laneOffset;
-                        heading = CONFIG.HEADINGS.WEST;
-                        break;
-                }
-                break;
-                
+                return { direction: exitDirection, x: lanePoint.x, y: cy - roadDistance, heading: CONFIG.HEADINGS.NORTH };
             case CONFIG.DIRECTIONS.SOUTH:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.NORTH;
-                        x = cx - laneOffset;
-                        y = cy - roadDistance;
-                        heading = CONFIG.HEADINGS.NORTH;
-                        break;
-                    case CONFIG.TURN_TYPES.LEFT:
-                        exitDirection = CONFIG.DIRECTIONS.WEST;
-                        x = cx - roadDistance;
-                        y = cy - laneOffset;
-                        heading = CONFIG.HEADINGS.WEST;
-                        break;
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.EAST;
-                        x = cx + roadDistance;
-                        y = cy + laneOffset;
-                        heading = CONFIG.HEADINGS.EAST;
-                        break;
-                }
-                break;
-                
+                return { direction: exitDirection, x: lanePoint.x, y: cy + roadDistance, heading: CONFIG.HEADINGS.SOUTH };
             case CONFIG.DIRECTIONS.EAST:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.WEST;
-                        x = cx - roadDistance;
-                        y = cy + laneOffset;
-                        heading = CONFIG.HEADINGS.WEST;
-                        break;
-                    case CONFIG.TURN_TYPES.LEFT:
-                        exitDirection = CONFIG.DIRECTIONS.NORTH;
-                        x = cx - laneOffset;
-                        y = cy - roadDistance;
-                        heading = CONFIG.HEADINGS.NORTH;
-                        break;
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.SOUTH;
-                        x = cx + laneOffset;
-                        y = cy + roadDistance;
-                        heading = CONFIG.HEADINGS.SOUTH;
-                        break;
-                }
-                break;
-                
+                return { direction: exitDirection, x: cx + roadDistance, y: lanePoint.y, heading: CONFIG.HEADINGS.EAST };
             case CONFIG.DIRECTIONS.WEST:
-                switch (turnType) {
-                    case CONFIG.TURN_TYPES.STRAIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.EAST;
-                        x = cx + roadDistance;
-                        y = cy - laneOffset;
-                        heading = CONFIG.HEADINGS.EAST;
-                        break;
-                    case CONFIG.TURN_TYPES.LEFT:
-                        exitDirection = CONFIG.DIRECTIONS.SOUTH;
-                        x = cx + laneOffset;
-                        y = cy + roadDistance;
-                        heading = CONFIG.HEADINGS.SOUTH;
-                        break;
-                    case CONFIG.TURN_TYPES.RIGHT:
-                        exitDirection = CONFIG.DIRECTIONS.NORTH;
-                        x = cx - laneOffset;
-                        y = cy - roadDistance;
-                        heading = CONFIG.HEADINGS.NORTH;
-                        break;
-                }
-                break;
+            default:
+                return { direction: exitDirection, x: cx - roadDistance, y: lanePoint.y, heading: CONFIG.HEADINGS.WEST };
         }
-        
-        return { direction: exitDirection, x, y, heading };
     }
 
     degreesToRadians(degrees) {
@@ -383,9 +739,9 @@ calculateTargetPosition() {
     }
 
     updateExiting(dt) {
-        // Assign lane after turn
-        if (this.turnType === 'left') this.lane = 0;
-        else if (this.turnType === 'right') this.lane = 1;
+        // Assign lane after turn: left turns enter the inner lane, right turns the curb lane
+        if (this.turnType === 'left') this.lane = 1;
+        else if (this.turnType === 'right') this.lane = 0;
         // For straight, keep lane
         this.lateralPosition = 0; // Center in lane
 
@@ -394,8 +750,8 @@ calculateTargetPosition() {
             this.route = this.route.slice(1);
         }
 
-        // Continue moving at normal speed in the direction we're facing
-        this.speed = this.maxSpeed;
+        // Speed back up to the desired speed in the direction we're facing
+        this.accelerate(this.getIdmAcceleration(this.maxSpeed), dt);
 
         // Check if we've reached the edge of the canvas
         let hasExited = false;
@@ -426,20 +782,58 @@ calculateTargetPosition() {
     }
 
     render(ctx) {
-        // Don't render if car is hidden during turn
-        if (this.isHidden) return;
-        
         ctx.save();
-        // Move to car position and rotate
-        ctx.translate(this.x, this.y);
+        // Move to car position and rotate; lateralPosition shifts it to the right of its heading
+        ctx.translate(
+            this.x - Math.sin(this.angle) * this.lateralPosition,
+            this.y + Math.cos(this.angle) * this.lateralPosition
+        );
         ctx.rotate(this.angle);
-        // Draw car body
+        // Draw body; the front of the vehicle faces +x
+        const halfLength = this.width / 2;
+        const halfWidth = this.height / 2;
         ctx.fillStyle = this.color;
-        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
-        // Draw car details
+        ctx.fillRect(-halfLength, -halfWidth, this.width, this.height);
         ctx.fillStyle = '#333333';
-        ctx.fillRect(-this.width / 2 + 2, -this.height / 2 + 2, this.width - 4, 3); // Windshield
-        ctx.fillRect(-this.width / 2 + 2, this.height / 2 - 5, this.width - 4, 3); // Rear window
+        switch (this.vehicleType) {
+            case CONFIG.VEHICLE_TYPES.TRUCK:
+                // Cab in front of the trailer
+                ctx.fillRect(halfLength - 9, -halfWidth, 2, this.height);
+                ctx.fillRect(halfLength - 3, -halfWidth + 1, 2, this.height - 2); // Windshield
+                break;
+            case CONFIG.VEHICLE_TYPES.BUS:
+                // Row of windows down each side
+                for (let x = -halfLength + 3; x < halfLength - 4; x += 5) {
+                    ctx.fillRect(x, -halfWidth + 1, 3, 2);
+                    ctx.fillRect(x, halfWidth - 3, 3, 2);
+                }
+                ctx.fillRect(halfLength - 2, -halfWidth + 1, 1, this.height - 2); // Windshield
+                if (this.transitRoute !== null) {
+                    // Route buses carry a green roof stripe, lit while checked in for priority
+                    ctx.fillStyle = this.checkInTime !== null && this.checkOutTime === null ? '#00FF66' : '#008833';
+                    ctx.fillRect(-halfLength + 3, -1, this.width - 8, 2);
+                }
+                break;
+            case CONFIG.VEHICLE_TYPES.MOTORCYCLE:
+                // Rider
+                ctx.beginPath();
+                ctx.arc(0, 0, halfWidth, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case CONFIG.VEHICLE_TYPES.EMERGENCY: {
+                // Light bar flashing red and blue, alternating every quarter second
+                const flash = Math.floor(this.clock.now() / 250) % 2 === 0;
+                ctx.fillRect(halfLength - 4, -halfWidth + 1, 2, this.height - 2); // Windshield
+                ctx.fillStyle = flash ? '#FF0000' : '#0000FF';
+                ctx.fillRect(-2, -halfWidth, 4, halfWidth);
+                ctx.fillStyle = flash ? '#0000FF' : '#FF0000';
+                ctx.fillRect(-2, 0, 4, halfWidth);
+                break;
+            }
+            default:
+                ctx.fillRect(-halfLength + 2, -halfWidth + 2, this.width - 4, 3); // Windshield
+                ctx.fillRect(-halfLength + 2, halfWidth - 5, this.width - 4, 3); // Rear window
+        }
         ctx.restore();
     }
 
@@ -460,16 +854,30 @@ calculateTargetPosition() {
         return this.fromDirection;
     }
 
-    checkForCarAhead() {
-        // Get all cars from the car manager through intersection
+    checkForCarAhead(lane = this.lane) {
+        // Get all cars from the car manager through intersection, and the cyclists
+        // riding in the curb lane, who are followed like vehicles
         const allCars = this.intersection.carManager ? this.intersection.carManager.getCars() : [];
+        allCars.push(...this.intersection.getCyclistsInTraffic());
         
         let closestCar = null;
         let closestDistance = Infinity;
         
         for (const otherCar of allCars) {
-            if (otherCar.id === this.id || otherCar.fromDirection !== this.fromDirection) {
-                continue; // Skip self, cars from different directions, and cars in different lanes
+            if (otherCar === this || otherCar.fromDirection !== this.fromDirection) {
+                continue; // Skip self and cars from different directions
+            }
+            // and cars in other lanes, unless held there waiting to merge in clear ahead
+            const merging = otherCar.waitingToMerge && otherCar.getRequiredLane() === lane &&
+                this.getDistanceToCarAhead(otherCar) > (this.width + otherCar.width) / 2;
+            if (otherCar.lane !== lane && !merging) {
+                continue;
+            }
+            if (otherCar.turnType !== CONFIG.TURN_TYPES.STRAIGHT && otherCar.state === 'exiting') {
+                continue; // Turned vehicles have left this approach
+            }
+            if (otherCar.yieldingTo === this.id) {
+                continue; // Pulled aside to let this emergency vehicle through
             }
             
             // Check if the other car is ahead of this car
@@ -504,6 +912,14 @@ calculateTargetPosition() {
         return closestCar;
     }
 
+    // Nearest vehicle behind in the lane still on the approach
+    getCarBehind(lane = this.lane) {
+        const cars = this.intersection.getAllCars().filter(car => car !== this && car.fromDirection === this.fromDirection &&
+            car.lane === lane && (car.state === 'approaching' || car.state === 'waiting') && car.getDistanceToCarAhead(this) > 0);
+        return cars.reduce((nearest, car) =>
+            (nearest === null || car.getDistanceToCarAhead(this) < nearest.getDistanceToCarAhead(this) ? car : nearest), null);
+    }
+
     getDistanceToCarAhead(carAhead) {
         if (!carAhead) return Infinity;
         
@@ -521,19 +937,41 @@ calculateTargetPosition() {
         }
     }
 
+    // Snapshot support: every own field except the shared references
+    serialize() {
+        const { intersection, clock, ...state } = this;
+        return { ...state, route: [...this.route] };
+    }
+
+    static restore(data, intersection, clock) {
+        const car = new Car({
+            id: data.id,
+            direction: data.fromDirection,
+            intersection,
+            lane: data.lane,
+            color: data.color,
+            vehicleType: data.vehicleType,
+            clock
+        });
+        Object.assign(car, data, { route: [...data.route] });
+        return car;
+    }
+
     // ...existing code...
 }
 
 export class CarManager {
-    constructor(intersection) {
+    constructor(intersection, clock = new SimulationClock()) {
         this.intersection = intersection;
+        this.clock = clock;
         this.cars = [];
-        this.nextCarId = 1;
-        this.spawnTimer = 0;
+        this.pendingArrivals = []; // Arrivals waiting for their spawn point to clear
         this.settings = { ...CONFIG.DEFAULT_SETTINGS };
         
         // Callbacks
         this.onCarCompleted = null;
+        this.onCarSpawned = null;
+        this.onCarStateChanged = null; // (car, previousState)
         
         // Set reference in intersection for car-to-car communication
         this.intersection.carManager = this;
@@ -542,25 +980,31 @@ export class CarManager {
     initialize(settings) {
         this.settings = { ...settings };
         this.cars = [];
-        this.nextCarId = 1;
-        this.spawnTimer = 0;
+        this.pendingArrivals = [];
     }
 
-    update(deltaTime, lightStates) {
-        // Update spawn timer
-        this.spawnTimer += deltaTime;
-        
-        // Spawn new cars
-        const spawnInterval = (10000 / this.settings.CAR_SPAWN_RATE); // Convert rate to interval
-        if (this.spawnTimer >= spawnInterval) {
-            this.spawnCar();
-            this.spawnTimer = 0;
-        }
+    update(deltaTime, lightStates, arrivals = []) {
+        // Queue new arrivals (from DemandGenerator) and release those whose spawn point is clear.
+        // Blocked arrivals wait instead of being dropped, so every controller serves the same demand.
+        this.pendingArrivals.push(...arrivals);
+        this.pendingArrivals = this.pendingArrivals.filter(arrival => !this.spawnCar(arrival));
+        this.assignEmergencyYields();
 
         // Update existing cars
         this.cars.forEach(car => {
-            car.maxSpeed = this.settings.CAR_SPEED;
+            car.maxSpeed = this.settings.CAR_SPEED * car.speedFactor;
+            car.timeGap = this.settings.TIME_GAP / 1000;
+            car.minGap = this.settings.MIN_GAP;
+            car.reactionTime = this.settings.REACTION_TIME / 1000;
+            car.criticalGap = this.settings.CRITICAL_GAP / 1000;
+            car.followUpTime = this.settings.FOLLOW_UP_TIME / 1000;
+            car.yellowDuration = this.settings.YELLOW_DURATION / 1000;
+            car.allRedDuration = this.settings.ALL_RED_DURATION / 1000;
+            const previousState = car.state;
             car.update(deltaTime, lightStates);
+            if (car.state !== previousState && this.onCarStateChanged) {
+                this.onCarStateChanged(car, previousState);
+            }
         });
 
         // Remove completed cars
@@ -574,30 +1018,53 @@ export class CarManager {
         this.cars = this.cars.filter(car => !car.isCompleted());
     }
 
-    spawnCar() {
-        // Randomly choose a direction to spawn from
-        const directions = [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.SOUTH, CONFIG.DIRECTIONS.WEST];
-        const direction = directions[Math.floor(Math.random() * directions.length)];
-        
-        // Randomly choose a lane (0 or 1)
-        const lane = Math.floor(Math.random() * 2);
-        
-        // Check if there's space to spawn (no car too close to spawn point)
-        const spawnPoint = this.intersection.spawnPoints[direction];
-        const tooClose = this.cars.some(car => {
+    // Returns true if the arrival entered the road
+    spawnCar({ id, direction, lane, color, turnType, vehicleType, driverType, transitRoute = null }) {
+        // Check if there's space to spawn (no car too close to spawn point in the lane)
+        const spawnPoint = this.intersection.getSpawnPointForLane(direction, lane);
+        const tooClose = [...this.cars, ...this.intersection.getCyclistsInTraffic()].some(car => {
             const distance = utils.getDistance(car.x, car.y, spawnPoint.x, spawnPoint.y);
-            return car.fromDirection === direction && distance < 60;
+            return car.fromDirection === direction && car.lane === lane && distance < 60;
         });
 
-        if (!tooClose) {
-            const car = new Car({
-                id: this.nextCarId++,
-                direction: direction,
-                intersection: this.intersection,
-                lane: lane
-            });
-            this.cars.push(car);
+        if (tooClose) return false;
+
+        const car = new Car({
+            id: id,
+            direction: direction,
+            intersection: this.intersection,
+            lane: lane,
+            color: color,
+            turnType: turnType,
+            vehicleType: vehicleType,
+            driverType: driverType,
+            transitRoute: transitRoute,
+            clock: this.clock
+        });
+        this.cars.push(car);
+        if (this.onCarSpawned) {
+            this.onCarSpawned(car);
         }
+        return true;
+    }
+
+    // Cars just ahead of an emergency vehicle on its approach pull aside and hold
+    assignEmergencyYields() {
+        const emergencyVehicles = this.cars.filter(car => car.isEmergency() &&
+            (car.state === 'approaching' || car.state === 'waiting'));
+
+        this.cars.forEach(car => {
+            car.yieldingTo = null;
+            if (car.isEmergency() || (car.state !== 'approaching' && car.state !== 'waiting')) return;
+            const emergencyVehicle = emergencyVehicles.find(vehicle => {
+                if (vehicle.fromDirection !== car.fromDirection) return false;
+                const distance = vehicle.getDistanceToCarAhead(car);
+                return distance > 0 && distance < CONFIG.EMERGENCY_YIELD_DISTANCE;
+            });
+            if (emergencyVehicle) {
+                car.yieldingTo = emergencyVehicle.id;
+            }
+        });
     }
 
     render(ctx) {
@@ -606,8 +1073,21 @@ export class CarManager {
 
     reset() {
         this.cars = [];
-        this.nextCarId = 1;
-        this.spawnTimer = 0;
+        this.pendingArrivals = [];
+    }
+
+    serialize() {
+        return {
+            settings: { ...this.settings },
+            cars: this.cars.map(car => car.serialize()),
+            pendingArrivals: this.pendingArrivals.map(arrival => ({ ...arrival }))
+        };
+    }
+
+    restore({ settings, cars, pendingArrivals = [] }) {
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS, ...settings };
+        this.cars = cars.map(carData => Car.restore(carData, this.intersection, this.clock));
+        this.pendingArrivals = pendingArrivals.map(arrival => ({ ...arrival }));
     }
 
     updateSettings(settings) {
@@ -626,4 +1106,8 @@ export class CarManager {
     getCurrentCarCount() {
         return this.cars.length;
     }
+
+    getPendingArrivalCount() {
+        return this.pendingArrivals.length;
+    }
 }
\ No newline at end of file
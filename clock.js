@@ -0,0 +1,28 @@
+// Simulated clock in milliseconds. Only Simulation.step() advances it, so
+// pausing freezes time and fast-forwarding speeds it up; every time-dependent
+// module reads now() from here instead of Date.now().
+export class SimulationClock {
+    constructor() {
+        this.time = 0;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    reset() {
+        this.time = 0;
+    }
+
+    serialize() {
+        return { time: this.time };
+    }
+
+    restore(data) {
+        this.time = data.time;
+    }
+}
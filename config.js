@@ -3,6 +3,16 @@ export const CONFIG = {
     CANVAS_WIDTH: 1200,
     CANVAS_HEIGHT: 1200,
 
+    // Simulation settings
+    SIMULATION_STEP: 1000 / 60, // Fixed simulation tick in ms (browser and headless)
+    TIME_SCALE_RANGE: [0.25, 100], // Playback speed multipliers
+    MAX_FRAME_DELTA: 250,         // Longer frames (tab in background) are clamped
+    FRAME_BUDGET: 12,             // Max ms of real time spent simulating per frame
+    SNAPSHOT_VERSION: 3,          // Bump only when old snapshots no longer restore; new state defaults on load
+    SCENARIO_VERSION: 2,          // Bump only when old scenario files no longer read the same; new fields default
+    REPLAY_KEYFRAME_INTERVAL: 10000, // Replay keyframe spacing in simulated ms
+    REPLAY_MAX_KEYFRAMES: 60,     // Beyond this the keyframes are thinned out (see replay.js)
+
     // Intersection settings
     INTERSECTION_SIZE: 120,
     ROAD_WIDTH: 60,   // Width for 4 total lanes
@@ -21,6 +31,59 @@ export const CONFIG = {
         "#000000", // black
         "#888888"  // gray
     ],
+    STOP_POINT_SETBACK: 30, // Vehicles held at the stop line stand this far short of it, centre to line (px)
+
+    // Intelligent Driver Model car-following (see Car.getFollowingAcceleration). The
+    // time gap, minimum gap and reaction time are settings; a standing vehicle pulls
+    // away once the model asks for more than startThreshold of its acceleration, and
+    // one braking below stoppedSpeed (px/s) comes to a halt.
+    CAR_FOLLOWING: { accelerationExponent: 4, startThreshold: 0.1, stoppedSpeed: 0.5 },
+
+    // MOBIL lane changes between the two lanes of an approach (see Car.considerLaneChange),
+    // reconsidered every decisionInterval (s). Those are all the lanes traffic can change
+    // into: the other two lanes of each road carry the oncoming approach, and beyond the
+    // stop line vehicles keep to their turn path. Through vehicles move over when what they
+    // gain in acceleration, less politeness times what it costs the vehicles behind, is
+    // more than threshold (px/s²). Turning vehicles must reach the lane their turn is made
+    // from and hold short of endDistance (px) before the stop line until they can; other
+    // changes end there. No change may make the new follower brake harder than
+    // safeDeceleration (px/s²). Vehicles slide across at lateralSpeed (px/s).
+    LANE_CHANGING: { decisionInterval: 0.5, politeness: 0.3, threshold: 3, safeDeceleration: 40, endDistance: 50, lateralSpeed: 12 },
+
+    // Vehicle classes. width is measured along the direction of travel, like CAR_WIDTH;
+    // accelerations are in px/s², and desired speed is speedFactor times CAR_SPEED.
+    // acceleration is the most a vehicle pulls away with, comfortableDeceleration how
+    // hard it brakes in normal traffic and deceleration the most it can brake.
+    VEHICLE_TYPES: {
+        CAR: 'car',
+        TRUCK: 'truck',
+        BUS: 'bus',
+        MOTORCYCLE: 'motorcycle',
+        EMERGENCY: 'emergency'
+    },
+    VEHICLE_CLASSES: {
+        car: { label: 'Passenger car', width: 16, height: 8, acceleration: 30, comfortableDeceleration: 20, deceleration: 60, speedFactor: 1, heavy: false },
+        truck: { label: 'Truck', width: 30, height: 10, acceleration: 12, comfortableDeceleration: 12, deceleration: 35, speedFactor: 0.85, heavy: true, colors: ['#8B4513', '#556B2F', '#708090'] },
+        bus: { label: 'Bus', width: 34, height: 10, acceleration: 15, comfortableDeceleration: 14, deceleration: 40, speedFactor: 0.9, heavy: true, colors: ['#1E90FF', '#FFD700'] },
+        motorcycle: { label: 'Motorcycle', width: 10, height: 5, acceleration: 45, comfortableDeceleration: 25, deceleration: 70, speedFactor: 1.1, heavy: false },
+        // Dispatched or scheduled, never part of the mix
+        emergency: { label: 'Emergency vehicle', width: 20, height: 9, acceleration: 35, comfortableDeceleration: 25, deceleration: 70, speedFactor: 1.3, heavy: false, emergency: true, colors: ['#F8F8F8'] }
+    },
+    DEFAULT_VEHICLE_MIX: { car: 0.88, truck: 0.06, bus: 0.02, motorcycle: 0.04 },
+    EMERGENCY_YIELD_DISTANCE: 250, // Vehicles this far ahead of an emergency vehicle on its approach pull aside (px)
+    EMERGENCY_PULL_ASIDE: 6,       // Lateral offset of a vehicle pulled aside (px)
+
+    // How drivers treat the onset of yellow (see Car.decideOnYellow). Holding their
+    // speed, a driver goes on if they would reach the stop line no later than
+    // redTolerance (ms) after the red, negative meaning before it; otherwise
+    // they stop if they can, after their reaction time, braking no harder than
+    // stopBraking times their vehicle's comfortable deceleration.
+    DRIVER_TYPES: {
+        cautious: { label: 'Cautious', stopBraking: 1.5, redTolerance: -1500 },
+        typical: { label: 'Typical', stopBraking: 1, redTolerance: -500 },
+        redRunner: { label: 'Red runner', stopBraking: 1, redTolerance: 2000 }
+    },
+    DEFAULT_DRIVER_MIX: { cautious: 0.25, typical: 0.7, redRunner: 0.05 },
 
     // Directions
     DIRECTIONS: {
@@ -43,6 +106,20 @@ export const CONFIG = {
         ADAPTIVE: 'adaptive'
     },
 
+    // Arrival processes, selectable per approach (see arrivals.js)
+    ARRIVAL_MODELS: {
+        UNIFORM: 'uniform',
+        POISSON: 'poisson',
+        SHIFTED_EXPONENTIAL: 'shiftedExponential',
+        PLATOONED: 'platooned'
+    },
+
+    // Arrival model parameters in seconds
+    DEFAULT_ARRIVAL_PARAMS: {
+        shiftedExponential: { minHeadway: 1.5 },
+        platooned: { cycle: 90, green: 40, offset: 0, saturationHeadway: 2 }
+    },
+
     // Light settings
     LIGHT_SIZE: 12,
 
@@ -53,24 +130,55 @@ export const CONFIG = {
         GREEN: 'green'
     },
 
+    // Pedestrian signal states
+    PEDESTRIAN_SIGNALS: {
+        WALK: 'walk',
+        FLASHING_DONT_WALK: 'flashingDontWalk',
+        DONT_WALK: 'dontWalk'
+    },
+    CROSSWALK_WIDTH: 10, // Width of the zebra crossing on each leg (px)
+
+    // Cyclists, sized and accelerating like the vehicle classes (px, px/s²)
+    BICYCLE: { length: 8, width: 3, acceleration: 10, deceleration: 25 },
+    BICYCLE_GAP: 4,           // Gap a cyclist keeps to whatever rides ahead (px)
+    BIKE_LANE_WIDTH: 6,       // Bike lanes run along the curb (px)
+    BIKE_BOX_DEPTH: 20,       // Advanced stop area between the vehicle stop point and the stop line (px)
+    BICYCLE_CONFLICT_DISTANCE: 40, // Right-turning vehicles give way to cyclists up to this far behind them (px)
+
     // Default settings
     DEFAULT_SETTINGS: {
         GREEN_DURATION: 100000,      // 100 seconds
         YELLOW_DURATION: 5000,       // 5 seconds
         RED_DURATION: 100000,        // 100 seconds
+        ALL_RED_DURATION: 3000,      // All-red clearance between the yellow and the next green
         CAR_SPAWN_RATE: 4,           // cars per 10 seconds
         CAR_SPEED: 25,               // pixels per second
+        TIME_GAP: 1000,              // Desired time headway to the vehicle ahead when following
+        MIN_GAP: 8,                  // Bumper-to-bumper gap kept to the vehicle ahead when standing (px)
+        REACTION_TIME: 800,          // Delay before a standing vehicle pulls away once it is free to go
+        CRITICAL_GAP: 4500,          // Smallest gap in oncoming traffic a permissive left turn accepts
+        FOLLOW_UP_TIME: 2500,        // Headway between left turners taking the same gap
         TURN_RATE: 0.4,              // 40% chance to turn (20% left, 20% right)
     DETECTOR_DISTANCE: 500,      // Increased range for adaptive mode
-        MIN_GREEN_TIME: 5000         // 5 seconds minimum green
+        MIN_GREEN_TIME: 5000,        // 5 seconds minimum green
+        PREEMPTION_DETECTOR_DISTANCE: 400, // Emergency vehicles call preemption this far from the stop line (px)
+        PREEMPTION_ALL_RED: 2000,    // All-red clearance entering and leaving preemption
+        PREEMPTION_MIN_DWELL: 5000,  // Shortest green held for the emergency approach
+        TRANSIT_PRIORITY: true,      // Give route buses early green or green extension
+        PRIORITY_CHECK_IN_DISTANCE: 300, // Route buses check in this far from the stop line (px)
+        PRIORITY_MAX_EXTENSION: 10000, // Longest a green is held for a checked-in bus
+        PRIORITY_MAX_EARLY_GREEN: 10000, // Most a fixed-time green is cut short for a bus on red
+        MAX_GREEN_TIME: 60000,       // Adaptive greens are not held for queues or buses beyond this
+        PEDESTRIAN_RATE: 0,          // Pedestrians per hour on each crosswalk
+        PEDESTRIAN_SPEED: 5,         // Walking speed, which also sizes the clearance interval (px/s)
+        PEDESTRIAN_WALK_TIME: 7000,  // WALK interval before flashing DON'T WALK
+        BICYCLE_RATE: 0,             // Cyclists per hour on each approach
+        BICYCLE_SPEED: 15,           // Cruising speed of cyclists (px/s)
+        LEADING_BICYCLE_INTERVAL: 0  // Cyclists get green this long before vehicles on the same approach
     },
 
-    // Turn delays (based on arc length / speed)
-    TURN_DELAYS: {
-        LEFT: 2000,    // 2 seconds for left turn
-        RIGHT: 1500,   // 1.5 seconds for right turn
-        STRAIGHT: 0    // No delay for straight
-    },
+    // Turning speed limit: v = sqrt(a * r) on the turn's radius, in pixels per second squared
+    TURN_LATERAL_ACCELERATION: 15,
 
     // Heading angles in degrees
     HEADINGS: {
@@ -82,6 +190,7 @@ export const CONFIG = {
 
     // Adaptive mode settings
     ADAPTIVE_SETTINGS: {
-    DETECTOR_DISTANCE_RANGE: [100, 500] // 100 to 500 pixels
+    DETECTOR_DISTANCE_RANGE: [100, 500], // 100 to 500 pixels
+        QUEUE_DISCHARGE_GAP: 4000 // A green held for a standing queue ends once no vehicle has left for this long (ms)
     }
 };
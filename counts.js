@@ -0,0 +1,261 @@
+import { CONFIG } from './config.js';
+
+// Turning movement counts: the standard 15-minute count sheet as CSV, one row
+// per interval and approach, with a header row naming the columns:
+//
+//   interval,approach,left,through,right,heavy
+//   07:00,north,12,85,20,6
+//   07:00,east,30,140,18,11
+//   07:15,north,15,92,22,4
+//   ...
+//
+// interval is the start of the count period (HH:MM or HH:MM:SS; a range such as
+// 07:00-07:15 is read by its start). approach is the leg vehicles arrive on
+// (north, east, south, west or N, E, S, W) or their direction of travel
+// (northbound or NB arrives on the south leg, and so on). heavy is the number of
+// heavy vehicles among the row's left + through + right and may be left out.
+// Approaches that never appear carry no traffic; intervals must follow each other
+// without gaps, and every approach that is counted needs a row in every interval.
+
+const INTERVAL_SECONDS = 15 * 60;
+
+const COLUMN_ALIASES = {
+    interval: ['interval', 'time', 'start', 'period'],
+    approach: ['approach', 'leg'],
+    left: ['left', 'lt', 'l'],
+    through: ['through', 'thru', 'th', 't'],
+    right: ['right', 'rt', 'r'],
+    heavy: ['heavy', 'heavyvehicles', 'hv', 'trucks']
+};
+
+const APPROACH_ALIASES = {
+    north: CONFIG.DIRECTIONS.NORTH, n: CONFIG.DIRECTIONS.NORTH, southbound: CONFIG.DIRECTIONS.NORTH, sb: CONFIG.DIRECTIONS.NORTH,
+    east: CONFIG.DIRECTIONS.EAST, e: CONFIG.DIRECTIONS.EAST, westbound: CONFIG.DIRECTIONS.EAST, wb: CONFIG.DIRECTIONS.EAST,
+    south: CONFIG.DIRECTIONS.SOUTH, s: CONFIG.DIRECTIONS.SOUTH, northbound: CONFIG.DIRECTIONS.SOUTH, nb: CONFIG.DIRECTIONS.SOUTH,
+    west: CONFIG.DIRECTIONS.WEST, w: CONFIG.DIRECTIONS.WEST, eastbound: CONFIG.DIRECTIONS.WEST, eb: CONFIG.DIRECTIONS.WEST
+};
+
+// Returns { startTime, intervalSeconds, approaches, intervals }, where each interval is
+// { time (s from the first), label, counts: { [approach]: { left, through, right, heavy } } }.
+// Throws listing every malformed row.
+export function parseTurningMovementCounts(text) {
+    const lines = text.split(/\r?\n/)
+        .map((line, index) => ({ number: index + 1, fields: splitCsvLine(line) }))
+        .filter(line => line.fields.some(field => field !== ''));
+    if (lines.length < 2) {
+        throw new Error('Invalid turning movement counts:\n- expected a header row and at least one count row');
+    }
+
+    const errors = [];
+    const columns = {};
+    const header = lines[0].fields.map(field => field.toLowerCase().replace(/[^a-z]/g, ''));
+    Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+        const index = header.findIndex(name => aliases.includes(name));
+        if (index >= 0) {
+            columns[column] = index;
+        } else if (column !== 'heavy') {
+            errors.push(`header has no ${column} column (found ${lines[0].fields.join(', ')})`);
+        }
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid turning movement counts:\n- ${errors.join('\n- ')}`);
+    }
+
+    const rows = [];
+    const seen = new Set();
+    lines.slice(1).forEach(({ number, fields }) => {
+        const rowErrors = [];
+        const field = (column) => (columns[column] !== undefined ? fields[columns[column]] : undefined);
+        if (fields.length !== lines[0].fields.length) {
+            rowErrors.push(`has ${fields.length} fields; the header has ${lines[0].fields.length}`);
+        }
+
+        const time = parseTimeOfDay(field('interval'));
+        if (time === null) {
+            rowErrors.push(`interval "${field('interval') || ''}" is not a time such as 07:00`);
+        }
+        const approach = APPROACH_ALIASES[(field('approach') || '').toLowerCase()];
+        if (!approach) {
+            rowErrors.push(`approach "${field('approach') || ''}" is not one of north, east, south, west (or N/E/S/W, NB/SB/EB/WB)`);
+        }
+
+        const counts = {};
+        ['left', 'through', 'right', 'heavy'].forEach(column => {
+            const value = field(column);
+            if (column === 'heavy' && (value === undefined || value === '')) {
+                counts.heavy = 0;
+            } else if (!/^\d+$/.test(value || '')) {
+                rowErrors.push(`${column} "${value || ''}" must be a whole number of vehicles`);
+            } else {
+                counts[column] = parseInt(value, 10);
+            }
+        });
+        if (rowErrors.length === 0 && counts.heavy > counts.left + counts.through + counts.right) {
+            rowErrors.push(`heavy (${counts.heavy}) exceeds the row total (${counts.left + counts.through + counts.right})`);
+        }
+
+        const key = `${time}|${approach}`;
+        if (rowErrors.length === 0 && seen.has(key)) {
+            rowErrors.push(`repeats ${approach} for interval ${formatTimeOfDay(time)}`);
+        }
+        seen.add(key);
+
+        if (rowErrors.length > 0) {
+            rowErrors.forEach(error => errors.push(`line ${number}: ${error}`));
+        } else {
+            rows.push({ time, approach, counts });
+        }
+    });
+
+    if (errors.length === 0) {
+        errors.push(...validateIntervals(rows));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid turning movement counts:\n- ${errors.join('\n- ')}`);
+    }
+
+    const startTime = Math.min(...rows.map(row => row.time));
+    const approaches = Object.values(CONFIG.DIRECTIONS).filter(direction => rows.some(row => row.approach === direction));
+    const intervals = [];
+    rows.forEach(row => {
+        const index = (row.time - startTime) / INTERVAL_SECONDS;
+        if (!intervals[index]) {
+            intervals[index] = { time: row.time - startTime, label: formatTimeOfDay(row.time), counts: {} };
+        }
+        intervals[index].counts[row.approach] = row.counts;
+    });
+
+    return { startTime: formatTimeOfDay(startTime), intervalSeconds: INTERVAL_SECONDS, approaches, intervals };
+}
+
+// Scenario replaying the counts: each approach's demand steps to its 15-minute flow
+// rate and stops when the count period ends, and each interval's turning fractions
+// apply to the vehicles arriving in it. Arrivals within an interval are random
+// (Poisson); both controllers are compared unless overridden. Heavy vehicles make
+// up the truck share of the vehicle mix, over the whole count period.
+export function countsToScenario(counts, { name, description, seed, controllers } = {}) {
+    const demand = {};
+    const turning = {};
+    const durationSeconds = counts.intervals.length * counts.intervalSeconds;
+
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        if (!counts.approaches.includes(direction)) {
+            demand[direction] = 0;
+            return;
+        }
+
+        demand[direction] = [];
+        turning[direction] = [];
+        let previous = { left: 0, through: 1, right: 0 };
+        counts.intervals.forEach(interval => {
+            const { left, through, right } = interval.counts[direction];
+            const total = left + through + right;
+            const rate = total * 3600 / counts.intervalSeconds;
+            demand[direction].push(
+                { time: interval.time, rate },
+                { time: interval.time + counts.intervalSeconds, rate }
+            );
+
+            // An interval without traffic keeps the previous split
+            const movement = total > 0 ? { left: left / total, through: through / total, right: right / total } : previous;
+            turning[direction].push({ time: interval.time, ...movement });
+            previous = movement;
+        });
+        demand[direction].push({ time: durationSeconds, rate: 0 });
+    });
+
+    const arrivals = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        arrivals[direction] = CONFIG.ARRIVAL_MODELS.POISSON;
+    });
+    const endTime = formatTimeOfDay(parseTimeOfDay(counts.startTime) + durationSeconds);
+
+    let total = 0;
+    let heavy = 0;
+    counts.intervals.forEach(interval => {
+        Object.values(interval.counts).forEach(row => {
+            total += row.left + row.through + row.right;
+            heavy += row.heavy;
+        });
+    });
+    const heavyShare = total > 0 ? heavy / total : 0;
+
+    const scenario = {
+        version: CONFIG.SCENARIO_VERSION,
+        name: name || `Counts ${counts.startTime}-${endTime}`,
+        description: description || `Turning movement counts ${counts.startTime}-${endTime}, ${counts.intervals.length} intervals of ${counts.intervalSeconds / 60} min`,
+        durationSeconds,
+        demand,
+        arrivals,
+        turning,
+        vehicles: { mix: { car: 1 - heavyShare, truck: heavyShare } },
+        controllers: controllers || [{ type: CONFIG.MODES.FIXED }, { type: CONFIG.MODES.ADAPTIVE }]
+    };
+    if (seed !== undefined) {
+        scenario.seed = seed;
+    }
+    return scenario;
+}
+
+function validateIntervals(rows) {
+    const errors = [];
+    const times = [...new Set(rows.map(row => row.time))].sort((a, b) => a - b);
+    const approaches = [...new Set(rows.map(row => row.approach))];
+
+    times.forEach((time, index) => {
+        const offset = time - times[0];
+        if (offset % INTERVAL_SECONDS !== 0) {
+            errors.push(`interval ${formatTimeOfDay(time)} is not on the 15-minute grid starting at ${formatTimeOfDay(times[0])}`);
+        } else if (index > 0 && time - times[index - 1] > INTERVAL_SECONDS) {
+            errors.push(`no counts between ${formatTimeOfDay(times[index - 1])} and ${formatTimeOfDay(time)}`);
+        }
+        approaches.filter(approach => !rows.some(row => row.time === time && row.approach === approach)).forEach(approach => {
+            errors.push(`interval ${formatTimeOfDay(time)} has no row for ${approach}`);
+        });
+    });
+    return errors;
+}
+
+// Seconds since midnight, or null
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*-.*)?$/.exec((value || '').trim());
+    if (!match) return null;
+    const [hours, minutes, seconds] = [match[1], match[2], match[3] || '0'].map(part => parseInt(part, 10));
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+function formatTimeOfDay(seconds) {
+    const hours = Math.floor(seconds / 3600) % 24;
+    const minutes = Math.floor(seconds % 3600 / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Fields of one CSV line; double-quoted fields may contain commas
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
@@ -0,0 +1,731 @@
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { SeededRandom } from './random.js';
+import { SimulationClock } from './clock.js';
+import { createArrivalProcess, normalizeArrivalModel } from './arrivals.js';
+import { Car } from './cars.js';
+
+// Demand profiles are piecewise linear over simulated time: a list of
+// { time, rate } points with time in seconds and rate in vehicles per hour.
+// The rate holds at the first point's value before it and at the last after it;
+// two points at the same time make a step.
+
+// Accepts a constant rate or a profile; returns a sorted copy of the profile
+export function normalizeProfile(value) {
+    const profile = typeof value === 'number' ? [{ time: 0, rate: value }] : value;
+    return profile.map(point => ({ time: point.time, rate: point.rate }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Returns a list of problems; empty when the profile is valid
+export function validateProfile(value, label = 'profile') {
+    const isNumber = (number) => typeof number === 'number' && Number.isFinite(number);
+    if (isNumber(value)) {
+        return value >= 0 ? [] : [`${label} must be a non-negative rate in veh/h`];
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+        return [`${label} must be a rate in veh/h or a non-empty list of { time, rate } points`];
+    }
+    const errors = [];
+    value.forEach((point, index) => {
+        if (!point || !isNumber(point.time) || point.time < 0) {
+            errors.push(`${label}[${index}].time must be a non-negative number of seconds`);
+        }
+        if (!point || !isNumber(point.rate) || point.rate < 0) {
+            errors.push(`${label}[${index}].rate must be a non-negative rate in veh/h`);
+        }
+    });
+    return errors;
+}
+
+export function getProfileRate(profile, timeSeconds) {
+    if (timeSeconds <= profile[0].time) return profile[0].rate;
+
+    for (let i = 1; i < profile.length; i++) {
+        const start = profile[i - 1];
+        const end = profile[i];
+        if (timeSeconds < end.time) {
+            const fraction = (timeSeconds - start.time) / (end.time - start.time);
+            return utils.lerp(start.rate, end.rate, fraction);
+        }
+    }
+    return profile[profile.length - 1].rate;
+}
+
+// Turning movements per approach are fractions { left, through, right } adding up to 1.
+// They may also be given as an origin-destination row, fractions keyed by the leg the
+// vehicles leave by, e.g. { east: 0.2, south: 0.7, west: 0.1 } for the north approach.
+const MOVEMENT_TURN_TYPES = {
+    left: CONFIG.TURN_TYPES.LEFT,
+    through: CONFIG.TURN_TYPES.STRAIGHT,
+    right: CONFIG.TURN_TYPES.RIGHT
+};
+
+// Accepts movement fractions or an OD row for the approach; returns { left, through, right }
+export function normalizeTurningMovement(direction, value) {
+    const isMovement = Object.keys(value).some(key => key in MOVEMENT_TURN_TYPES);
+    const movement = {};
+    Object.entries(MOVEMENT_TURN_TYPES).forEach(([key, turnType]) => {
+        const fraction = isMovement ? value[key] : value[Car.getExitDirection(direction, turnType)];
+        movement[key] = fraction || 0;
+    });
+    return movement;
+}
+
+// Returns a list of problems; empty when the movement is valid
+export function validateTurningMovement(direction, value, label = 'turning') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${label} must give left, through and right fractions or fractions per destination leg`];
+    }
+    const destinations = Object.values(MOVEMENT_TURN_TYPES).map(turnType => Car.getExitDirection(direction, turnType));
+    const keys = Object.keys(value);
+    const isMovement = keys.every(key => key in MOVEMENT_TURN_TYPES);
+    if (!isMovement && !keys.every(key => destinations.includes(key))) {
+        return [`${label} keys must be left, through and right, or destination legs ${destinations.join(', ')}`];
+    }
+
+    const fractions = Object.values(value);
+    if (!fractions.every(fraction => typeof fraction === 'number' && fraction >= 0 && fraction <= 1)) {
+        return [`${label} fractions must be numbers between 0 and 1`];
+    }
+    if (Math.abs(fractions.reduce((sum, fraction) => sum + fraction, 0) - 1) > 1e-6) {
+        return [`${label} fractions must add up to 1`];
+    }
+    return [];
+}
+
+// Turning may also vary over time: a list of { time, ...movement } entries, time in
+// seconds, each holding until the next one (e.g. one per 15-minute count interval).
+// Both forms are normalized to a sorted schedule; a constant movement is one entry at 0.
+export function normalizeTurningSchedule(direction, value) {
+    const entries = Array.isArray(value) ? value : [{ time: 0, ...value }];
+    return entries.map(entry => ({ time: entry.time, ...normalizeTurningMovement(direction, entry) }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Returns a list of problems; empty when the movement or schedule is valid
+export function validateTurningSchedule(direction, value, label = 'turning') {
+    if (!Array.isArray(value)) {
+        return validateTurningMovement(direction, value, label);
+    }
+    if (value.length === 0) {
+        return [`${label} must be a movement or a non-empty list of { time, ...movement } entries`];
+    }
+    const errors = [];
+    value.forEach((entry, index) => {
+        if (!entry || typeof entry.time !== 'number' || !Number.isFinite(entry.time) || entry.time < 0) {
+            errors.push(`${label}[${index}].time must be a non-negative number of seconds`);
+            return;
+        }
+        const movement = {};
+        Object.keys(entry).filter(key => key !== 'time').forEach(key => {
+            movement[key] = entry[key];
+        });
+        errors.push(...validateTurningMovement(direction, movement, `${label}[${index}]`));
+    });
+    return errors;
+}
+
+// Movement in force at timeSeconds; the first entry also covers any time before it
+export function getTurningMovementAt(schedule, timeSeconds) {
+    let current = schedule[0];
+    for (let i = 1; i < schedule.length && schedule[i].time <= timeSeconds; i++) {
+        current = schedule[i];
+    }
+    return { left: current.left, through: current.through, right: current.right };
+}
+
+// Vehicle mix: fractions per vehicle class (CONFIG.VEHICLE_CLASSES) adding up to 1.
+// Classes left out do not occur; emergency vehicles only come from the emergency schedule.
+const MIX_VEHICLE_TYPES = Object.values(CONFIG.VEHICLE_TYPES).filter(type => !CONFIG.VEHICLE_CLASSES[type].emergency);
+
+export function normalizeVehicleMix(mix) {
+    const normalized = {};
+    MIX_VEHICLE_TYPES.forEach(type => {
+        normalized[type] = mix[type] || 0;
+    });
+    return normalized;
+}
+
+// Returns a list of problems; empty when the mix is valid
+export function validateVehicleMix(mix, label = 'vehicle mix') {
+    return validateFractions(mix, MIX_VEHICLE_TYPES, 'vehicle class', label);
+}
+
+// Driver mix: fractions per driver type (CONFIG.DRIVER_TYPES) adding up to 1
+const DRIVER_TYPES = Object.keys(CONFIG.DRIVER_TYPES);
+
+export function normalizeDriverMix(mix) {
+    const normalized = {};
+    DRIVER_TYPES.forEach(type => {
+        normalized[type] = mix[type] || 0;
+    });
+    return normalized;
+}
+
+export function validateDriverMix(mix, label = 'driver mix') {
+    return validateFractions(mix, DRIVER_TYPES, 'driver type', label);
+}
+
+function validateFractions(mix, types, kind, label) {
+    if (!mix || typeof mix !== 'object' || Array.isArray(mix)) {
+        return [`${label} must give fractions per ${kind} (${types.join(', ')})`];
+    }
+    const errors = [];
+    Object.entries(mix).forEach(([type, fraction]) => {
+        if (!types.includes(type)) {
+            errors.push(`${label} has unknown ${kind} ${type}; expected one of ${types.join(', ')}`);
+        } else if (typeof fraction !== 'number' || !(fraction >= 0 && fraction <= 1)) {
+            errors.push(`${label}.${type} must be a fraction between 0 and 1`);
+        }
+    });
+    if (errors.length === 0 && Math.abs(Object.values(mix).reduce((sum, fraction) => sum + fraction, 0) - 1) > 1e-6) {
+        errors.push(`${label} fractions must add up to 1`);
+    }
+    return errors;
+}
+
+// Emergency vehicles: a list of { time (s), approach, turn } dispatches, turn being
+// left, through or right (default through)
+export function normalizeEmergencyVehicles(list) {
+    return list.map(entry => ({ time: entry.time, approach: entry.approach, turn: entry.turn || 'through' }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Bus routes: a list of { name, approach, turn, headway (s), offset (s) }. Buses run
+// every headway seconds from offset (default 0); turn defaults to through.
+export function normalizeBusRoutes(list) {
+    return list.map(route => ({
+        name: String(route.name),
+        approach: route.approach,
+        turn: route.turn || 'through',
+        headway: route.headway,
+        offset: route.offset || 0
+    }));
+}
+
+// Returns a list of problems; empty when the list is valid
+export function validateBusRoutes(list, label = 'bus routes') {
+    if (!Array.isArray(list)) {
+        return [`${label} must be a list of { name, approach, turn, headway, offset } routes`];
+    }
+    const errors = [];
+    const directions = Object.values(CONFIG.DIRECTIONS);
+    const names = new Set();
+    list.forEach((route, index) => {
+        if (!route || (typeof route.name !== 'string' && typeof route.name !== 'number') || String(route.name) === '') {
+            errors.push(`${label}[${index}].name must be a route name`);
+        } else if (names.has(String(route.name))) {
+            errors.push(`${label}[${index}].name repeats route ${route.name}`);
+        } else {
+            names.add(String(route.name));
+        }
+        if (!route || !directions.includes(route.approach)) {
+            errors.push(`${label}[${index}].approach must be one of ${directions.join(', ')}`);
+        }
+        if (route && route.turn !== undefined && !(route.turn in MOVEMENT_TURN_TYPES)) {
+            errors.push(`${label}[${index}].turn must be one of ${Object.keys(MOVEMENT_TURN_TYPES).join(', ')}`);
+        }
+        if (!route || typeof route.headway !== 'number' || !Number.isFinite(route.headway) || route.headway <= 0) {
+            errors.push(`${label}[${index}].headway must be a positive number of seconds`);
+        }
+        if (route && route.offset !== undefined && !(typeof route.offset === 'number' && Number.isFinite(route.offset) && route.offset >= 0)) {
+            errors.push(`${label}[${index}].offset must be a non-negative number of seconds`);
+        }
+    });
+    return errors;
+}
+
+// Pedestrian and bicycle demand per hour: one rate for every leg, or rates per leg
+// (the crosswalk pedestrians use, the approach cyclists ride in on; legs left out
+// have none)
+export function normalizeLegRates(value) {
+    const rates = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        rates[direction] = typeof value === 'number' ? value : value[direction] || 0;
+    });
+    return rates;
+}
+
+// Returns a list of problems; empty when the rates are valid
+export function validatePedestrianRates(value, label = 'pedestrian rates') {
+    return validateLegRates(value, label, 'ped/h', 'crosswalk');
+}
+
+export function validateBicycleRates(value, label = 'bicycle rates') {
+    return validateLegRates(value, label, 'bikes/h', 'approach');
+}
+
+function validateLegRates(value, label, unit, legName) {
+    const isRate = (rate) => typeof rate === 'number' && Number.isFinite(rate) && rate >= 0;
+    if (typeof value === 'number') {
+        return isRate(value) ? [] : [`${label} must be a non-negative rate in ${unit}`];
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${label} must be a rate in ${unit} or rates per ${legName}`];
+    }
+    const errors = [];
+    const directions = Object.values(CONFIG.DIRECTIONS);
+    Object.entries(value).forEach(([direction, rate]) => {
+        if (!directions.includes(direction)) {
+            errors.push(`${label} has unknown ${legName} ${direction}; expected one of ${directions.join(', ')}`);
+        } else if (!isRate(rate)) {
+            errors.push(`${label}.${direction} must be a non-negative rate in ${unit}`);
+        }
+    });
+    return errors;
+}
+
+// Returns a list of problems; empty when the list is valid
+export function validateEmergencyVehicles(list, label = 'emergency vehicles') {
+    if (!Array.isArray(list)) {
+        return [`${label} must be a list of { time, approach, turn } entries`];
+    }
+    const errors = [];
+    const directions = Object.values(CONFIG.DIRECTIONS);
+    list.forEach((entry, index) => {
+        if (!entry || typeof entry.time !== 'number' || !Number.isFinite(entry.time) || entry.time < 0) {
+            errors.push(`${label}[${index}].time must be a non-negative number of seconds`);
+        }
+        if (!entry || !directions.includes(entry.approach)) {
+            errors.push(`${label}[${index}].approach must be one of ${directions.join(', ')}`);
+        }
+        if (entry && entry.turn !== undefined && !(entry.turn in MOVEMENT_TURN_TYPES)) {
+            errors.push(`${label}[${index}].turn must be one of ${Object.keys(MOVEMENT_TURN_TYPES).join(', ')}`);
+        }
+    });
+    return errors;
+}
+
+// Arrival stream for the intersection. Every random spawn decision is drawn here,
+// once per tick, so each controller under test receives identical traffic.
+export class DemandGenerator {
+    constructor(random = new SeededRandom(), clock = new SimulationClock()) {
+        this.random = random;
+        this.clock = clock;
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+        this.nextArrivalId = 1;
+
+        // Demand profile per approach; those in profiledApproaches were given their own
+        // and no longer follow the CAR_SPAWN_RATE setting
+        this.profiles = {};
+        this.profiledApproaches = [];
+        this.setSpawnRate(this.settings.CAR_SPAWN_RATE);
+
+        // Arrival process per approach (see arrivals.js)
+        this.arrivalModels = {};
+        this.arrivalProcesses = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.setArrivalModel(direction, CONFIG.ARRIVAL_MODELS.UNIFORM);
+        });
+
+        // Turning schedule per approach: [{ time, left, through, right }]
+        this.turningMovements = {};
+        this.setTurningRate(this.settings.TURN_RATE);
+
+        // Share of each vehicle class in the traffic on every approach
+        this.setVehicleMix(CONFIG.DEFAULT_VEHICLE_MIX);
+
+        // And of each driver type, which sets how they treat a yellow
+        this.setDriverMix(CONFIG.DEFAULT_DRIVER_MIX);
+
+        // Emergency dispatches in time order; nextEmergency is the first not yet released
+        this.emergencyVehicles = [];
+        this.nextEmergency = 0;
+
+        // Scheduled bus routes; busDepartures counts the buses each route has released
+        this.busRoutes = [];
+        this.busDepartures = [];
+
+        // Pedestrians per hour on each crosswalk, arriving as Poisson streams
+        this.nextPedestrianId = 1;
+        this.pedestrianProcesses = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.pedestrianProcesses[direction] = createArrivalProcess(CONFIG.ARRIVAL_MODELS.POISSON);
+        });
+        this.setPedestrianRates(this.settings.PEDESTRIAN_RATE);
+
+        // Cyclists per hour on each approach, also Poisson
+        this.nextBicycleId = 1;
+        this.bicycleProcesses = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.bicycleProcesses[direction] = createArrivalProcess(CONFIG.ARRIVAL_MODELS.POISSON);
+        });
+        this.setBicycleRates(this.settings.BICYCLE_RATE);
+    }
+
+    initialize(settings) {
+        this.settings = { ...settings };
+        this.profiledApproaches = [];
+        this.setSpawnRate(this.settings.CAR_SPAWN_RATE);
+        this.setPedestrianRates(this.settings.PEDESTRIAN_RATE);
+        this.setBicycleRates(this.settings.BICYCLE_RATE);
+        this.reset();
+    }
+
+    // Returns the arrivals generated during this tick
+    update(deltaTime) {
+        const arrivals = [];
+        const timeSeconds = this.clock.now() / 1000;
+
+        // Approaches are visited in a fixed order so the random sequence is reproducible
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const rate = getProfileRate(this.profiles[direction], timeSeconds);
+            const count = this.arrivalProcesses[direction].update(rate, deltaTime, this.random);
+            for (let i = 0; i < count; i++) {
+                arrivals.push(this.createArrival(direction));
+            }
+        });
+
+        // Emergency vehicles join without any random draw, so the regular stream is unchanged
+        while (this.nextEmergency < this.emergencyVehicles.length &&
+            this.emergencyVehicles[this.nextEmergency].time <= timeSeconds) {
+            arrivals.push(this.createEmergencyArrival(this.emergencyVehicles[this.nextEmergency]));
+            this.nextEmergency++;
+        }
+
+        // So do route buses, on their timetable
+        this.busRoutes.forEach((route, index) => {
+            while (route.offset + this.busDepartures[index] * route.headway <= timeSeconds) {
+                arrivals.push(this.createBusArrival(route));
+                this.busDepartures[index]++;
+            }
+        });
+
+        return arrivals;
+    }
+
+    // Returns the pedestrians arriving during this tick, each at a random end of their
+    // crosswalk. Crosswalks without pedestrian demand draw nothing, so the vehicle
+    // stream of a run without pedestrians is unchanged.
+    updatePedestrians(deltaTime) {
+        const arrivals = [];
+        Object.values(CONFIG.DIRECTIONS).forEach(crosswalk => {
+            const rate = this.pedestrianRates[crosswalk];
+            if (rate <= 0) return;
+            const count = this.pedestrianProcesses[crosswalk].update(rate, deltaTime, this.random);
+            for (let i = 0; i < count; i++) {
+                arrivals.push({ id: this.nextPedestrianId++, crosswalk, side: utils.randomInt(0, 1, this.random) });
+            }
+        });
+        return arrivals;
+    }
+
+    // Returns the cyclists arriving on each approach during this tick; like pedestrians,
+    // approaches without bicycle demand draw nothing
+    updateBicycles(deltaTime) {
+        const arrivals = [];
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const rate = this.bicycleRates[direction];
+            if (rate <= 0) return;
+            const count = this.bicycleProcesses[direction].update(rate, deltaTime, this.random);
+            for (let i = 0; i < count; i++) {
+                arrivals.push({ id: this.nextBicycleId++, direction });
+            }
+        });
+        return arrivals;
+    }
+
+    createEmergencyArrival({ approach, turn }) {
+        const turnType = MOVEMENT_TURN_TYPES[turn];
+        return {
+            id: this.nextArrivalId++,
+            direction: approach,
+            lane: turnType === CONFIG.TURN_TYPES.RIGHT ? 0 : 1,
+            color: CONFIG.VEHICLE_CLASSES[CONFIG.VEHICLE_TYPES.EMERGENCY].colors[0],
+            turnType,
+            vehicleType: CONFIG.VEHICLE_TYPES.EMERGENCY
+        };
+    }
+
+    // Route buses keep to the curb lane unless turning left
+    createBusArrival({ name, approach, turn }) {
+        const turnType = MOVEMENT_TURN_TYPES[turn];
+        return {
+            id: this.nextArrivalId++,
+            direction: approach,
+            lane: turnType === CONFIG.TURN_TYPES.LEFT ? 1 : 0,
+            color: CONFIG.VEHICLE_CLASSES[CONFIG.VEHICLE_TYPES.BUS].colors[0],
+            turnType,
+            vehicleType: CONFIG.VEHICLE_TYPES.BUS,
+            transitRoute: name
+        };
+    }
+
+    createArrival(direction) {
+        // Draw the movement from the approach's turning percentages
+        const movement = getTurningMovementAt(this.turningMovements[direction], this.clock.now() / 1000);
+        const movementKeys = Object.keys(MOVEMENT_TURN_TYPES);
+        const turnType = MOVEMENT_TURN_TYPES[utils.randomWeighted(movementKeys, movementKeys.map(key => movement[key]), this.random)];
+
+        // Vehicles enter either lane; turners move over to the lane their movement is
+        // made from on the way to the stop line
+        const lane = utils.randomInt(0, 1, this.random);
+
+        const vehicleType = utils.randomWeighted(MIX_VEHICLE_TYPES, MIX_VEHICLE_TYPES.map(type => this.vehicleMix[type]), this.random);
+        const color = utils.randomFromArray(CONFIG.VEHICLE_CLASSES[vehicleType].colors || CONFIG.CAR_COLORS, this.random);
+        const driverType = utils.randomWeighted(DRIVER_TYPES, DRIVER_TYPES.map(type => this.driverMix[type]), this.random);
+
+        return {
+            id: this.nextArrivalId++,
+            direction,
+            lane,
+            color,
+            turnType,
+            vehicleType,
+            driverType
+        };
+    }
+
+    updateSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        if (settings.CAR_SPAWN_RATE !== undefined) {
+            this.setSpawnRate(settings.CAR_SPAWN_RATE);
+        }
+        if (settings.PEDESTRIAN_RATE !== undefined) {
+            this.setPedestrianRates(settings.PEDESTRIAN_RATE);
+        }
+        if (settings.BICYCLE_RATE !== undefined) {
+            this.setBicycleRates(settings.BICYCLE_RATE);
+        }
+    }
+
+    // Uniform constant demand from the CAR_SPAWN_RATE setting (cars per 10 s over all
+    // approaches), for the approaches without a profile of their own
+    setSpawnRate(carsPer10Seconds) {
+        const ratePerApproach = carsPer10Seconds * 360 / Object.values(CONFIG.DIRECTIONS).length;
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            if (!this.profiledApproaches.includes(direction)) {
+                this.setProfile(direction, ratePerApproach, false);
+            }
+        });
+    }
+
+    // profile: constant veh/h or a list of { time (s), rate (veh/h) } points. Unless
+    // profiled is false the approach keeps it when the spawn rate changes.
+    setProfile(direction, profile, profiled = true) {
+        this.profiles[direction] = normalizeProfile(profile);
+        this.profiledApproaches = this.profiledApproaches.filter(approach => approach !== direction);
+        if (profiled) {
+            this.profiledApproaches.push(direction);
+        }
+    }
+
+    getProfiledApproaches() {
+        return [...this.profiledApproaches];
+    }
+
+    getProfiles() {
+        const profiles = {};
+        Object.entries(this.profiles).forEach(([direction, profile]) => {
+            profiles[direction] = profile.map(point => ({ ...point }));
+        });
+        return profiles;
+    }
+
+    // model: arrival model type name or { type, ...params }
+    setArrivalModel(direction, model) {
+        this.arrivalModels[direction] = normalizeArrivalModel(model);
+        this.arrivalProcesses[direction] = createArrivalProcess(this.arrivalModels[direction]);
+    }
+
+    getArrivalModels() {
+        const models = {};
+        Object.entries(this.arrivalModels).forEach(([direction, model]) => {
+            models[direction] = { ...model };
+        });
+        return models;
+    }
+
+    // Current demand per approach in veh/h
+    getRates(timeMs = this.clock.now()) {
+        const rates = {};
+        Object.entries(this.profiles).forEach(([direction, profile]) => {
+            rates[direction] = getProfileRate(profile, timeMs / 1000);
+        });
+        return rates;
+    }
+
+    // movements: per approach, movement fractions, an OD row or a schedule of either
+    setTurningMovements(movements) {
+        Object.entries(movements).forEach(([direction, movement]) => {
+            this.turningMovements[direction] = normalizeTurningSchedule(direction, movement);
+        });
+    }
+
+    // Same movement split for every approach: turnRate split evenly between left and right
+    setTurningRate(turnRate) {
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.turningMovements[direction] = [{ time: 0, left: turnRate / 2, through: 1 - turnRate, right: turnRate / 2 }];
+        });
+    }
+
+    // Movement fractions per approach in force at timeMs
+    getTurningMovements(timeMs = this.clock.now()) {
+        const movements = {};
+        Object.entries(this.turningMovements).forEach(([direction, schedule]) => {
+            movements[direction] = getTurningMovementAt(schedule, timeMs / 1000);
+        });
+        return movements;
+    }
+
+    getTurningSchedules() {
+        const schedules = {};
+        Object.entries(this.turningMovements).forEach(([direction, schedule]) => {
+            schedules[direction] = schedule.map(entry => ({ ...entry }));
+        });
+        return schedules;
+    }
+
+    setVehicleMix(mix) {
+        this.vehicleMix = normalizeVehicleMix(mix);
+    }
+
+    getVehicleMix() {
+        return { ...this.vehicleMix };
+    }
+
+    setDriverMix(mix) {
+        this.driverMix = normalizeDriverMix(mix);
+    }
+
+    getDriverMix() {
+        return { ...this.driverMix };
+    }
+
+    // Scheduled dispatches, replacing any earlier schedule
+    // Entries already in the past are not released; pending on-demand dispatches are kept
+    setEmergencyVehicles(list) {
+        const now = this.clock.now() / 1000;
+        const schedule = normalizeEmergencyVehicles(list);
+        const past = schedule.filter(entry => entry.time < now);
+        const pending = this.emergencyVehicles.slice(this.nextEmergency).filter(entry => entry.onDemand);
+        this.emergencyVehicles = [...past, ...pending, ...schedule.filter(entry => entry.time >= now)];
+        this.nextEmergency = past.length;
+    }
+
+    // Scheduled dispatches only; on-demand ones are not part of the schedule
+    getEmergencyVehicles() {
+        return this.emergencyVehicles.filter(entry => !entry.onDemand)
+            .map(({ time, approach, turn }) => ({ time, approach, turn }));
+    }
+
+    // Release an emergency vehicle on the next tick
+    dispatchEmergencyVehicle(approach, turn = 'through') {
+        const entry = { time: this.clock.now() / 1000, approach, turn, onDemand: true };
+        this.emergencyVehicles.splice(this.nextEmergency, 0, entry);
+    }
+
+    // Departures already in the past are not run
+    setBusRoutes(list) {
+        const now = this.clock.now() / 1000;
+        this.busRoutes = normalizeBusRoutes(list);
+        this.busDepartures = this.busRoutes.map(route => Math.max(0, Math.ceil((now - route.offset) / route.headway)));
+    }
+
+    getBusRoutes() {
+        return this.busRoutes.map(route => ({ ...route }));
+    }
+
+    // rates: ped/h for every crosswalk, or per leg
+    setPedestrianRates(rates) {
+        this.pedestrianRates = normalizeLegRates(rates);
+    }
+
+    getPedestrianRates() {
+        return { ...this.pedestrianRates };
+    }
+
+    // rates: bikes/h for every approach, or per approach
+    setBicycleRates(rates) {
+        this.bicycleRates = normalizeLegRates(rates);
+    }
+
+    getBicycleRates() {
+        return { ...this.bicycleRates };
+    }
+
+    reset() {
+        this.nextArrivalId = 1;
+        this.nextPedestrianId = 1;
+        Object.values(this.pedestrianProcesses).forEach(process => process.reset());
+        this.nextBicycleId = 1;
+        Object.values(this.bicycleProcesses).forEach(process => process.reset());
+        this.busDepartures = this.busRoutes.map(() => 0);
+        const schedule = this.getEmergencyVehicles();
+        this.emergencyVehicles = [];
+        this.nextEmergency = 0;
+        this.setEmergencyVehicles(schedule);
+        Object.values(this.arrivalProcesses).forEach(process => process.reset());
+    }
+
+    serialize() {
+        const arrivalProcesses = {};
+        Object.entries(this.arrivalProcesses).forEach(([direction, process]) => {
+            arrivalProcesses[direction] = process.serialize();
+        });
+        const pedestrianProcesses = {};
+        Object.entries(this.pedestrianProcesses).forEach(([crosswalk, process]) => {
+            pedestrianProcesses[crosswalk] = process.serialize();
+        });
+        const bicycleProcesses = {};
+        Object.entries(this.bicycleProcesses).forEach(([direction, process]) => {
+            bicycleProcesses[direction] = process.serialize();
+        });
+
+        return {
+            settings: { ...this.settings },
+            nextArrivalId: this.nextArrivalId,
+            profiles: this.getProfiles(),
+            profiledApproaches: this.getProfiledApproaches(),
+            arrivalModels: this.getArrivalModels(),
+            arrivalProcesses,
+            turningMovements: this.getTurningSchedules(),
+            vehicleMix: this.getVehicleMix(),
+            driverMix: this.getDriverMix(),
+            emergencyVehicles: this.emergencyVehicles.map(entry => ({ ...entry })),
+            nextEmergency: this.nextEmergency,
+            busRoutes: this.getBusRoutes(),
+            busDepartures: [...this.busDepartures],
+            pedestrianRates: this.getPedestrianRates(),
+            pedestrianProcesses,
+            nextPedestrianId: this.nextPedestrianId,
+            bicycleRates: this.getBicycleRates(),
+            bicycleProcesses,
+            nextBicycleId: this.nextBicycleId
+        };
+    }
+
+    restore(snapshot) {
+        // Configuration missing from an older snapshot takes its defaults
+        const defaults = new DemandGenerator().serialize();
+        const data = { ...defaults, ...snapshot, settings: { ...defaults.settings, ...snapshot.settings } };
+        this.settings = data.settings;
+        this.nextArrivalId = data.nextArrivalId;
+        Object.entries(data.profiles).forEach(([direction, profile]) => {
+            this.setProfile(direction, profile, data.profiledApproaches.includes(direction));
+        });
+        Object.entries(data.arrivalModels).forEach(([direction, model]) => {
+            this.setArrivalModel(direction, model);
+            this.arrivalProcesses[direction].restore(data.arrivalProcesses[direction]);
+        });
+        this.turningMovements = {};
+        this.setTurningMovements(data.turningMovements);
+        this.setVehicleMix(data.vehicleMix);
+        this.setDriverMix(data.driverMix);
+        this.emergencyVehicles = data.emergencyVehicles.map(entry => ({ ...entry }));
+        this.nextEmergency = data.nextEmergency;
+        this.busRoutes = data.busRoutes.map(route => ({ ...route }));
+        this.busDepartures = [...data.busDepartures];
+        this.setPedestrianRates(data.pedestrianRates);
+        Object.entries(data.pedestrianProcesses).forEach(([crosswalk, process]) => {
+            this.pedestrianProcesses[crosswalk].restore(process);
+        });
+        this.nextPedestrianId = data.nextPedestrianId;
+        this.setBicycleRates(data.bicycleRates);
+        Object.entries(data.bicycleProcesses).forEach(([direction, process]) => {
+            this.bicycleProcesses[direction].restore(process);
+        });
+        this.nextBicycleId = data.nextBicycleId;
+    }
+}
@@ -0,0 +1,111 @@
+// Simulation event bus. Logging, analytics, replay recording and UI panels
+// subscribe here instead of patching the simulation classes.
+
+/**
+ * @typedef {Object} CarEvent
+ * @property {number} time   Simulated time in ms
+ * @property {string} mode   Controller mode the car belongs to ('fixed' | 'adaptive')
+ * @property {import('./cars.js').Car} car
+ */
+
+/**
+ * Payloads by event name:
+ * - carSpawned:      CarEvent
+ * - carStateChanged: CarEvent & { from: string, to: string }
+ * - carCompleted:    CarEvent & { waitTime: number }
+ * - phaseChanged:    { time, mode, phase, pair?, scores?, lights, reason }
+ * - sensorTriggered: { time, mode, direction, car, count }
+ * - preemptionStarted: { time, mode, direction }
+ * - preemptionEnded: { time, mode, direction, duration, recoveryTime }  (ms; fired once the plan has recovered)
+ * - transitPriority: { time, mode, direction, type: 'earlyGreen' | 'extension', extension? }  (ms)
+ * - pedestrianCrossed: { time, mode, pedestrian, delay }  (delay at the curb in ms)
+ * - cyclistPassed:   { time, mode, cyclist, delay }  (stopped delay in ms)
+ * - modeChanged:     { time, from, to }
+ * - settingsChanged: { time, mode, changes }
+ * - reset:           { time }
+ */
+export const SIMULATION_EVENTS = [
+    'carSpawned',
+    'carStateChanged',
+    'carCompleted',
+    'phaseChanged',
+    'sensorTriggered',
+    'preemptionStarted',
+    'preemptionEnded',
+    'transitPriority',
+    'pedestrianCrossed',
+    'cyclistPassed',
+    'modeChanged',
+    'settingsChanged',
+    'reset'
+];
+
+export class EventEmitter {
+    // eventNames restricts which events can be subscribed to or emitted, catching typos early
+    constructor(eventNames = null) {
+        this.eventNames = eventNames;
+        this.listeners = {};
+    }
+
+    // Returns an unsubscribe function
+    on(eventName, handler) {
+        this.checkEventName(eventName);
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    once(eventName, handler) {
+        const unsubscribe = this.on(eventName, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(eventName, handler) {
+        const handlers = this.listeners[eventName];
+        if (!handlers) return;
+        this.listeners[eventName] = handlers.filter(existing => existing !== handler);
+    }
+
+    emit(eventName, payload) {
+        this.checkEventName(eventName);
+        const handlers = this.listeners[eventName];
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers can unsubscribe while being called
+        [...handlers].forEach(handler => handler(payload));
+    }
+
+    hasListeners(eventName) {
+        return !!(this.listeners[eventName] && this.listeners[eventName].length > 0);
+    }
+
+    checkEventName(eventName) {
+        if (this.eventNames && !this.eventNames.includes(eventName)) {
+            throw new Error(`Unknown event "${eventName}"; expected one of ${this.eventNames.join(', ')}`);
+        }
+    }
+}
+
+// Console logging as an ordinary subscriber; returns a function that detaches it
+export function logEventsToConsole(emitter, eventNames = ['phaseChanged', 'modeChanged', 'reset']) {
+    const unsubscribers = eventNames.map(eventName =>
+        emitter.on(eventName, (payload) => {
+            console.log(`[${(payload.time / 1000).toFixed(1)}s] ${eventName}`, describePayload(payload));
+        })
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+function describePayload(payload) {
+    // Car, pedestrian and cyclist objects are large; log their id instead
+    const { time, car, pedestrian, cyclist, ...rest } = payload;
+    if (car) rest.carId = car.id;
+    if (pedestrian) rest.pedestrianId = pedestrian.id;
+    if (cyclist) rest.cyclistId = cyclist.id;
+    return rest;
+}
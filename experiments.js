@@ -0,0 +1,185 @@
+import { Simulation } from './simulation.js';
+import { CONFIG } from './config.js';
+import { logEventsToConsole } from './events.js';
+import { collectMetrics, selectMetrics } from './metrics.js';
+
+// Batch experiments on top of the headless Simulation.
+//
+// A sweep definition looks like:
+// {
+//     "modes": ["fixed", "adaptive"],
+//     "durationSeconds": 3600,
+//     "seeds": [1, 2, 3],
+//     "settings": { "YELLOW_DURATION": 4000 },
+//     "parameters": {
+//         "GREEN_DURATION": { "from": 15000, "to": 100000, "step": 5000 },
+//         "CAR_SPAWN_RATE": [1, 5, 10, 20]
+//     }
+// }
+// Parameter values use the same units as CONFIG.DEFAULT_SETTINGS (durations in ms).
+// Every combination of mode x parameter values x seed becomes one run.
+
+// Expand a parameter spec (array or { from, to, step }) into its list of values
+export function expandParameter(name, spec) {
+    if (Array.isArray(spec)) return spec;
+
+    if (spec && typeof spec === 'object') {
+        const { from, to, step } = spec;
+        if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+            throw new Error(`Invalid range for parameter ${name}: expected { from, to, step } with step > 0 and to >= from`);
+        }
+        const values = [];
+        // Count steps instead of accumulating so float steps do not drift
+        const count = Math.floor((to - from) / step + 1e-9);
+        for (let i = 0; i <= count; i++) {
+            values.push(from + i * step);
+        }
+        return values;
+    }
+
+    return [spec];
+}
+
+// Cartesian product of all parameter values
+export function expandSweep(sweep) {
+    const parameters = sweep.parameters || {};
+    let combinations = [{}];
+
+    Object.entries(parameters).forEach(([name, spec]) => {
+        if (!(name in CONFIG.DEFAULT_SETTINGS)) {
+            throw new Error(`Unknown parameter ${name}; expected one of ${Object.keys(CONFIG.DEFAULT_SETTINGS).join(', ')}`);
+        }
+        const values = expandParameter(name, spec);
+        combinations = combinations.flatMap(combination =>
+            values.map(value => ({ ...combination, [name]: value }))
+        );
+    });
+
+    return combinations;
+}
+
+// Run a single simulation and return one result row
+export function runExperiment({ mode, seed, settings = {}, durationMs, stepMs = CONFIG.SIMULATION_STEP, verbose = false }) {
+    const simulation = new Simulation({ seed });
+    if (verbose) {
+        logEventsToConsole(simulation);
+    }
+    simulation.initialize();
+    simulation.updateMode(mode);
+    Object.entries(settings).forEach(([key, value]) => {
+        simulation.updateSetting(key, value, mode);
+    });
+
+    simulation.run(durationMs, stepMs);
+
+    return {
+        mode,
+        seed,
+        durationSeconds: durationMs / 1000,
+        ...settings,
+        ...collectMetrics(simulation, mode, durationMs)
+    };
+}
+
+// Run a scenario document headless for its duration; one row per controller it lists.
+// With bus routes the scenario is run again on the same arrivals without transit
+// priority, and each row reports what priority saved the buses (check-in to check-out
+// time, s per bus) against what it cost general traffic (wait, s per vehicle).
+export function runScenario(scenario, { stepMs = CONFIG.SIMULATION_STEP, verbose = false } = {}) {
+    const simulation = new Simulation({ seed: scenario.seed });
+    if (verbose) {
+        logEventsToConsole(simulation);
+    }
+    const normalized = simulation.loadScenario(scenario);
+    const durationMs = normalized.durationSeconds * 1000;
+
+    simulation.run(durationMs, stepMs);
+
+    let baseline = null;
+    if (normalized.busRoutes.length > 0) {
+        baseline = new Simulation({ seed: simulation.getSeed() });
+        baseline.loadScenario({ ...scenario, seed: simulation.getSeed() });
+        normalized.controllers.forEach(controller => {
+            baseline.updateSetting('TRANSIT_PRIORITY', false, controller.type);
+        });
+        baseline.run(durationMs, stepMs);
+    }
+
+    return normalized.controllers.map(controller => {
+        const metrics = collectMetrics(simulation, controller.type, durationMs);
+        const row = {
+            scenario: normalized.name,
+            mode: controller.type,
+            seed: simulation.getSeed(),
+            durationSeconds: normalized.durationSeconds,
+            ...selectMetrics(metrics, normalized.metrics)
+        };
+        if (baseline) {
+            const withoutPriority = collectMetrics(baseline, controller.type, durationMs);
+            row.busDelaySavings = withoutPriority.averageTransitTravelTime - metrics.averageTransitTravelTime;
+            row.generalTrafficDelayPenalty = metrics.averageGeneralTrafficWaitTime - withoutPriority.averageGeneralTrafficWaitTime;
+        }
+        return row;
+    });
+}
+
+// Run every combination of the sweep; onProgress(row, index, total) is called after each run
+export function runSweep(sweep, onProgress = null, { verbose = false } = {}) {
+    const modes = sweep.modes || [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE];
+    const seeds = sweep.seeds || [1];
+    const durationMs = (sweep.durationSeconds || 3600) * 1000;
+    const stepMs = sweep.stepMs || CONFIG.SIMULATION_STEP;
+    const combinations = expandSweep(sweep);
+
+    modes.forEach(mode => {
+        if (!Object.values(CONFIG.MODES).includes(mode)) {
+            throw new Error(`Unknown mode ${mode}; expected one of ${Object.values(CONFIG.MODES).join(', ')}`);
+        }
+    });
+
+    const total = modes.length * combinations.length * seeds.length;
+    const rows = [];
+
+    modes.forEach(mode => {
+        combinations.forEach(combination => {
+            seeds.forEach(seed => {
+                const row = runExperiment({
+                    mode,
+                    seed,
+                    settings: { ...sweep.settings, ...combination },
+                    durationMs,
+                    stepMs,
+                    verbose
+                });
+                rows.push(row);
+                if (onProgress) onProgress(row, rows.length, total);
+            });
+        });
+    });
+
+    return rows;
+}
+
+export function toCsv(rows) {
+    if (rows.length === 0) return '';
+
+    // Union of keys keeps the header stable when rows have different parameters
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => escape(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
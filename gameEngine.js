@@ -1,214 +1,87 @@
-import { Intersection } from './intersection.js';
-import { TrafficLightController } from './trafficLights.js';
-import { CarManager } from './cars.js';
-import { SensorSystem } from './sensors.js';
-import { Statistics } from './statistics.js';
+import { Simulation } from './simulation.js';
 import { CONFIG } from './config.js';
-// ...existing code...
 
-export class GameEngine {
-    constructor(canvas, ctx) {
+// Browser renderer layered on top of the headless simulation core
+export class GameEngine extends Simulation {
+    constructor(canvas, ctx, options = {}) {
+        super(options);
         this.canvas = canvas;
         this.ctx = ctx;
-        
-        // Shared intersection
-        this.intersection = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
-        
-        // Current active mode
-        this.mode = CONFIG.MODES.FIXED;
-        
-        // Fixed Mode Components (independent)
-        this.fixedMode = {
-            trafficLights: new TrafficLightController(),
-            carManager: new CarManager(this.intersection),
-            sensorSystem: new SensorSystem(this.intersection),
-            statistics: new Statistics(),
-            settings: { ...CONFIG.DEFAULT_SETTINGS }
-        };
-        
-        // Adaptive Mode Components (independent)
-        this.adaptiveMode = {
-            trafficLights: new TrafficLightController(),
-            carManager: new CarManager(this.intersection),
-            sensorSystem: new SensorSystem(this.intersection),
-            statistics: new Statistics(),
-            settings: { 
-                ...CONFIG.DEFAULT_SETTINGS,
-                YELLOW_DURATION: 3000 // Independent yellow duration for adaptive mode
-            }
-        };
-    }
-
-    initialize() {
-        // Initialize Fixed Mode
-        this.intersection.setCarManager(this.fixedMode.carManager);
-        this.fixedMode.trafficLights.initialize(CONFIG.MODES.FIXED, this.fixedMode.settings);
-        this.fixedMode.carManager.initialize(this.fixedMode.settings);
-        this.fixedMode.sensorSystem.initialize(this.fixedMode.settings.DETECTOR_DISTANCE);
-        this.fixedMode.statistics.initialize();
-        this.fixedMode.carManager.onCarCompleted = (car) => {
-            this.fixedMode.statistics.recordCarCompletion(car);
-        };
-        
-        // Initialize Adaptive Mode
-        this.adaptiveMode.trafficLights.initialize(CONFIG.MODES.ADAPTIVE, this.adaptiveMode.settings);
-        this.adaptiveMode.carManager.initialize(this.adaptiveMode.settings);
-        this.adaptiveMode.sensorSystem.initialize(this.adaptiveMode.settings.DETECTOR_DISTANCE);
-        this.adaptiveMode.statistics.initialize();
-        this.adaptiveMode.carManager.onCarCompleted = (car) => {
-            this.adaptiveMode.statistics.recordCarCompletion(car);
-        };
-        
-        console.log('Game engine initialized');
     }
 
-    update(deltaTime) {
-        const currentMode = this.getCurrentModeComponents();
-
-        // Track previous light states for adaptive mode
-        if (!this.prevLightStates) {
-            this.prevLightStates = currentMode.trafficLights.getLightStates();
-        }
-
-        // Update current mode's traffic lights
-        currentMode.trafficLights.update(deltaTime, this.mode, currentMode.settings);
-
-        // Update current mode's cars
-        this.intersection.setCarManager(currentMode.carManager);
-        currentMode.carManager.update(deltaTime, currentMode.trafficLights.getLightStates());
+    render() {
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Update sensors and adaptive logic (only for adaptive mode)
-        let sensorData;
-        if (this.mode === CONFIG.MODES.ADAPTIVE) {
-            sensorData = currentMode.sensorSystem.update(
-                currentMode.carManager.getCars(),
-                currentMode.trafficLights.getLightStates(),
-                this.prevLightStates
-            );
-            currentMode.trafficLights.updateAdaptiveLogic(sensorData, deltaTime);
-        } else {
-            sensorData = currentMode.sensorSystem.update(currentMode.carManager.getCars());
+        if (this.comparisonMode) {
+            this.renderComparison();
+            return;
         }
 
-        // Update previous light states for next frame
-        this.prevLightStates = currentMode.trafficLights.getLightStates();
-
-        // Update current mode's statistics
-        currentMode.statistics.update(currentMode.carManager.getCars(), deltaTime);
+        this.renderMode(this.getCurrentModeComponents(), this.mode);
     }
 
-    render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        const currentMode = this.getCurrentModeComponents();
-        
+    renderMode(components, mode) {
         // Render intersection
         this.intersection.render(this.ctx);
         
         // Render sensor detection zones (only in adaptive mode)
-        if (this.mode === CONFIG.MODES.ADAPTIVE) {
-            currentMode.sensorSystem.render(this.ctx);
-        }
-        
-        // Render current mode's cars
-        currentMode.carManager.render(this.ctx);
-        
-        // Render current mode's traffic lights
-        currentMode.trafficLights.render(this.ctx, this.intersection);
-    }
-
-    reset() {
-        // Reset both modes
-        this.fixedMode.carManager.reset();
-        this.fixedMode.trafficLights.reset();
-        this.fixedMode.sensorSystem.reset();
-        this.fixedMode.statistics.reset();
-        
-        this.adaptiveMode.carManager.reset();
-        this.adaptiveMode.trafficLights.reset();
-        this.adaptiveMode.sensorSystem.reset();
-        this.adaptiveMode.statistics.reset();
-        
-        console.log('Game reset');
-    }
-
-    getCurrentModeComponents() {
-        return this.mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
-    }
-
-    updateMode(mode) {
-        const previousMode = this.mode;
-        this.mode = mode;
-        
-        // Reset adaptive mode car counting when switching to adaptive mode
-        if (mode === CONFIG.MODES.ADAPTIVE && previousMode !== CONFIG.MODES.ADAPTIVE) {
-            this.adaptiveMode.sensorSystem.resetAllCarCounts();
+        if (mode === CONFIG.MODES.ADAPTIVE) {
+            components.sensorSystem.render(this.ctx);
         }
         
-        console.log(`Mode changed from ${previousMode} to: ${mode}`);
-    }
-
-    updateSetting(key, value, targetMode = null) {
-        // If no target mode specified, update current mode
-        const mode = targetMode || this.mode;
-        const modeComponents = mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
-        
-        modeComponents.settings[key] = value;
-        
-        // Apply setting changes to relevant systems
-        switch (key) {
-            case 'CAR_SPAWN_RATE':
-            case 'CAR_SPEED':
-            case 'TURN_RATE':
-                modeComponents.carManager.updateSettings(modeComponents.settings);
-                break;
-            case 'DETECTOR_DISTANCE':
-                modeComponents.sensorSystem.updateDetectorDistance(value);
-                break;
-            case 'GREEN_DURATION':
-            case 'YELLOW_DURATION':
-            case 'RED_DURATION':
-            case 'MIN_GREEN_TIME':
-                modeComponents.trafficLights.updateSettings(modeComponents.settings);
-                break;
-        }
-    }
-
-    updateSettings(settings) {
-        const currentMode = this.getCurrentModeComponents();
-        currentMode.settings = { ...currentMode.settings, ...settings };
-        currentMode.trafficLights.updateSettings(currentMode.settings);
-        currentMode.carManager.updateSettings(currentMode.settings);
-    }
-
-    // Getters for UI
-    getStatistics() {
-        return this.getCurrentModeComponents().statistics.getStats();
-    }
-
-    getLightStates() {
-        return this.getCurrentModeComponents().trafficLights.getLightStates();
-    }
-
-    getCurrentMode() {
-        return this.mode;
-    }
-
-    getSettings() {
-        return { ...this.getCurrentModeComponents().settings };
-    }
-    
-    getFixedModeSettings() {
-        return { ...this.fixedMode.settings };
-    }
-    
-    getAdaptiveModeSettings() {
-        return { ...this.adaptiveMode.settings };
-    }
-    
-    getSensorSystem() {
-        return this.getCurrentModeComponents().sensorSystem;
+        // Render this mode's pedestrians, cyclists and cars
+        components.pedestrianManager.render(this.ctx);
+        components.cyclistManager.render(this.ctx);
+        components.carManager.render(this.ctx);
+        
+        // Render this mode's traffic lights
+        components.trafficLights.render(this.ctx, this.intersection);
+    }
+
+    // Split canvas: fixed mode on the left half, adaptive on the right, each at half scale
+    renderComparison() {
+        const halfWidth = this.canvas.width / 2;
+        const scale = halfWidth / CONFIG.CANVAS_WIDTH;
+        const offsetY = (this.canvas.height - CONFIG.CANVAS_HEIGHT * scale) / 2;
+        const panels = [
+            { mode: CONFIG.MODES.FIXED, label: 'Fixed', offsetX: 0 },
+            { mode: CONFIG.MODES.ADAPTIVE, label: 'Adaptive', offsetX: halfWidth }
+        ];
+
+        panels.forEach(({ mode, label, offsetX }) => {
+            const components = this.getModeComponents(mode);
+            const stats = components.statistics.getStats();
+
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(offsetX, 0, halfWidth, this.canvas.height);
+            this.ctx.clip();
+            this.ctx.translate(offsetX, offsetY);
+            this.ctx.scale(scale, scale);
+            this.renderMode(components, mode);
+            this.ctx.restore();
+
+            // Panel label with live statistics
+            this.ctx.fillStyle = '#333';
+            this.ctx.font = 'bold 20px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(label, offsetX + 15, offsetY - 40);
+            this.ctx.font = '14px Arial';
+            this.ctx.fillText(
+                `Passed: ${stats.totalCarsPassed}  Avg wait: ${stats.averageWaitTime.toFixed(1)}s  Cars: ${stats.currentCars}`,
+                offsetX + 15,
+                offsetY - 18
+            );
+        });
+
+        // Divider between the two panels
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(halfWidth, 0);
+        this.ctx.lineTo(halfWidth, this.canvas.height);
+        this.ctx.stroke();
     }
 
     setLaneMapping(laneMapping, paths, getPathIndex) {
@@ -1,4 +1,5 @@
 import { CONFIG } from "./config.js";
+import { utils } from './utils.js';
 export class Intersection {
     getPathEntryPoint(direction) {
         // Entry point for Bezier curve (lane center at intersection edge)
@@ -23,6 +24,9 @@ export class Intersection {
         this.size = CONFIG.INTERSECTION_SIZE;
         this.roadWidth = CONFIG.ROAD_WIDTH;
         this.laneWidth = CONFIG.LANE_WIDTH;
+        this.bikeLanes = []; // Legs with a bike lane along both curbs
+        this.bikeBoxes = []; // Approaches with an advanced stop area for cyclists
+        this.rightTurnOnRed = []; // Approaches where right turn on red is allowed
         
         this.calculatePositions();
     }
@@ -31,6 +35,28 @@ export class Intersection {
         this.calculatePositions();
     }
 
+    // Scenario geometry; every derived position is recalculated from it
+    setGeometry({ intersectionSize = this.size, roadWidth = this.roadWidth, laneWidth = this.laneWidth, bikeLanes = this.bikeLanes, bikeBoxes = this.bikeBoxes, rightTurnOnRed = this.rightTurnOnRed } = {}) {
+        this.size = intersectionSize;
+        this.roadWidth = roadWidth;
+        this.laneWidth = laneWidth;
+        this.bikeLanes = [...bikeLanes];
+        this.bikeBoxes = [...bikeBoxes];
+        this.rightTurnOnRed = [...rightTurnOnRed];
+        this.calculatePositions();
+    }
+
+    getGeometry() {
+        return {
+            intersectionSize: this.size,
+            roadWidth: this.roadWidth,
+            laneWidth: this.laneWidth,
+            bikeLanes: [...this.bikeLanes],
+            bikeBoxes: [...this.bikeBoxes],
+            rightTurnOnRed: [...this.rightTurnOnRed]
+        };
+    }
+
     calculatePositions() {
         const halfSize = this.size / 2;
         const halfRoad = this.roadWidth / 2;
@@ -39,6 +65,7 @@ export class Intersection {
         // Stop line positions (before intersection)
        // Stop line positions (before intersection, always close to center)
 const stopLineOffset = halfSize + 5;
+this.stopLineOffset = stopLineOffset;
 this.stopLines = {
     [CONFIG.DIRECTIONS.NORTH]: {
         x1: this.centerX - halfRoad,
@@ -65,6 +92,29 @@ this.stopLines = {
         y2: this.centerY + halfRoad
     }
 };
+        // Crosswalks just inside the stop lines, curb to curb across each leg. Pedestrians
+        // wait on the sidewalk at either end (x1, y1 / x2, y2 along the centreline).
+        const crosswalkOffset = stopLineOffset - 2 - CONFIG.CROSSWALK_WIDTH / 2;
+        const curb = halfRoad + 4;
+        this.crosswalks = {
+            [CONFIG.DIRECTIONS.NORTH]: {
+                x1: this.centerX - curb, y1: this.centerY - crosswalkOffset,
+                x2: this.centerX + curb, y2: this.centerY - crosswalkOffset
+            },
+            [CONFIG.DIRECTIONS.EAST]: {
+                x1: this.centerX + crosswalkOffset, y1: this.centerY - curb,
+                x2: this.centerX + crosswalkOffset, y2: this.centerY + curb
+            },
+            [CONFIG.DIRECTIONS.SOUTH]: {
+                x1: this.centerX + curb, y1: this.centerY + crosswalkOffset,
+                x2: this.centerX - curb, y2: this.centerY + crosswalkOffset
+            },
+            [CONFIG.DIRECTIONS.WEST]: {
+                x1: this.centerX - crosswalkOffset, y1: this.centerY + curb,
+                x2: this.centerX - crosswalkOffset, y2: this.centerY - curb
+            }
+        };
+
         // Traffic light positions
         this.lightPositions = {
             [CONFIG.DIRECTIONS.NORTH]: {
@@ -85,6 +135,12 @@ this.stopLines = {
             }
         };
 
+        // Bicycle signal heads on the curb just behind each stop line
+        this.bicycleSignalPositions = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.bicycleSignalPositions[direction] = this.getLegPoint(direction, halfRoad + 6, stopLineOffset + 12);
+        });
+
         // Car spawn points
         this.spawnPoints = {
             [CONFIG.DIRECTIONS.NORTH]: {
@@ -133,7 +189,8 @@ this.stopLines = {
         const laneOffset = this.laneWidth / 2;  // 7.5 pixels
         
         // Create spawn points for 4 lanes each direction
-        // Lanes 0-1 = cars going one way, Lanes 2-3 = cars going opposite way
+        // Lanes 0-1 = cars going one way, Lanes 2-3 = cars going opposite way, which are
+        // the opposite approach's lanes 1-0; vehicles only ever use lanes 0-1 of their own
         this.spawnPointsByLane = {
             [CONFIG.DIRECTIONS.NORTH]: [
                 // Lanes 0-1: Going south (left side of road)
@@ -181,6 +238,8 @@ this.stopLines = {
         this.drawRoads(ctx);
         this.drawIntersection(ctx);
         this.drawLaneMarkings(ctx);
+        this.drawBikeFacilities(ctx);
+        this.drawCrosswalks(ctx);
         this.drawStopLines(ctx);
     }
 
@@ -313,6 +372,58 @@ drawIntersection(ctx) {
         ctx.setLineDash([]);
     }
 
+    // Green bike lanes along both curbs of a leg up to the stop line, and bike boxes
+    // across the approach lanes between the vehicle stop point and the stop line
+    drawBikeFacilities(ctx) {
+        const halfRoad = this.roadWidth / 2;
+        const laneWidth = CONFIG.BIKE_LANE_WIDTH;
+        const edge = Math.max(CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+        ctx.fillStyle = '#3C8D5A';
+
+        this.bikeLanes.forEach(leg => {
+            this.fillLegRect(ctx, leg, halfRoad - laneWidth, this.stopLineOffset, halfRoad, edge);
+            this.fillLegRect(ctx, leg, -halfRoad, this.stopLineOffset, -halfRoad + laneWidth, edge);
+        });
+
+        this.bikeBoxes.forEach(direction => {
+            const back = this.stopLineOffset + CONFIG.BIKE_BOX_DEPTH;
+            this.fillLegRect(ctx, direction, 0, this.stopLineOffset, halfRoad, back);
+            // Vehicles stop at the back of the box
+            const from = this.getLegPoint(direction, 0, back);
+            const to = this.getLegPoint(direction, halfRoad, back);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        });
+    }
+
+    // Fill the rectangle between two points given in an approach's frame
+    fillLegRect(ctx, direction, lateral1, upstream1, lateral2, upstream2) {
+        const a = this.getLegPoint(direction, lateral1, upstream1);
+        const b = this.getLegPoint(direction, lateral2, upstream2);
+        ctx.fillRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+    }
+
+    // Zebra stripes along the direction of traffic
+    drawCrosswalks(ctx) {
+        const width = CONFIG.CROSSWALK_WIDTH;
+        ctx.fillStyle = '#ffffff';
+
+        Object.values(this.crosswalks).forEach(crosswalk => {
+            const length = utils.getDistance(crosswalk.x1, crosswalk.y1, crosswalk.x2, crosswalk.y2);
+            ctx.save();
+            ctx.translate(crosswalk.x1, crosswalk.y1);
+            ctx.rotate(Math.atan2(crosswalk.y2 - crosswalk.y1, crosswalk.x2 - crosswalk.x1));
+            for (let along = 4; along < length - 4; along += 8) {
+                ctx.fillRect(along, -width / 2, 4, width);
+            }
+            ctx.restore();
+        });
+    }
+
     drawStopLines(ctx) {
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 4;
@@ -330,6 +441,97 @@ drawIntersection(ctx) {
         return this.stopLines[direction];
     }
 
+    getCrosswalk(direction) {
+        return this.crosswalks[direction];
+    }
+
+    getStopLineOffset() {
+        return this.stopLineOffset;
+    }
+
+    // A point in an approach's own frame: lateral is measured from the centre line
+    // towards the approach's curb, upstream from the centre against its traffic
+    getLegPoint(direction, lateral, upstream) {
+        switch (direction) {
+            case CONFIG.DIRECTIONS.NORTH:
+                return { x: this.centerX - lateral, y: this.centerY - upstream };
+            case CONFIG.DIRECTIONS.EAST:
+                return { x: this.centerX + upstream, y: this.centerY - lateral };
+            case CONFIG.DIRECTIONS.SOUTH:
+                return { x: this.centerX + lateral, y: this.centerY + upstream };
+            case CONFIG.DIRECTIONS.WEST:
+            default:
+                return { x: this.centerX - upstream, y: this.centerY + lateral };
+        }
+    }
+
+    // How far a point lies upstream of the centre along an approach (negative past it)
+    getDistanceUpstream(direction, x, y) {
+        switch (direction) {
+            case CONFIG.DIRECTIONS.NORTH:
+                return this.centerY - y;
+            case CONFIG.DIRECTIONS.EAST:
+                return x - this.centerX;
+            case CONFIG.DIRECTIONS.SOUTH:
+                return y - this.centerY;
+            case CONFIG.DIRECTIONS.WEST:
+            default:
+                return this.centerX - x;
+        }
+    }
+
+    // How far a point lies from the centre line towards an approach's curb (negative
+    // on the side of the oncoming lanes)
+    getLateralOffset(direction, x, y) {
+        switch (direction) {
+            case CONFIG.DIRECTIONS.NORTH:
+                return this.centerX - x;
+            case CONFIG.DIRECTIONS.EAST:
+                return this.centerY - y;
+            case CONFIG.DIRECTIONS.SOUTH:
+                return x - this.centerX;
+            case CONFIG.DIRECTIONS.WEST:
+            default:
+                return y - this.centerY;
+        }
+    }
+
+    // Offset of a lane's centre line on an approach, measured as getLateralOffset does
+    getLaneOffset(direction, lane) {
+        const point = this.getSpawnPointForLane(direction, lane);
+        return this.getLateralOffset(direction, point.x, point.y);
+    }
+
+    hasBikeLane(direction) {
+        return this.bikeLanes.includes(direction);
+    }
+
+    hasBikeBox(direction) {
+        return this.bikeBoxes.includes(direction);
+    }
+
+    allowsRightTurnOnRed(direction) {
+        return this.rightTurnOnRed.includes(direction);
+    }
+
+    // Cyclists ride along the curb in a bike lane, or in the curb lane without one
+    getBicycleSpawnPoint(direction) {
+        const spawnPoint = this.getSpawnPointForLane(direction, 0);
+        if (!this.hasBikeLane(direction)) return { ...spawnPoint };
+        const upstream = this.getDistanceUpstream(direction, spawnPoint.x, spawnPoint.y);
+        return this.getLegPoint(direction, this.roadWidth / 2 - CONFIG.BIKE_LANE_WIDTH / 2, upstream);
+    }
+
+    getBicycleSignalPosition(direction) {
+        return this.bicycleSignalPositions[direction];
+    }
+
+    // Curb-to-curb crossing distance, the same on every leg
+    getCrosswalkLength() {
+        const crosswalk = this.crosswalks[CONFIG.DIRECTIONS.NORTH];
+        return utils.getDistance(crosswalk.x1, crosswalk.y1, crosswalk.x2, crosswalk.y2);
+    }
+
     getSpawnPoint(direction) {
         const offset = 300; // Adjust as needed for your canvas
         switch (direction) {
@@ -412,6 +614,21 @@ getLightPosition(direction) {
         return this.carManager ? this.carManager.getCars() : [];
     }
 
+    // Set by the PedestrianManager, like carManager
+    hasPedestriansCrossing(direction) {
+        return this.pedestrianManager ? this.pedestrianManager.hasPedestriansCrossing(direction) : false;
+    }
+
+    // Set by the CyclistManager
+    getCyclists() {
+        return this.cyclistManager ? this.cyclistManager.getCyclists() : [];
+    }
+
+    // Cyclists without a bike lane, who share the curb lane with vehicles
+    getCyclistsInTraffic() {
+        return this.getCyclists().filter(cyclist => !cyclist.inBikeLane);
+    }
+
 }
 
 // Example usage
@@ -1,56 +1,67 @@
 import { GameEngine } from './gameEngine.js';
 import { UIController } from './ui.js';
 import { CONFIG } from './config.js';
-// ...existing code...
-import { TrafficLightController } from './trafficLights.js';
-import { Car } from './cars.js';
+import { logEventsToConsole } from './events.js';
 
 class TrafficSimulator {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.gameEngine = new GameEngine(this.canvas, this.ctx);
+        this.gameEngine = new GameEngine(this.canvas, this.ctx, { seed: this.getSeedFromUrl() });
         this.uiController = new UIController(this.gameEngine);
-        this.trafficLightController = new TrafficLightController();
         
         this.isRunning = true;
-        this.lastTime = 0;
+        this.lastTime = null;
+
+        // Fixed-timestep state: simulated ms owed to the engine, playback speed
+        // and an optional fast-forward target for "run until"
+        this.accumulator = 0;
+        this.timeScale = 1;
+        this.runUntilTime = null;
+
+        // Playback speed actually reached, below timeScale when the machine cannot keep up
+        this.achievedTimeScale = 1;
         
         this.initializeGame();
         this.startGameLoop();
     }
 
+    getSeedFromUrl() {
+        // ?seed=1234 reproduces a run; without it a fresh seed is generated
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed !== null && seed !== '' && !isNaN(Number(seed)) ? Number(seed) : undefined;
+    }
+
     initializeGame() {
         // Set canvas size
         this.canvas.width = CONFIG.CANVAS_WIDTH;
         this.canvas.height = CONFIG.CANVAS_HEIGHT;
         
-        // Initialize game systems
+        // Initialize game systems; ?debug also logs signal and mode events to the console
+        if (new URLSearchParams(window.location.search).has('debug')) {
+            logEventsToConsole(this.gameEngine);
+        }
         this.gameEngine.initialize();
         this.uiController.initialize();
+
+        // Always record so any moment can be revisited on the timeline
+        this.gameEngine.startRecording();
         
         console.log('Traffic Simulator initialized');
     }
 
     startGameLoop() {
         const gameLoop = (currentTime) => {
-            const deltaTime = currentTime - this.lastTime;
+            // First frame has no previous timestamp; long frames are clamped
+            const frameDelta = this.lastTime === null ? 0 : Math.min(currentTime - this.lastTime, CONFIG.MAX_FRAME_DELTA);
             this.lastTime = currentTime;
 
-            if (this.isRunning) {
-                // Get durations from sliders (convert to milliseconds)
-                const settings = {
-                    GREEN_DURATION: Number(document.getElementById('greenDuration').value) * 1000,
-                    YELLOW_DURATION: Number(document.getElementById('yellowDuration').value) * 1000,
-                    RED_DURATION: Number(document.getElementById('redDuration').value) * 1000,
-                    CAR_SPAWN_RATE: Number(document.getElementById('carSpawnRate').value),
-                    CAR_SPEED: Number(document.getElementById('carSpeed').value),
-                    MIN_GREEN_TIME: 5000,
-                    DETECTOR_DISTANCE: 200
-                };
-
-                this.gameEngine.updateSettings(settings);
-                this.gameEngine.update(deltaTime);
+            // Settings reach the engine through the UI slider handlers
+            if (this.runUntilTime !== null) {
+                this.advanceToTarget();
+            } else if (this.isRunning) {
+                this.accumulator += frameDelta * this.timeScale;
+                this.advanceFixedSteps(frameDelta);
             }
 
             this.gameEngine.render();
@@ -60,8 +71,71 @@ class TrafficSimulator {
         requestAnimationFrame(gameLoop);
     }
 
+    // Consume the accumulator in fixed ticks so results do not depend on frame rate
+    advanceFixedSteps(frameDelta) {
+        const frameStart = performance.now();
+        const simulatedStart = this.gameEngine.getTime();
+        while (this.accumulator >= CONFIG.SIMULATION_STEP) {
+            this.gameEngine.tick();
+            this.accumulator -= CONFIG.SIMULATION_STEP;
+
+            // Too slow to keep up with this speed: drop the backlog instead of spiralling
+            if (performance.now() - frameStart > CONFIG.FRAME_BUDGET) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+
+        // Dropped steps are not made up, so measure the speed reached, smoothed over frames
+        if (frameDelta > 0) {
+            const achieved = (this.gameEngine.getTime() - simulatedStart) / frameDelta;
+            this.achievedTimeScale += (achieved - this.achievedTimeScale) * 0.1;
+        }
+    }
+
+    getAchievedTimeScale() {
+        return this.achievedTimeScale;
+    }
+
+    // Fast-forward towards runUntilTime within the frame budget, then pause
+    advanceToTarget() {
+        const frameStart = performance.now();
+        while (this.gameEngine.getTime() + CONFIG.SIMULATION_STEP / 2 < this.runUntilTime) {
+            this.gameEngine.tick();
+            if (performance.now() - frameStart > CONFIG.FRAME_BUDGET) return;
+        }
+        this.pause();
+    }
+
+    // Scrub the replay timeline; playback stays paused on the chosen moment
+    seek(timeMs) {
+        this.pause();
+        this.gameEngine.seek(timeMs);
+    }
+
+    setTimeScale(scale) {
+        const [min, max] = CONFIG.TIME_SCALE_RANGE;
+        this.timeScale = Math.min(Math.max(scale, min), max);
+        this.achievedTimeScale = this.timeScale;
+        return this.timeScale;
+    }
+
+    stepOnce() {
+        this.pause();
+        this.gameEngine.tick();
+    }
+
+    runUntil(timeMs) {
+        if (timeMs <= this.gameEngine.getTime()) return;
+        this.runUntilTime = timeMs;
+        this.resume();
+    }
+
+    // Pausing also abandons a run until, which would otherwise carry on regardless
     pause() {
         this.isRunning = false;
+        this.runUntilTime = null;
+        this.accumulator = 0;
     }
 
     resume() {
@@ -69,11 +143,17 @@ class TrafficSimulator {
     }
 
     reset() {
+        this.runUntilTime = null;
+        this.accumulator = 0;
         this.gameEngine.reset();
     }
 
     togglePause() {
-        this.isRunning = !this.isRunning;
+        if (this.isRunning) {
+            this.pause();
+        } else {
+            this.resume();
+        }
         return this.isRunning;
     }
 }
@@ -0,0 +1,85 @@
+// Result metrics shared by batch experiments and scenario runs.
+// Times are reported in seconds, throughput in vehicles per hour.
+export const METRIC_NAMES = [
+    'totalCarsPassed',
+    'averageWaitTime',
+    'currentCars',
+    'throughCarsPassed',
+    'leftTurnsPassed',
+    'rightTurnsPassed',
+    'averageThroughWaitTime',
+    'averageLeftTurnWaitTime',
+    'averageRightTurnWaitTime',
+    'passengerCarsPassed',
+    'trucksPassed',
+    'busesPassed',
+    'motorcyclesPassed',
+    'averagePassengerCarWaitTime',
+    'averageTruckWaitTime',
+    'averageBusWaitTime',
+    'averageMotorcycleWaitTime',
+    'emergencyVehiclesPassed',
+    'averageEmergencyVehicleWaitTime',
+    'preemptions',
+    'averagePreemptionTime',
+    'averageRecoveryTime',
+    'preemptionQueueDelay',
+    'transitBusesPassed',
+    'averageTransitWaitTime',
+    'averageTransitTravelTime',
+    'averageGeneralTrafficWaitTime',
+    'earlyGreens',
+    'greenExtensions',
+    'averageGreenExtension',
+    'pedestriansCrossed',
+    'averagePedestrianDelay',
+    'maxPedestrianDelay',
+    'cyclistsPassed',
+    'averageCyclistDelay',
+    'rightTurnCyclistConflicts',
+    'dilemmaZoneVehicles',
+    'redLightViolations',
+    'averageRedEntryTime',
+    'conflictingRedEntries',
+    'leftTurnsYielded',
+    'sneakers',
+    'laneChanges',
+    'rightTurnsOnRed',
+    'rightTurnOnRedDelaySaved',
+    'averageRightTurnOnRedSaving',
+    'throughputPerHour',
+    'p95WaitTime',
+    'maxWaitTime',
+    'pendingArrivals'
+];
+
+// All metrics for one mode of a simulation that has run for durationMs
+export function collectMetrics(simulation, mode, durationMs) {
+    const components = simulation.getModeComponents(mode);
+    const stats = components.statistics.getStats();
+    const waitTimes = [...components.statistics.waitTimes].sort((a, b) => a - b);
+    const hours = durationMs / 3600000;
+
+    return {
+        ...stats,
+        throughputPerHour: hours > 0 ? stats.totalCarsPassed / hours : 0,
+        p95WaitTime: percentile(waitTimes, 0.95) / 1000,
+        maxWaitTime: (waitTimes.length > 0 ? waitTimes[waitTimes.length - 1] : 0) / 1000,
+        pendingArrivals: components.carManager.getPendingArrivalCount()
+    };
+}
+
+// Keep only the requested metrics, in the requested order
+export function selectMetrics(metrics, names = METRIC_NAMES) {
+    const selected = {};
+    names.forEach(name => {
+        selected[name] = metrics[name];
+    });
+    return selected;
+}
+
+function percentile(sortedValues, fraction) {
+    if (sortedValues.length === 0) return 0;
+    const index = Math.min(sortedValues.length - 1, Math.ceil(fraction * sortedValues.length) - 1);
+    return sortedValues[Math.max(0, index)];
+}
@@ -0,0 +1,182 @@
+import { CONFIG } from './config.js';
+import { SimulationClock } from './clock.js';
+
+const PEDESTRIAN_COLORS = ['#E63946', '#F4A261', '#2A9D8F', '#8E44AD', '#FFD166', '#3A86FF'];
+
+// A pedestrian crossing one leg on its crosswalk. They arrive at either curb, push
+// the button and wait for WALK; once off the curb they walk to the far side at
+// PEDESTRIAN_SPEED whatever the signal shows. Their delay is the wait at the curb.
+export class Pedestrian {
+    constructor({ id, crosswalk, side, intersection, clock = new SimulationClock() }) {
+        this.id = id;
+        this.crosswalk = crosswalk; // Leg whose crosswalk is crossed
+        this.side = side; // 0 starts from the crosswalk's x1, y1 end, 1 from x2, y2
+        this.intersection = intersection;
+        this.clock = clock;
+        this.color = PEDESTRIAN_COLORS[id % PEDESTRIAN_COLORS.length];
+
+        this.state = 'waiting'; // waiting, crossing, completed
+        this.arrivalTime = clock.now();
+        this.waitTime = 0;
+        this.distance = 0; // Walked along the crosswalk (px)
+        this.offset = (id % 5 - 2) * 2; // Spread across the crosswalk so people do not overlap
+
+        this.updatePosition();
+    }
+
+    update(deltaTime, signal, speed) {
+        if (this.state === 'waiting') {
+            this.waitTime = this.clock.now() - this.arrivalTime;
+            if (signal !== CONFIG.PEDESTRIAN_SIGNALS.WALK) return;
+            this.state = 'crossing';
+        }
+
+        this.distance += speed * deltaTime / 1000;
+        const length = this.intersection.getCrosswalkLength();
+        if (this.distance >= length) {
+            this.distance = length;
+            this.state = 'completed';
+        }
+        this.updatePosition();
+    }
+
+    updatePosition() {
+        const { x1, y1, x2, y2 } = this.intersection.getCrosswalk(this.crosswalk);
+        const start = this.side === 0 ? { x: x1, y: y1 } : { x: x2, y: y2 };
+        const end = this.side === 0 ? { x: x2, y: y2 } : { x: x1, y: y1 };
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const along = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+
+        // offset is measured to the walker's right
+        this.x = start.x + along.x * this.distance - along.y * this.offset;
+        this.y = start.y + along.y * this.distance + along.x * this.offset;
+    }
+
+    render(ctx) {
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#F1C27D';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    isWaiting() {
+        return this.state === 'waiting';
+    }
+
+    isCrossing() {
+        return this.state === 'crossing';
+    }
+
+    isCompleted() {
+        return this.state === 'completed';
+    }
+
+    getWaitTime() {
+        return this.waitTime;
+    }
+
+    // Snapshot support: every own field except the shared references
+    serialize() {
+        const { intersection, clock, ...state } = this;
+        return { ...state };
+    }
+
+    static restore(data, intersection, clock) {
+        const pedestrian = new Pedestrian({ id: data.id, crosswalk: data.crosswalk, side: data.side, intersection, clock });
+        Object.assign(pedestrian, data);
+        return pedestrian;
+    }
+}
+
+export class PedestrianManager {
+    constructor(intersection, clock = new SimulationClock()) {
+        this.intersection = intersection;
+        this.clock = clock;
+        this.pedestrians = [];
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+
+        // Callback fired when a pedestrian reaches the far curb
+        this.onPedestrianCompleted = null;
+
+        // Set reference in intersection so turning vehicles can yield
+        this.intersection.pedestrianManager = this;
+    }
+
+    initialize(settings) {
+        this.settings = { ...settings };
+        this.pedestrians = [];
+    }
+
+    // signals: pedestrian signal state per crosswalk; arrivals from the DemandGenerator
+    update(deltaTime, signals, arrivals = []) {
+        arrivals.forEach(({ id, crosswalk, side }) => {
+            this.pedestrians.push(new Pedestrian({ id, crosswalk, side, intersection: this.intersection, clock: this.clock }));
+        });
+
+        this.pedestrians.forEach(pedestrian => {
+            pedestrian.update(deltaTime, signals[pedestrian.crosswalk], this.settings.PEDESTRIAN_SPEED);
+        });
+
+        this.pedestrians.filter(pedestrian => pedestrian.isCompleted()).forEach(pedestrian => {
+            if (this.onPedestrianCompleted) {
+                this.onPedestrianCompleted(pedestrian);
+            }
+        });
+        this.pedestrians = this.pedestrians.filter(pedestrian => !pedestrian.isCompleted());
+    }
+
+    // Push-button calls: for each crosswalk with someone waiting, how many are
+    // waiting and the longest wait so far (ms)
+    getCalls() {
+        const calls = {};
+        this.pedestrians.filter(pedestrian => pedestrian.isWaiting()).forEach(pedestrian => {
+            const call = calls[pedestrian.crosswalk] || { count: 0, waitTime: 0 };
+            call.count++;
+            call.waitTime = Math.max(call.waitTime, pedestrian.getWaitTime());
+            calls[pedestrian.crosswalk] = call;
+        });
+        return calls;
+    }
+
+    hasPedestriansCrossing(crosswalk) {
+        return this.pedestrians.some(pedestrian => pedestrian.crosswalk === crosswalk && pedestrian.isCrossing());
+    }
+
+    render(ctx) {
+        this.pedestrians.forEach(pedestrian => pedestrian.render(ctx));
+    }
+
+    reset() {
+        this.pedestrians = [];
+    }
+
+    serialize() {
+        return {
+            settings: { ...this.settings },
+            pedestrians: this.pedestrians.map(pedestrian => pedestrian.serialize())
+        };
+    }
+
+    // Snapshots from before pedestrians were modelled have none on the crosswalks
+    restore({ settings, pedestrians = [] } = {}) {
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS, ...settings };
+        this.pedestrians = pedestrians.map(pedestrianData => Pedestrian.restore(pedestrianData, this.intersection, this.clock));
+    }
+
+    updateSettings(settings) {
+        this.settings = { ...settings };
+    }
+
+    // Getters for external systems
+    getPedestrians() {
+        return [...this.pedestrians];
+    }
+
+    getWaitingCount() {
+        return this.pedestrians.filter(pedestrian => pedestrian.isWaiting()).length;
+    }
+}
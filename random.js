@@ -0,0 +1,39 @@
+// Seedable pseudo-random number generator (mulberry32).
+// One instance is owned by each Simulation and every random draw goes through it,
+// so a given seed always produces the same arrival sequence.
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    serialize() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    restore(data) {
+        this.seed = data.seed >>> 0;
+        this.state = data.state >>> 0;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
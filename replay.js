@@ -0,0 +1,140 @@
+import { CONFIG } from './config.js';
+
+// Records a compact event log of a run plus periodic state keyframes.
+// Because the simulation is deterministic, any moment can be reconstructed by
+// restoring the nearest earlier keyframe and stepping forward to it, which is
+// what seek() does for scrubbing backwards and forwards on the timeline.
+// Keyframes are thinned out as the recording grows (see thinKeyframes), so a
+// long run costs at most REPLAY_MAX_KEYFRAMES snapshots.
+export class ReplayRecorder {
+    constructor(simulation, keyframeInterval = CONFIG.REPLAY_KEYFRAME_INTERVAL) {
+        this.simulation = simulation;
+        this.initialKeyframeInterval = keyframeInterval;
+
+        // The recorder is an ordinary event bus subscriber
+        this.unsubscribers = [
+            simulation.on('carSpawned', ({ time, mode, car }) => {
+                this.record({
+                    t: Math.round(time), type: 'spawn', mode, id: car.id, direction: car.fromDirection, lane: car.lane,
+                    turnType: car.turnType, vehicleType: car.vehicleType, driverType: car.driverType, color: car.color
+                });
+            }),
+            simulation.on('carStateChanged', ({ time, mode, car, from, to }) => {
+                this.record({ t: Math.round(time), type: 'state', mode, id: car.id, from, to });
+            }),
+            simulation.on('carCompleted', ({ time, mode, car, waitTime }) => {
+                this.record({ t: Math.round(time), type: 'complete', mode, id: car.id, waitTime });
+            }),
+            simulation.on('phaseChanged', ({ time, ...phaseInfo }) => {
+                this.record({ t: Math.round(time), type: 'phase', ...phaseInfo });
+            }),
+            simulation.on('reset', () => this.start())
+        ];
+
+        this.start();
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    start() {
+        this.events = [];
+        this.pendingEvents = [];
+        this.keyframes = [];
+        this.keyframeInterval = this.initialKeyframeInterval;
+        this.startTime = this.simulation.getTime();
+        this.endTime = this.startTime;
+        this.captureKeyframe();
+    }
+
+    // Events are buffered during a step and committed in afterStep()
+    record(event) {
+        this.pendingEvents.push(event);
+    }
+
+    // Called by the simulation after every step. Steps that replay already
+    // recorded time (after a seek backwards) add nothing to the log.
+    afterStep() {
+        const now = this.simulation.getTime();
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+
+        if (now <= this.endTime + CONFIG.SIMULATION_STEP / 2) return;
+
+        this.endTime = now;
+        events.forEach(event => this.events.push(event));
+
+        const lastKeyframe = this.keyframes[this.keyframes.length - 1];
+        if (now - lastKeyframe.time >= this.keyframeInterval) {
+            this.captureKeyframe();
+            if (this.keyframes.length > CONFIG.REPLAY_MAX_KEYFRAMES) {
+                this.thinKeyframes();
+            }
+        }
+    }
+
+    // Drop every other keyframe and space new ones twice as far apart, which
+    // keeps them evenly spread; a seek then steps forward from further back
+    thinKeyframes() {
+        this.keyframes = this.keyframes.filter((keyframe, index) => index % 2 === 0);
+        this.keyframeInterval *= 2;
+    }
+
+    captureKeyframe() {
+        this.keyframes.push({
+            time: this.simulation.getTime(),
+            state: this.simulation.saveState()
+        });
+    }
+
+    // Restore the simulation to timeMs (clamped to the recorded range)
+    seek(timeMs) {
+        const target = Math.min(Math.max(timeMs, this.startTime), this.endTime);
+
+        let keyframe = this.keyframes[0];
+        for (const candidate of this.keyframes) {
+            if (candidate.time > target) break;
+            keyframe = candidate;
+        }
+
+        this.simulation.loadState(keyframe.state, { keepRecording: true });
+        this.simulation.runUntil(target);
+        this.pendingEvents = [];
+    }
+
+    // Drop everything recorded after timeMs and keyframe the current state,
+    // so replay stays exact after a mid-run change
+    truncate(timeMs) {
+        this.events = this.events.filter(event => event.t <= timeMs);
+        this.keyframes = this.keyframes.filter(keyframe => keyframe.time < timeMs);
+        this.pendingEvents = [];
+        this.endTime = timeMs;
+        this.captureKeyframe();
+    }
+
+    getEvents(fromTime = -Infinity, toTime = Infinity) {
+        return this.events.filter(event => event.t >= fromTime && event.t <= toTime);
+    }
+
+    getStartTime() {
+        return this.startTime;
+    }
+
+    getEndTime() {
+        return this.endTime;
+    }
+
+    // Compact export: the run is rebuilt by restoring the initial state and stepping
+    // forward, and the event log says what happened along the way
+    export() {
+        return {
+            version: CONFIG.SNAPSHOT_VERSION,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            initialState: this.keyframes[0].state,
+            events: this.events
+        };
+    }
+}
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Command-line batch runner.
+// Usage: node runExperiments.js <sweep.json|scenario.json|counts.csv> [--out results.csv] [--format csv|json] [--verbose]
+// A scenario file (see scenario.js) is run once for its duration; a sweep runs every combination.
+// A turning movement count sheet (see counts.js) is replayed under both controllers.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { runScenario, runSweep, toCsv } from './experiments.js';
+import { parseTurningMovementCounts, countsToScenario } from './counts.js';
+
+function parseArgs(argv) {
+    const options = { sweepPath: null, out: null, format: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--verbose') options.verbose = true;
+        else if (!options.sweepPath) options.sweepPath = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (!options.sweepPath) {
+        throw new Error('Usage: node runExperiments.js <sweep.json|scenario.json|counts.csv> [--out results.csv] [--format csv|json] [--verbose]');
+    }
+    // Infer the format from the output file extension unless given explicitly
+    options.format = options.format || (options.out && options.out.endsWith('.json') ? 'json' : 'csv');
+    if (!['csv', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format ${options.format}; expected csv or json`);
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const text = readFileSync(options.sweepPath, 'utf8');
+    const definition = options.sweepPath.toLowerCase().endsWith('.csv')
+        ? countsToScenario(parseTurningMovementCounts(text), { name: basename(options.sweepPath, '.csv') })
+        : JSON.parse(text);
+
+    const startTime = Date.now();
+    // Scenario files carry a format version; sweep definitions do not
+    const rows = definition.version !== undefined
+        ? runScenario(definition, { verbose: options.verbose })
+        : runSweep(definition, (row, index, total) => {
+            process.stderr.write(`[${index}/${total}] ${row.mode} seed=${row.seed} passed=${row.totalCarsPassed} avgWait=${row.averageWaitTime.toFixed(1)}s\n`);
+        }, { verbose: options.verbose });
+
+    const output = options.format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(rows);
+    if (options.out) {
+        writeFileSync(options.out, output);
+        process.stderr.write(`Wrote ${rows.length} rows to ${options.out} in ${((Date.now() - startTime) / 1000).toFixed(1)}s\n`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+}
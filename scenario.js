@@ -0,0 +1,491 @@
+import { CONFIG } from './config.js';
+import { METRIC_NAMES } from './metrics.js';
+import {
+    normalizeProfile, validateProfile, normalizeTurningSchedule, validateTurningSchedule,
+    normalizeVehicleMix, validateVehicleMix, normalizeDriverMix, validateDriverMix,
+    normalizeEmergencyVehicles, validateEmergencyVehicles,
+    normalizeBusRoutes, validateBusRoutes, normalizeLegRates, validatePedestrianRates,
+    validateBicycleRates
+} from './demand.js';
+import { normalizeArrivalModel, validateArrivalModel } from './arrivals.js';
+
+// Declarative scenario files: everything needed to reproduce a study, in a
+// plain JSON document that can be versioned alongside reports, for example:
+//
+// {
+//     "version": 2,
+//     "name": "Evening peak",
+//     "description": "Heavy westbound demand",
+//     "seed": 42,
+//     "durationSeconds": 3600,
+//     "geometry": { "intersectionSize": 120, "roadWidth": 60, "laneWidth": 15, "bikeLanes": ["east", "west"], "bikeBoxes": ["east", "west"],
+//                   "rightTurnOnRed": ["north", "east", "south", "west"] },
+//     "demand": {
+//         "north": 300,
+//         "east": [{ "time": 0, "rate": 400 }, { "time": 900, "rate": 1200 }, { "time": 2700, "rate": 1200 }, { "time": 3600, "rate": 500 }],
+//         "south": 300,
+//         "west": 450
+//     },
+//     "arrivals": {
+//         "east": { "type": "platooned", "cycle": 90, "green": 40, "offset": 20, "saturationHeadway": 2 },
+//         "west": "poisson"
+//     },
+//     "turning": {
+//         "north": { "left": 0.2, "through": 0.6, "right": 0.2 },
+//         "east": { "south": 0.1, "west": 0.8, "north": 0.1 }
+//     },
+//     "vehicles": {
+//         "speed": 25, "timeGap": 1, "minGap": 8, "reactionTime": 0.8,
+//         "criticalGap": 4.5, "followUpTime": 2.5,
+//         "mix": { "car": 0.9, "truck": 0.06, "bus": 0.02, "motorcycle": 0.02 },
+//         "drivers": { "cautious": 0.25, "typical": 0.7, "redRunner": 0.05 }
+//     },
+//     "emergencyVehicles": [{ "time": 600, "approach": "east", "turn": "through" }],
+//     "busRoutes": [{ "name": "12", "approach": "west", "turn": "through", "headway": 300, "offset": 60 }],
+//     "pedestrians": { "rates": { "north": 120, "east": 60, "south": 120, "west": 60 }, "speed": 5 },
+//     "bicycles": { "rates": { "east": 150, "west": 150 }, "speed": 15 },
+//     "controllers": [
+//         { "type": "adaptive", "params": { "DETECTOR_DISTANCE": 300, "MIN_GREEN_TIME": 5000, "YELLOW_DURATION": 3000, "ALL_RED_DURATION": 2000, "LEADING_BICYCLE_INTERVAL": 3000 } },
+//         { "type": "fixed", "params": { "GREEN_DURATION": 30000, "YELLOW_DURATION": 5000, "ALL_RED_DURATION": 3000, "RED_DURATION": 30000 } }
+//     ],
+//     "metrics": ["totalCarsPassed", "averageWaitTime", "p95WaitTime"]
+// }
+//
+// Every section is optional and takes its defaults when omitted. Each one is
+// described where validateScenario checks it.
+
+// Settings each controller type reads; those in OPTIONAL_PARAMETERS switch a feature
+// off at zero
+const OPTIONAL_PARAMETERS = ['ALL_RED_DURATION', 'LEADING_BICYCLE_INTERVAL'];
+const PREEMPTION_PARAMETERS = ['PREEMPTION_DETECTOR_DISTANCE', 'PREEMPTION_ALL_RED', 'PREEMPTION_MIN_DWELL'];
+const PRIORITY_PARAMETERS = ['PRIORITY_CHECK_IN_DISTANCE', 'PRIORITY_MAX_EXTENSION'];
+
+export const CONTROLLER_PARAMETERS = {
+    [CONFIG.MODES.FIXED]: [
+        'GREEN_DURATION', 'YELLOW_DURATION', 'RED_DURATION', 'MIN_GREEN_TIME',
+        ...PREEMPTION_PARAMETERS, ...PRIORITY_PARAMETERS, 'PRIORITY_MAX_EARLY_GREEN', 'PEDESTRIAN_WALK_TIME',
+        ...OPTIONAL_PARAMETERS
+    ],
+    [CONFIG.MODES.ADAPTIVE]: [
+        'DETECTOR_DISTANCE', 'MIN_GREEN_TIME', 'YELLOW_DURATION',
+        ...PREEMPTION_PARAMETERS, ...PRIORITY_PARAMETERS, 'MAX_GREEN_TIME', 'PEDESTRIAN_WALK_TIME',
+        ...OPTIONAL_PARAMETERS
+    ]
+};
+
+// Capture the simulation's current configuration as a scenario
+export function exportScenario(simulation, { name, description, durationSeconds, metrics } = {}) {
+    const info = simulation.getScenarioInfo();
+    const current = simulation.getCurrentMode();
+    const modes = simulation.isComparisonMode()
+        ? [current, current === CONFIG.MODES.FIXED ? CONFIG.MODES.ADAPTIVE : CONFIG.MODES.FIXED]
+        : [current];
+    const settings = simulation.getModeComponents(current).settings;
+    // Approaches still following the spawn rate are left out of demand, so they share it again on load
+    const profiled = simulation.demand.getProfiledApproaches();
+    const profiles = simulation.getDemandProfiles();
+    const demand = {};
+    profiled.forEach(direction => {
+        demand[direction] = profiles[direction];
+    });
+    const followsSpawnRate = profiled.length < Object.values(CONFIG.DIRECTIONS).length;
+
+    return {
+        version: CONFIG.SCENARIO_VERSION,
+        name: name !== undefined ? name : info.name,
+        description: description !== undefined ? description : info.description,
+        seed: simulation.getSeed(),
+        durationSeconds: durationSeconds !== undefined ? durationSeconds : info.durationSeconds,
+        geometry: simulation.getGeometry(),
+        demand: exportProfiles(demand),
+        ...(followsSpawnRate ? { spawnRate: settings.CAR_SPAWN_RATE } : {}),
+        arrivals: simulation.getArrivalModels(),
+        turning: exportTurning(simulation.demand.getTurningSchedules()),
+        vehicles: {
+            speed: settings.CAR_SPEED,
+            timeGap: settings.TIME_GAP / 1000,
+            minGap: settings.MIN_GAP,
+            reactionTime: settings.REACTION_TIME / 1000,
+            criticalGap: settings.CRITICAL_GAP / 1000,
+            followUpTime: settings.FOLLOW_UP_TIME / 1000,
+            mix: simulation.getVehicleMix(),
+            drivers: simulation.getDriverMix()
+        },
+        emergencyVehicles: simulation.getEmergencyVehicles(),
+        busRoutes: simulation.getBusRoutes(),
+        pedestrians: { rates: simulation.getPedestrianRates(), speed: settings.PEDESTRIAN_SPEED },
+        bicycles: { rates: simulation.getBicycleRates(), speed: settings.BICYCLE_SPEED },
+        controllers: modes.map(mode => {
+            const modeSettings = simulation.getModeComponents(mode).settings;
+            const params = {};
+            CONTROLLER_PARAMETERS[mode].forEach(key => {
+                params[key] = modeSettings[key];
+            });
+            return { type: mode, params };
+        }),
+        metrics: [...(metrics || info.metrics)]
+    };
+}
+
+// Returns a list of problems; empty when the scenario is valid
+export function validateScenario(scenario) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const directions = Object.values(CONFIG.DIRECTIONS);
+
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    // A section of named fields, or {} when it is omitted or not an object at all
+    const section = (key) => {
+        if (scenario[key] === undefined) return {};
+        if (isObject(scenario[key])) return scenario[key];
+        errors.push(`${key} must be an object`);
+        return {};
+    };
+
+    if (!isObject(scenario)) {
+        return ['Scenario must be a JSON object'];
+    }
+    if (!(Number.isInteger(scenario.version) && scenario.version >= 1 && scenario.version <= CONFIG.SCENARIO_VERSION)) {
+        errors.push(`Unsupported scenario version ${scenario.version}; expected 1 to ${CONFIG.SCENARIO_VERSION}`);
+    }
+    if (scenario.seed !== undefined && !Number.isInteger(scenario.seed)) {
+        errors.push('seed must be an integer');
+    }
+    if (scenario.durationSeconds !== undefined && !(isNumber(scenario.durationSeconds) && scenario.durationSeconds > 0)) {
+        errors.push('durationSeconds must be a positive number');
+    }
+
+    // Sizes in px. The legs in bikeLanes get a bike lane along both curbs, those in
+    // bikeBoxes an advanced stop area, and right turns on red are allowed only from
+    // the approaches in rightTurnOnRed.
+    const geometry = section('geometry');
+    ['intersectionSize', 'roadWidth', 'laneWidth'].forEach(key => {
+        if (geometry[key] !== undefined && !(isNumber(geometry[key]) && geometry[key] > 0)) {
+            errors.push(`geometry.${key} must be a positive number`);
+        }
+    });
+    // Each road carries four lanes, two per travel direction
+    const roadWidth = geometry.roadWidth !== undefined ? geometry.roadWidth : CONFIG.ROAD_WIDTH;
+    const laneWidth = geometry.laneWidth !== undefined ? geometry.laneWidth : CONFIG.LANE_WIDTH;
+    const intersectionSize = geometry.intersectionSize !== undefined ? geometry.intersectionSize : CONFIG.INTERSECTION_SIZE;
+    if (laneWidth * 4 > roadWidth) {
+        errors.push(`geometry.roadWidth (${roadWidth}) must fit four lanes of ${laneWidth}`);
+    }
+    if (roadWidth > intersectionSize) {
+        errors.push(`geometry.intersectionSize (${intersectionSize}) must be at least the road width (${roadWidth})`);
+    }
+    ['bikeLanes', 'bikeBoxes', 'rightTurnOnRed'].forEach(key => {
+        const legs = geometry[key];
+        if (legs !== undefined && !(Array.isArray(legs) && legs.every(leg => directions.includes(leg)))) {
+            errors.push(`geometry.${key} must be a list of legs (${directions.join(', ')})`);
+        }
+    });
+
+    // Demand per approach in veh/h, constant or a piecewise linear profile over
+    // simulated time (see demand.js). Omitted approaches share spawnRate, in cars per
+    // 10 s (default CAR_SPAWN_RATE), evenly and follow the spawn rate setting.
+    if (scenario.spawnRate !== undefined && !(isNumber(scenario.spawnRate) && scenario.spawnRate >= 0)) {
+        errors.push('spawnRate must be a non-negative number');
+    }
+    const demand = section('demand');
+    if (scenario.version === 1) {
+        errors.push(...validateLegacyDemand(demand));
+    } else {
+        Object.entries(demand).forEach(([direction, profile]) => {
+            if (!directions.includes(direction)) {
+                errors.push(`demand has unknown approach ${direction}`);
+            } else {
+                errors.push(...validateProfile(profile, `demand.${direction}`));
+            }
+        });
+    }
+
+    // Arrival process per approach, a model name or { type, ...params } (see
+    // arrivals.js); uniform headways by default
+    Object.entries(section('arrivals')).forEach(([direction, model]) => {
+        if (!directions.includes(direction)) {
+            errors.push(`arrivals has unknown approach ${direction}`);
+        } else {
+            errors.push(...validateArrivalModel(model, `arrivals.${direction}`));
+        }
+    });
+
+    // { left, through, right } fractions, an origin-destination row keyed by exit leg,
+    // or a list of { time, ...fractions } entries that each hold until the next (see counts.js)
+    Object.entries(section('turning')).forEach(([direction, movement]) => {
+        if (!directions.includes(direction)) {
+            errors.push(`turning has unknown approach ${direction}`);
+            return;
+        }
+        errors.push(...validateTurningSchedule(direction, movement, `turning.${direction}`));
+    });
+
+    // Intelligent Driver Model car-following: timeGap is the desired headway (s), minGap
+    // the standing gap (px) and reactionTime the delay (s) before a standing vehicle
+    // pulls away, which together set the saturation flow. Left turns take a gap of at
+    // least criticalGap (s) in the oncoming traffic, followUpTime (s) apart when they
+    // share one. mix shares out CONFIG.VEHICLE_CLASSES, and drivers CONFIG.DRIVER_TYPES,
+    // which decide what each driver does on a yellow.
+    const vehicles = section('vehicles');
+    if (vehicles.speed !== undefined && !(isNumber(vehicles.speed) && vehicles.speed > 0)) {
+        errors.push('vehicles.speed must be a positive number');
+    }
+    ['timeGap', 'minGap', 'criticalGap', 'followUpTime'].forEach(key => {
+        if (vehicles[key] !== undefined && !(isNumber(vehicles[key]) && vehicles[key] > 0)) {
+            errors.push(`vehicles.${key} must be a positive number`);
+        }
+    });
+    if (vehicles.reactionTime !== undefined && !(isNumber(vehicles.reactionTime) && vehicles.reactionTime >= 0)) {
+        errors.push('vehicles.reactionTime must be a non-negative number');
+    }
+    if (vehicles.mix !== undefined) {
+        errors.push(...validateVehicleMix(vehicles.mix, 'vehicles.mix'));
+    }
+    if (vehicles.drivers !== undefined) {
+        errors.push(...validateDriverMix(vehicles.drivers, 'vehicles.drivers'));
+    }
+    // Emergency vehicles are dispatched at the given times and preempt the signal. Route
+    // buses run to their headway with transit signal priority (see experiments.js for
+    // the run without it).
+    if (scenario.emergencyVehicles !== undefined) {
+        errors.push(...validateEmergencyVehicles(scenario.emergencyVehicles, 'emergencyVehicles'));
+    }
+    if (scenario.busRoutes !== undefined) {
+        errors.push(...validateBusRoutes(scenario.busRoutes, 'busRoutes'));
+    }
+    // People per hour on the crosswalk across each leg, or one rate for all four, who
+    // call WALK with the push button; cyclists per hour riding straight through from
+    // each approach. Speeds in px/s.
+    const pedestrians = section('pedestrians');
+    if (pedestrians.rates !== undefined) {
+        errors.push(...validatePedestrianRates(pedestrians.rates, 'pedestrians.rates'));
+    }
+    if (pedestrians.speed !== undefined && !(isNumber(pedestrians.speed) && pedestrians.speed > 0)) {
+        errors.push('pedestrians.speed must be a positive number');
+    }
+    const bicycles = section('bicycles');
+    if (bicycles.rates !== undefined) {
+        errors.push(...validateBicycleRates(bicycles.rates, 'bicycles.rates'));
+    }
+    if (bicycles.speed !== undefined && !(isNumber(bicycles.speed) && bicycles.speed > 0)) {
+        errors.push('bicycles.speed must be a positive number');
+    }
+
+    // Params use CONFIG.DEFAULT_SETTINGS keys and units (durations in ms). The first
+    // controller is the one shown; a second runs side by side on the same arrivals.
+    const controllers = scenario.controllers;
+    if (controllers !== undefined) {
+        if (!Array.isArray(controllers) || controllers.length < 1 || controllers.length > 2) {
+            errors.push('controllers must list one controller, or two to compare them');
+        } else {
+            controllers.forEach((controller, index) => {
+                if (!isObject(controller)) {
+                    errors.push(`controllers[${index}] must be an object`);
+                    return;
+                }
+                const type = controller.type;
+                if (!CONTROLLER_PARAMETERS[type]) {
+                    errors.push(`controllers[${index}].type must be one of ${Object.keys(CONTROLLER_PARAMETERS).join(', ')}`);
+                    return;
+                }
+                if (controller.params !== undefined && !isObject(controller.params)) {
+                    errors.push(`controllers[${index}].params must be an object`);
+                    return;
+                }
+                Object.entries(controller.params || {}).forEach(([key, value]) => {
+                    if (!CONTROLLER_PARAMETERS[type].includes(key)) {
+                        errors.push(`controllers[${index}].params.${key} is not a ${type} parameter; expected one of ${CONTROLLER_PARAMETERS[type].join(', ')}`);
+                    } else if (OPTIONAL_PARAMETERS.includes(key)) {
+                        if (!(isNumber(value) && value >= 0)) {
+                            errors.push(`controllers[${index}].params.${key} must be a non-negative number`);
+                        }
+                    } else if (!(isNumber(value) && value > 0)) {
+                        errors.push(`controllers[${index}].params.${key} must be a positive number`);
+                    }
+                });
+            });
+            if (controllers.length === 2 && controllers.every(isObject) && controllers[0].type === controllers[1].type) {
+                errors.push('controllers must be of different types to compare them');
+            }
+        }
+    }
+
+    if (scenario.metrics !== undefined) {
+        if (!Array.isArray(scenario.metrics)) {
+            errors.push('metrics must be a list of metric names');
+        } else {
+            scenario.metrics.filter(metric => !METRIC_NAMES.includes(metric)).forEach(metric => {
+                errors.push(`Unknown metric ${metric}; expected one of ${METRIC_NAMES.join(', ')}`);
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Validate and fill in defaults for every omitted section
+export function normalizeScenario(scenario) {
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+        throw new Error(`Invalid scenario:\n- ${errors.join('\n- ')}`);
+    }
+    scenario = upgradeScenario(scenario);
+
+    const defaults = CONFIG.DEFAULT_SETTINGS;
+    const demand = {};
+    const spawnRate = scenario.spawnRate !== undefined ? scenario.spawnRate : defaults.CAR_SPAWN_RATE;
+    Object.entries({ ...defaultDemand(spawnRate), ...scenario.demand }).forEach(([direction, profile]) => {
+        demand[direction] = normalizeProfile(profile);
+    });
+    const arrivals = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        arrivals[direction] = normalizeArrivalModel((scenario.arrivals || {})[direction] || CONFIG.ARRIVAL_MODELS.UNIFORM);
+    });
+    const turnRate = defaults.TURN_RATE;
+    const turning = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        const movement = (scenario.turning || {})[direction];
+        turning[direction] = normalizeTurningSchedule(direction, movement
+            || { left: turnRate / 2, through: 1 - turnRate, right: turnRate / 2 });
+    });
+
+    return {
+        version: CONFIG.SCENARIO_VERSION,
+        name: scenario.name || 'Untitled scenario',
+        description: scenario.description || '',
+        seed: scenario.seed,
+        durationSeconds: scenario.durationSeconds || 3600,
+        spawnRate,
+        geometry: {
+            intersectionSize: CONFIG.INTERSECTION_SIZE,
+            roadWidth: CONFIG.ROAD_WIDTH,
+            laneWidth: CONFIG.LANE_WIDTH,
+            bikeLanes: [],
+            bikeBoxes: [],
+            rightTurnOnRed: [],
+            ...scenario.geometry
+        },
+        demand,
+        arrivals,
+        turning,
+        vehicles: {
+            speed: defaults.CAR_SPEED,
+            timeGap: defaults.TIME_GAP / 1000,
+            minGap: defaults.MIN_GAP,
+            reactionTime: defaults.REACTION_TIME / 1000,
+            criticalGap: defaults.CRITICAL_GAP / 1000,
+            followUpTime: defaults.FOLLOW_UP_TIME / 1000,
+            ...scenario.vehicles,
+            mix: normalizeVehicleMix((scenario.vehicles || {}).mix || CONFIG.DEFAULT_VEHICLE_MIX),
+            drivers: normalizeDriverMix((scenario.vehicles || {}).drivers || CONFIG.DEFAULT_DRIVER_MIX)
+        },
+        emergencyVehicles: normalizeEmergencyVehicles(scenario.emergencyVehicles || []),
+        busRoutes: normalizeBusRoutes(scenario.busRoutes || []),
+        pedestrians: {
+            speed: defaults.PEDESTRIAN_SPEED,
+            ...scenario.pedestrians,
+            rates: normalizeLegRates((scenario.pedestrians || {}).rates || defaults.PEDESTRIAN_RATE)
+        },
+        bicycles: {
+            speed: defaults.BICYCLE_SPEED,
+            ...scenario.bicycles,
+            rates: normalizeLegRates((scenario.bicycles || {}).rates || defaults.BICYCLE_RATE)
+        },
+        controllers: (scenario.controllers || [{ type: CONFIG.MODES.FIXED }]).map(controller => ({
+            type: controller.type,
+            params: { ...controller.params }
+        })),
+        metrics: [...(scenario.metrics || METRIC_NAMES)]
+    };
+}
+
+// Mean share of turning vehicles, kept in sync with the TURN_RATE setting
+export function averageTurnRate(turning) {
+    const movements = Object.values(turning);
+    if (movements.length === 0) return 0;
+    return movements.reduce((sum, movement) => sum + movement.left + movement.right, 0) / movements.length;
+}
+
+// Approaches a scenario gives demand for; the others share spawnRate and follow the
+// CAR_SPAWN_RATE setting
+export function profiledApproaches(scenario) {
+    return Object.keys(upgradeScenario(scenario).demand || {});
+}
+
+// Version 1 demand: one spawn rate in cars per 10 s, split by approach shares
+function validateLegacyDemand(demand) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const directions = Object.values(CONFIG.DIRECTIONS);
+
+    Object.keys(demand).filter(key => key !== 'spawnRate' && key !== 'approachShares').forEach(key => {
+        errors.push(`demand.${key} is not a version 1 field; expected spawnRate or approachShares`);
+    });
+    if (demand.spawnRate !== undefined && !(isNumber(demand.spawnRate) && demand.spawnRate > 0)) {
+        errors.push('demand.spawnRate must be a positive number');
+    }
+    const shares = demand.approachShares;
+    if (shares !== undefined && (shares === null || typeof shares !== 'object' || Array.isArray(shares))) {
+        errors.push('demand.approachShares must be an object');
+    } else if (shares !== undefined) {
+        Object.entries(shares).forEach(([direction, share]) => {
+            if (!directions.includes(direction)) {
+                errors.push(`demand.approachShares has unknown approach ${direction}`);
+            } else if (!(isNumber(share) && share >= 0)) {
+                errors.push(`demand.approachShares.${direction} must be a non-negative number`);
+            }
+        });
+        const allShares = directions.map(direction => (shares[direction] !== undefined ? shares[direction] : 1));
+        if (allShares.every(share => share === 0)) {
+            errors.push('demand.approachShares must give at least one approach a positive share');
+        }
+    }
+    return errors;
+}
+
+// Bring a valid scenario written for an older version up to the current format;
+// version 1 files still load, their demand converted to rates per approach
+function upgradeScenario(scenario) {
+    if (scenario.version !== 1 || scenario.demand === undefined) return scenario;
+
+    const { spawnRate = CONFIG.DEFAULT_SETTINGS.CAR_SPAWN_RATE, approachShares = {} } = scenario.demand;
+    const shares = {};
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        shares[direction] = approachShares[direction] !== undefined ? approachShares[direction] : 1;
+    });
+    const total = Object.values(shares).reduce((sum, share) => sum + share, 0);
+    const demand = {};
+    Object.entries(shares).forEach(([direction, share]) => {
+        demand[direction] = spawnRate * 360 * share / total;
+    });
+    return { ...scenario, demand };
+}
+
+// Even split of spawnRate (cars per 10 s over all approaches), as setSpawnRate in demand.js
+function defaultDemand(spawnRate) {
+    const directions = Object.values(CONFIG.DIRECTIONS);
+    const demand = {};
+    directions.forEach(direction => {
+        demand[direction] = spawnRate * 360 / directions.length;
+    });
+    return demand;
+}
+
+// Constant profiles are written as a plain rate to keep files readable
+function exportProfiles(profiles) {
+    const demand = {};
+    Object.entries(profiles).forEach(([direction, profile]) => {
+        demand[direction] = profile.length === 1 ? profile[0].rate : profile;
+    });
+    return demand;
+}
+
+// Likewise turning that never changes is written as plain fractions
+function exportTurning(schedules) {
+    const turning = {};
+    Object.entries(schedules).forEach(([direction, schedule]) => {
+        const { left, through, right } = schedule[0];
+        turning[direction] = schedule.length === 1 ? { left, through, right } : schedule;
+    });
+    return turning;
+}
@@ -1,8 +1,13 @@
 import { CONFIG } from "./config.js";
+import { SimulationClock } from "./clock.js";
 
 export class SensorSystem {
-    constructor(intersection) {
+    constructor(intersection, clock = new SimulationClock()) {
         this.intersection = intersection;
+        this.clock = clock;
+
+        // Callback fired when a car enters a detection zone: (car, direction, count)
+        this.onCarDetected = null;
         this.detectorDistance = CONFIG.DEFAULT_SETTINGS.DETECTOR_DISTANCE;
         this.sensorData = {};
         this.carCounts = {};
@@ -17,10 +22,12 @@ export class SensorSystem {
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.sensorData[direction] = {
                 carsWaiting: 0,
+                queuedCars: 0,
                 waitTime: 0,
                 detectedCars: [],
                 firstCarWaitStart: null,
-                totalCarsDetected: 0
+                totalCarsDetected: 0,
+                lastDepartureTime: null // Last vehicle over the stop line
             };
             this.carCounts[direction] = 0;
             this.waitingCars[direction] = null;
@@ -37,6 +44,7 @@ export class SensorSystem {
         // Reset detection data but keep total counts
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.sensorData[direction].carsWaiting = 0;
+            this.sensorData[direction].queuedCars = 0;
             this.sensorData[direction].waitTime = 0;
             this.sensorData[direction].detectedCars = [];
             this.sensorData[direction].firstCarWaitStart = null;
@@ -65,6 +73,16 @@ export class SensorSystem {
             const direction = car.getDirection();
             const detectionZone = this.getDetectionZone(direction);
 
+            // Vehicles standing in the zone whatever the signal: on green, the queue yet to pull away
+            if (car.isWaiting() && this.isCarInDetectionZone(car, detectionZone)) {
+                this.sensorData[direction].queuedCars++;
+            }
+            // Stop-line detector
+            if (car.state !== 'approaching' && car.state !== 'waiting' && !car._crossedStopLine) {
+                car._crossedStopLine = true;
+                this.sensorData[direction].lastDepartureTime = this.clock.now();
+            }
+
             // Only count cars if light is red in adaptive mode
             if (lightStates && lightStates[direction] === CONFIG.LIGHT_STATES.RED) {
                 const inZone = this.isCarInDetectionZone(car, detectionZone);
@@ -72,6 +90,9 @@ export class SensorSystem {
                     car._countedInDetector = true;
                     this.totalCarsDetected[direction]++;
                     this.sensorData[direction].totalCarsDetected = this.totalCarsDetected[direction];
+                    if (this.onCarDetected) {
+                        this.onCarDetected(car, direction, this.totalCarsDetected[direction]);
+                    }
                 }
                 if (!inZone && car._countedInDetector) {
                     car._countedInDetector = false;
@@ -85,7 +106,7 @@ export class SensorSystem {
                         this.waitingCars[direction] = car;
                     }
                     if (!this.sensorData[direction].firstCarWaitStart) {
-                        this.sensorData[direction].firstCarWaitStart = Date.now() - car.getWaitTime();
+                        this.sensorData[direction].firstCarWaitStart = this.clock.now() - car.getWaitTime();
                     }
                 }
             }
@@ -101,6 +122,43 @@ export class SensorSystem {
         return this.sensorData;
     }
 
+    // Approaches calling for preemption: an emergency vehicle within detectorDistance of
+    // the stop line, or still clearing the intersection after it
+    getPreemptionCalls(cars, detectorDistance) {
+        const calls = [];
+        cars.filter(car => car.isEmergency()).forEach(car => {
+            const direction = car.getDirection();
+            const approaching = car.state === 'approaching' || car.state === 'waiting';
+            const inRange = approaching
+                ? car.getDistanceToStopLine(this.intersection.getStopLinePosition(direction)) <= detectorDistance
+                : car.state === 'crossing' || car.state === 'turning';
+            if (inRange && !calls.includes(direction)) {
+                calls.push(direction);
+            }
+        });
+        return calls;
+    }
+
+    // Transit priority detectors: a route bus checks in within checkInDistance of the
+    // stop line and checks out as it crosses it. Returns the approaches with a bus checked in.
+    getPriorityCalls(cars, checkInDistance) {
+        const calls = [];
+        cars.filter(car => car.transitRoute !== null).forEach(car => {
+            const direction = car.getDirection();
+            const approaching = car.state === 'approaching' || car.state === 'waiting';
+            if (approaching && car.checkInTime === null &&
+                car.getDistanceToStopLine(this.intersection.getStopLinePosition(direction)) <= checkInDistance) {
+                car.checkInTime = this.clock.now();
+            } else if (!approaching && car.checkInTime !== null && car.checkOutTime === null) {
+                car.checkOutTime = this.clock.now();
+            }
+            if (car.checkInTime !== null && car.checkOutTime === null && !calls.includes(direction)) {
+                calls.push(direction);
+            }
+        });
+        return calls;
+    }
+
     isCarCloserToStopLine(car1, car2, direction) {
         const stopLine = this.intersection.getStopLinePosition(direction);
         
@@ -120,7 +178,7 @@ export class SensorSystem {
 
     getDetectionZone(direction) {
         const stopLine = this.intersection.getStopLinePosition(direction);
-        const roadWidth = CONFIG.ROAD_WIDTH;
+        const roadWidth = this.intersection.roadWidth;
         
         switch (direction) {
             case CONFIG.DIRECTIONS.NORTH:
@@ -319,7 +377,6 @@ export class SensorSystem {
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.totalCarsDetected[direction] = 0;
         });
-        console.log('Adaptive Mode: Car counts reset for new cycle');
     }
     
     triggerCountReset() {
@@ -329,4 +386,31 @@ export class SensorSystem {
     reset() {
         this.initializeSensors();
     }
+
+    // Per-frame detections (detectedCars, waitingCars) are rebuilt on the next update,
+    // so only the counters that persist across frames are saved
+    serialize() {
+        const sensorData = {};
+        Object.entries(this.sensorData).forEach(([direction, data]) => {
+            sensorData[direction] = { ...data, detectedCars: [] };
+        });
+        return {
+            detectorDistance: this.detectorDistance,
+            sensorData,
+            carCounts: { ...this.carCounts },
+            totalCarsDetected: { ...this.totalCarsDetected },
+            shouldResetCounts: !!this.shouldResetCounts
+        };
+    }
+
+    restore(data) {
+        this.detectorDistance = data.detectorDistance;
+        this.initializeSensors();
+        Object.entries(data.sensorData).forEach(([direction, sensorData]) => {
+            this.sensorData[direction] = { ...this.sensorData[direction], ...sensorData, detectedCars: [] };
+        });
+        this.carCounts = { ...data.carCounts };
+        this.totalCarsDetected = { ...data.totalCarsDetected };
+        this.shouldResetCounts = data.shouldResetCounts;
+    }
 }
\ No newline at end of file
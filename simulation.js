@@ -0,0 +1,861 @@
+import { Intersection } from './intersection.js';
+import { TrafficLightController } from './trafficLights.js';
+import { CarManager } from './cars.js';
+import { PedestrianManager } from './pedestrians.js';
+import { CyclistManager } from './bicycles.js';
+import { SensorSystem } from './sensors.js';
+import { Statistics } from './statistics.js';
+import { SeededRandom } from './random.js';
+import { SimulationClock } from './clock.js';
+import {
+    DemandGenerator, getProfileRate, getTurningMovementAt,
+    validateProfile, validateTurningSchedule, validateVehicleMix, validateDriverMix, validateEmergencyVehicles,
+    validateBusRoutes, validatePedestrianRates, validateBicycleRates
+} from './demand.js';
+import { ReplayRecorder } from './replay.js';
+import { EventEmitter, SIMULATION_EVENTS } from './events.js';
+import { validateArrivalModel } from './arrivals.js';
+import { exportScenario, normalizeScenario, averageTurnRate, profiledApproaches } from './scenario.js';
+import { METRIC_NAMES } from './metrics.js';
+import { CONFIG } from './config.js';
+
+// Headless simulation core: no canvas, no DOM. Drive it with step(dtMs)
+// from a browser game loop or from a plain Node script.
+export class Simulation {
+    constructor({ seed } = {}) {
+        // Single seeded PRNG that every random draw in the simulation goes through
+        this.random = new SeededRandom(seed);
+
+        // Simulated clock advanced by step(); all waits and timers read it
+        this.clock = new SimulationClock();
+
+        // Arrival stream shared by both modes
+        this.demand = new DemandGenerator(this.random, this.clock);
+
+        // Intersection geometry used by the renderer
+        this.intersection = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
+
+        // Current active mode
+        this.mode = CONFIG.MODES.FIXED;
+
+        // When true both controllers run side by side on identical arrivals
+        this.comparisonMode = false;
+
+        // Event bus for lifecycle hooks (see events.js for payloads)
+        this.events = new EventEmitter(SIMULATION_EVENTS);
+
+        // Optional replay recorder (startRecording)
+        this.recorder = null;
+
+        // Scenario metadata that does not affect the simulation itself (see scenario.js)
+        this.scenarioInfo = {
+            name: 'Untitled scenario',
+            description: '',
+            durationSeconds: 3600,
+            metrics: [...METRIC_NAMES]
+        };
+
+        // Fixed Mode Components (independent)
+        this.fixedMode = this.createModeComponents(this.getDefaultModeSettings(CONFIG.MODES.FIXED));
+
+        // Adaptive Mode Components (independent)
+        this.adaptiveMode = this.createModeComponents(this.getDefaultModeSettings(CONFIG.MODES.ADAPTIVE));
+    }
+
+    getDefaultModeSettings(mode) {
+        if (mode === CONFIG.MODES.ADAPTIVE) {
+            return {
+                ...CONFIG.DEFAULT_SETTINGS,
+                YELLOW_DURATION: 3000, // Independent yellow duration for adaptive mode
+                ALL_RED_DURATION: 2000 // And all-red clearance
+            };
+        }
+        return { ...CONFIG.DEFAULT_SETTINGS };
+    }
+
+    // Each mode gets its own clone of the intersection so its cars only see each other
+    createModeComponents(settings) {
+        const intersection = new Intersection(this.intersection.centerX, this.intersection.centerY);
+        const trafficLights = new TrafficLightController(this.clock);
+        trafficLights.setCrossingLength(intersection.getCrosswalkLength());
+        return {
+            intersection,
+            trafficLights,
+            carManager: new CarManager(intersection, this.clock),
+            pedestrianManager: new PedestrianManager(intersection, this.clock),
+            cyclistManager: new CyclistManager(intersection, this.clock),
+            sensorSystem: new SensorSystem(intersection, this.clock),
+            statistics: new Statistics(),
+            settings,
+            prevLightStates: null
+        };
+    }
+
+    initialize() {
+        this.demand.initialize(this.fixedMode.settings);
+
+        // Initialize Fixed Mode
+        this.initializeModeComponents(this.fixedMode, CONFIG.MODES.FIXED);
+
+        // Initialize Adaptive Mode
+        this.initializeModeComponents(this.adaptiveMode, CONFIG.MODES.ADAPTIVE);
+    }
+
+    initializeModeComponents(components, mode) {
+        components.trafficLights.initialize(mode, components.settings);
+        components.carManager.initialize(components.settings);
+        components.pedestrianManager.initialize(components.settings);
+        components.cyclistManager.initialize(components.settings);
+        components.sensorSystem.initialize(components.settings.DETECTOR_DISTANCE);
+        components.statistics.initialize();
+
+        // Forward component callbacks to the event bus
+        components.carManager.onCarCompleted = (car) => {
+            components.statistics.recordCarCompletion(car);
+            this.emit('carCompleted', { mode, car, waitTime: car.getWaitTime() });
+        };
+        components.carManager.onCarSpawned = (car) => {
+            this.emit('carSpawned', { mode, car });
+        };
+        components.carManager.onCarStateChanged = (car, previousState) => {
+            if (car.state === 'crossing' && car.turningOnRed) {
+                components.statistics.recordRightTurnOnRed(car);
+            }
+            this.emit('carStateChanged', { mode, car, from: previousState, to: car.state });
+        };
+        components.pedestrianManager.onPedestrianCompleted = (pedestrian) => {
+            components.statistics.recordPedestrianCrossing(pedestrian);
+            this.emit('pedestrianCrossed', { mode, pedestrian, delay: pedestrian.getWaitTime() });
+        };
+        components.cyclistManager.onCyclistCompleted = (cyclist) => {
+            components.statistics.recordCyclistCompletion(cyclist);
+            this.emit('cyclistPassed', { mode, cyclist, delay: cyclist.getWaitTime() });
+        };
+        components.trafficLights.onPhaseChanged = (phaseInfo) => {
+            this.emit('phaseChanged', phaseInfo);
+        };
+        components.trafficLights.onPreemptionStarted = (info) => {
+            this.emit('preemptionStarted', { mode, ...info });
+        };
+        components.trafficLights.onPreemptionEnded = (info) => {
+            components.statistics.recordPreemption(info);
+            this.emit('preemptionEnded', { mode, ...info });
+        };
+        components.trafficLights.onPriorityGranted = (info) => {
+            components.statistics.recordPriority(info);
+            this.emit('transitPriority', { mode, ...info });
+        };
+        components.sensorSystem.onCarDetected = (car, direction, count) => {
+            this.emit('sensorTriggered', { mode, direction, car, count });
+        };
+    }
+
+    // Subscribe to a simulation event; returns an unsubscribe function
+    on(eventName, handler) {
+        return this.events.on(eventName, handler);
+    }
+
+    once(eventName, handler) {
+        return this.events.once(eventName, handler);
+    }
+
+    off(eventName, handler) {
+        this.events.off(eventName, handler);
+    }
+
+    // Every payload carries the simulated time it happened at
+    emit(eventName, payload = {}) {
+        this.events.emit(eventName, { time: this.clock.now(), ...payload });
+    }
+
+    // Replay recording: event log plus keyframes for timeline scrubbing
+    startRecording() {
+        this.stopRecording();
+        this.recorder = new ReplayRecorder(this);
+        return this.recorder;
+    }
+
+    stopRecording() {
+        const recorder = this.recorder;
+        if (recorder) {
+            recorder.detach();
+        }
+        this.recorder = null;
+        return recorder;
+    }
+
+    getRecorder() {
+        return this.recorder;
+    }
+
+    // Jump to any recorded time, backwards or forwards
+    seek(timeMs) {
+        if (!this.recorder) {
+            throw new Error('Cannot seek without a recording; call startRecording() first');
+        }
+        this.recorder.seek(timeMs);
+    }
+
+    // A mode or setting change makes the recorded future invalid from here on
+    markRecordingDiscontinuity() {
+        if (this.recorder) {
+            this.recorder.truncate(this.clock.now());
+        }
+    }
+
+    // Advance the simulation by deltaTime milliseconds
+    step(deltaTime) {
+        this.clock.advance(deltaTime);
+
+        // Draw this tick's arrivals once and hand the same list to every running mode
+        const arrivals = this.demand.update(deltaTime);
+        const pedestrianArrivals = this.demand.updatePedestrians(deltaTime);
+        const bicycleArrivals = this.demand.updateBicycles(deltaTime);
+
+        if (this.comparisonMode) {
+            this.stepModeComponents(this.fixedMode, CONFIG.MODES.FIXED, deltaTime, arrivals, pedestrianArrivals, bicycleArrivals);
+            this.stepModeComponents(this.adaptiveMode, CONFIG.MODES.ADAPTIVE, deltaTime, arrivals, pedestrianArrivals, bicycleArrivals);
+        } else {
+            this.stepModeComponents(this.getCurrentModeComponents(), this.mode, deltaTime, arrivals, pedestrianArrivals, bicycleArrivals);
+        }
+
+        if (this.recorder) {
+            this.recorder.afterStep();
+        }
+    }
+
+    stepModeComponents(components, mode, deltaTime, arrivals, pedestrianArrivals = [], bicycleArrivals = []) {
+        // Track previous light states for adaptive mode
+        if (!components.prevLightStates) {
+            components.prevLightStates = components.trafficLights.getLightStates();
+        }
+
+        // Update this mode's traffic lights, preempted by any emergency vehicle detected
+        components.trafficLights.setPreemptionCalls(components.sensorSystem.getPreemptionCalls(
+            components.carManager.getCars(),
+            components.settings.PREEMPTION_DETECTOR_DISTANCE
+        ));
+        // and given transit priority by checked-in route buses
+        components.trafficLights.setPriorityCalls(components.sensorSystem.getPriorityCalls(
+            components.carManager.getCars(),
+            components.settings.PRIORITY_CHECK_IN_DISTANCE
+        ));
+        // and pedestrians pushing the button
+        components.trafficLights.setPedestrianCalls(components.pedestrianManager.getCalls());
+        // and cyclists standing at red
+        components.trafficLights.setBicycleCalls(components.cyclistManager.getCalls());
+        components.trafficLights.update(deltaTime, mode, components.settings);
+
+        // Pedestrians step off on WALK and cyclists move off before turning vehicles decide whether to go
+        components.pedestrianManager.update(deltaTime, components.trafficLights.getPedestrianSignals(), pedestrianArrivals);
+        components.cyclistManager.update(deltaTime, components.trafficLights.getBicycleLightStates(), bicycleArrivals);
+
+        // Update this mode's cars, which see the vehicle heads
+        components.carManager.update(deltaTime, components.trafficLights.getVehicleLightStates(), arrivals);
+
+        // Update sensors and adaptive logic (only for adaptive mode)
+        let sensorData;
+        if (mode === CONFIG.MODES.ADAPTIVE) {
+            sensorData = components.sensorSystem.update(
+                components.carManager.getCars(),
+                components.trafficLights.getLightStates(),
+                components.prevLightStates
+            );
+            components.trafficLights.updateAdaptiveLogic(sensorData, deltaTime);
+        } else {
+            sensorData = components.sensorSystem.update(components.carManager.getCars());
+        }
+
+        // Update previous light states for next frame
+        components.prevLightStates = components.trafficLights.getLightStates();
+
+        // Update this mode's statistics
+        components.statistics.update(components.carManager.getCars(), deltaTime, components.trafficLights.isPreempted(),
+            components.trafficLights.getVehicleLightStates());
+    }
+
+    // Advance the simulation by exactly one fixed tick
+    tick() {
+        this.step(CONFIG.SIMULATION_STEP);
+    }
+
+    // Advance in fixed ticks until the simulated clock reaches timeMs
+    runUntil(timeMs) {
+        while (this.clock.now() + CONFIG.SIMULATION_STEP / 2 < timeMs) {
+            this.tick();
+        }
+        return this.getStatistics();
+    }
+
+    // Advance the simulation by durationMs (rounded to whole steps of stepMs)
+    run(durationMs, stepMs = CONFIG.SIMULATION_STEP) {
+        const steps = Math.round(durationMs / stepMs);
+        for (let i = 0; i < steps; i++) {
+            this.step(stepMs);
+        }
+        return this.getStatistics();
+    }
+
+    reset() {
+        // Restart the random sequence so a reset replays the same arrivals
+        this.random.setSeed(this.random.getSeed());
+        this.clock.reset();
+        this.demand.reset();
+
+        // Reset both modes
+        [this.fixedMode, this.adaptiveMode].forEach(components => {
+            components.carManager.reset();
+            components.pedestrianManager.reset();
+            components.cyclistManager.reset();
+            components.trafficLights.reset();
+            components.sensorSystem.reset();
+            components.statistics.reset();
+            components.prevLightStates = null;
+        });
+
+        this.emit('reset');
+    }
+
+    // Complete, versioned state document (plain JSON) for save/restore
+    saveState() {
+        const serializeMode = (components) => ({
+            settings: { ...components.settings },
+            trafficLights: components.trafficLights.serialize(),
+            carManager: components.carManager.serialize(),
+            pedestrianManager: components.pedestrianManager.serialize(),
+            cyclistManager: components.cyclistManager.serialize(),
+            sensorSystem: components.sensorSystem.serialize(),
+            statistics: components.statistics.serialize(),
+            prevLightStates: components.prevLightStates ? { ...components.prevLightStates } : null
+        });
+
+        return {
+            version: CONFIG.SNAPSHOT_VERSION,
+            mode: this.mode,
+            comparisonMode: this.comparisonMode,
+            geometry: this.getGeometry(),
+            random: this.random.serialize(),
+            clock: this.clock.serialize(),
+            demand: this.demand.serialize(),
+            fixedMode: serializeMode(this.fixedMode),
+            adaptiveMode: serializeMode(this.adaptiveMode)
+        };
+    }
+
+    loadState(snapshot, { keepRecording = false } = {}) {
+        if (!snapshot || snapshot.version !== CONFIG.SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version ${snapshot && snapshot.version}; expected ${CONFIG.SNAPSHOT_VERSION}`);
+        }
+
+        // State added since the snapshot was taken keeps its initial value (see each restore)
+        const restoreMode = (components, data) => {
+            components.settings = { ...CONFIG.DEFAULT_SETTINGS, ...data.settings };
+            components.trafficLights.restore(data.trafficLights);
+            components.carManager.restore(data.carManager);
+            components.pedestrianManager.restore(data.pedestrianManager);
+            components.cyclistManager.restore(data.cyclistManager);
+            components.sensorSystem.restore(data.sensorSystem);
+            components.statistics.restore(data.statistics);
+            components.prevLightStates = data.prevLightStates ? { ...data.prevLightStates } : null;
+        };
+
+        this.mode = snapshot.mode;
+        this.comparisonMode = snapshot.comparisonMode;
+        this.setGeometry(snapshot.geometry);
+        this.random.restore(snapshot.random);
+        this.clock.restore(snapshot.clock);
+        this.demand.restore(snapshot.demand);
+        restoreMode(this.fixedMode, snapshot.fixedMode);
+        restoreMode(this.adaptiveMode, snapshot.adaptiveMode);
+
+        // A loaded state starts a new recording unless the recorder itself is seeking
+        if (this.recorder && !keepRecording) {
+            this.recorder.start();
+        }
+    }
+
+    // Replace the whole configuration with a scenario document and restart from time zero.
+    // Returns the scenario with defaults filled in; throws listing every problem if invalid.
+    loadScenario(scenario) {
+        const normalized = normalizeScenario(scenario);
+        const previousMode = this.mode;
+
+        // Traffic is shared by both modes; controllers the scenario leaves out keep their defaults.
+        // CAR_SPAWN_RATE is the rate the approaches without demand of their own share, or with
+        // every approach given demand, mirrors the total starting demand for the spawn rate slider
+        const profiled = profiledApproaches(scenario);
+        const startingRate = profiled.length < Object.values(CONFIG.DIRECTIONS).length
+            ? normalized.spawnRate * 360
+            : Object.values(normalized.demand).reduce((sum, profile) => sum + getProfileRate(profile, 0), 0);
+        const startingTurning = {};
+        Object.entries(normalized.turning).forEach(([direction, schedule]) => {
+            startingTurning[direction] = getTurningMovementAt(schedule, 0);
+        });
+        const pedestrianRates = Object.values(normalized.pedestrians.rates);
+        const bicycleRates = Object.values(normalized.bicycles.rates);
+        const traffic = {
+            CAR_SPAWN_RATE: startingRate / 360,
+            CAR_SPEED: normalized.vehicles.speed,
+            TIME_GAP: normalized.vehicles.timeGap * 1000,
+            MIN_GAP: normalized.vehicles.minGap,
+            REACTION_TIME: normalized.vehicles.reactionTime * 1000,
+            CRITICAL_GAP: normalized.vehicles.criticalGap * 1000,
+            FOLLOW_UP_TIME: normalized.vehicles.followUpTime * 1000,
+            TURN_RATE: averageTurnRate(startingTurning),
+            PEDESTRIAN_RATE: pedestrianRates.reduce((sum, rate) => sum + rate, 0) / pedestrianRates.length,
+            PEDESTRIAN_SPEED: normalized.pedestrians.speed,
+            BICYCLE_RATE: bicycleRates.reduce((sum, rate) => sum + rate, 0) / bicycleRates.length,
+            BICYCLE_SPEED: normalized.bicycles.speed
+        };
+        [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE].forEach(mode => {
+            this.getModeComponents(mode).settings = { ...this.getDefaultModeSettings(mode), ...traffic };
+        });
+        normalized.controllers.forEach(controller => {
+            Object.assign(this.getModeComponents(controller.type).settings, controller.params);
+        });
+
+        this.setGeometry(normalized.geometry);
+        if (normalized.seed !== undefined) {
+            this.random.setSeed(normalized.seed);
+        }
+        this.initialize();
+        Object.entries(normalized.demand).forEach(([direction, profile]) => {
+            this.demand.setProfile(direction, profile, profiled.includes(direction));
+        });
+        Object.entries(normalized.arrivals).forEach(([direction, model]) => {
+            this.demand.setArrivalModel(direction, model);
+        });
+        this.demand.setTurningMovements(normalized.turning);
+        this.demand.setVehicleMix(normalized.vehicles.mix);
+        this.demand.setDriverMix(normalized.vehicles.drivers);
+        this.demand.setEmergencyVehicles(normalized.emergencyVehicles);
+        this.demand.setBusRoutes(normalized.busRoutes);
+        this.demand.setPedestrianRates(normalized.pedestrians.rates);
+        this.demand.setBicycleRates(normalized.bicycles.rates);
+
+        this.mode = normalized.controllers[0].type;
+        this.comparisonMode = normalized.controllers.length > 1;
+        this.scenarioInfo = {
+            name: normalized.name,
+            description: normalized.description,
+            durationSeconds: normalized.durationSeconds,
+            metrics: normalized.metrics
+        };
+
+        this.reset();
+        if (previousMode !== this.mode) {
+            this.emit('modeChanged', { from: previousMode, to: this.mode });
+        }
+        normalized.controllers.forEach(controller => {
+            this.emit('settingsChanged', { mode: controller.type, changes: this.getModeComponents(controller.type).settings });
+        });
+        return normalized;
+    }
+
+    // Current configuration as a scenario document; overrides replace the stored metadata
+    exportScenario(overrides = {}) {
+        return exportScenario(this, overrides);
+    }
+
+    getScenarioInfo() {
+        return { ...this.scenarioInfo, metrics: [...this.scenarioInfo.metrics] };
+    }
+
+    // Time-varying demand for one approach: veh/h, or a list of { time (s), rate (veh/h) } points.
+    // Applies to both modes, since demand describes the traffic and not the controller.
+    setDemandProfile(direction, profile) {
+        if (!Object.values(CONFIG.DIRECTIONS).includes(direction)) {
+            throw new Error(`Unknown approach ${direction}; expected one of ${Object.values(CONFIG.DIRECTIONS).join(', ')}`);
+        }
+        const errors = validateProfile(profile, direction);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setProfile(direction, profile);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { demand: { [direction]: this.demand.getProfiles()[direction] } } });
+    }
+
+    getDemandProfiles() {
+        return this.demand.getProfiles();
+    }
+
+    // Turning movement for one approach: { left, through, right } fractions or an OD row keyed
+    // by exit leg, or a schedule of { time, ...fractions } entries
+    setTurningMovement(direction, movement) {
+        if (!Object.values(CONFIG.DIRECTIONS).includes(direction)) {
+            throw new Error(`Unknown approach ${direction}; expected one of ${Object.values(CONFIG.DIRECTIONS).join(', ')}`);
+        }
+        const errors = validateTurningSchedule(direction, movement, direction);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setTurningMovements({ [direction]: movement });
+        const turnRate = averageTurnRate(this.demand.getTurningMovements());
+        this.fixedMode.settings.TURN_RATE = turnRate;
+        this.adaptiveMode.settings.TURN_RATE = turnRate;
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { turning: { [direction]: this.demand.getTurningMovements()[direction] } } });
+    }
+
+    getTurningMovements() {
+        return this.demand.getTurningMovements();
+    }
+
+    // Arrival process for one approach: a model type name or { type, ...params } (see arrivals.js)
+    setArrivalModel(direction, model) {
+        if (!Object.values(CONFIG.DIRECTIONS).includes(direction)) {
+            throw new Error(`Unknown approach ${direction}; expected one of ${Object.values(CONFIG.DIRECTIONS).join(', ')}`);
+        }
+        const errors = validateArrivalModel(model, direction);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setArrivalModel(direction, model);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { arrivals: { [direction]: this.demand.getArrivalModels()[direction] } } });
+    }
+
+    getArrivalModels() {
+        return this.demand.getArrivalModels();
+    }
+
+    // Fractions per vehicle class (CONFIG.VEHICLE_CLASSES), shared by every approach
+    setVehicleMix(mix) {
+        const errors = validateVehicleMix(mix);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setVehicleMix(mix);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { vehicleMix: this.demand.getVehicleMix() } });
+    }
+
+    getVehicleMix() {
+        return this.demand.getVehicleMix();
+    }
+
+    // Fractions per driver type (CONFIG.DRIVER_TYPES), which set how drivers treat a yellow
+    setDriverMix(mix) {
+        const errors = validateDriverMix(mix);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setDriverMix(mix);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { driverMix: this.demand.getDriverMix() } });
+    }
+
+    getDriverMix() {
+        return this.demand.getDriverMix();
+    }
+
+    // Send an emergency vehicle down an approach now; turn is left, through or right
+    dispatchEmergencyVehicle(approach, turn = 'through') {
+        if (!Object.values(CONFIG.DIRECTIONS).includes(approach)) {
+            throw new Error(`Unknown approach ${approach}; expected one of ${Object.values(CONFIG.DIRECTIONS).join(', ')}`);
+        }
+        if (!['left', 'through', 'right'].includes(turn)) {
+            throw new Error(`Unknown movement ${turn}; expected one of left, through, right`);
+        }
+
+        this.demand.dispatchEmergencyVehicle(approach, turn);
+        this.markRecordingDiscontinuity();
+    }
+
+    // Scheduled emergency vehicles: [{ time (s), approach, turn }]
+    setEmergencyVehicles(list) {
+        const errors = validateEmergencyVehicles(list);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setEmergencyVehicles(list);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { emergencyVehicles: this.demand.getEmergencyVehicles() } });
+    }
+
+    getEmergencyVehicles() {
+        return this.demand.getEmergencyVehicles();
+    }
+
+    // Scheduled bus routes, whose buses request transit signal priority:
+    // [{ name, approach, turn, headway (s), offset (s) }]
+    setBusRoutes(list) {
+        const errors = validateBusRoutes(list);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setBusRoutes(list);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { busRoutes: this.demand.getBusRoutes() } });
+    }
+
+    getBusRoutes() {
+        return this.demand.getBusRoutes();
+    }
+
+    // Pedestrians per hour: one rate for every crosswalk, or { [leg]: rate } for the
+    // crosswalk across each leg. Like vehicle demand, both modes share it.
+    setPedestrianRates(rates) {
+        const errors = validatePedestrianRates(rates);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setPedestrianRates(rates);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { pedestrians: this.demand.getPedestrianRates() } });
+    }
+
+    getPedestrianRates() {
+        return this.demand.getPedestrianRates();
+    }
+
+    // Cyclists per hour: one rate for every approach, or { [approach]: rate }
+    setBicycleRates(rates) {
+        const errors = validateBicycleRates(rates);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        this.demand.setBicycleRates(rates);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { bicycles: this.demand.getBicycleRates() } });
+    }
+
+    getBicycleRates() {
+        return this.demand.getBicycleRates();
+    }
+
+    // Demand per approach in veh/h at the current simulated time
+    getDemandRates() {
+        return this.demand.getRates();
+    }
+
+    setGeometry(geometry) {
+        [this.intersection, this.fixedMode.intersection, this.adaptiveMode.intersection].forEach(intersection => {
+            intersection.setGeometry(geometry);
+        });
+        // Pedestrian clearance times follow the crossing length
+        [this.fixedMode, this.adaptiveMode].forEach(components => {
+            components.trafficLights.setCrossingLength(components.intersection.getCrosswalkLength());
+        });
+    }
+
+    getGeometry() {
+        return this.intersection.getGeometry();
+    }
+
+    // Copy the traffic (cars, pedestrians, cyclists, queues, statistics) of sourceMode into the other mode and run
+    // both from there, so two controllers branch from the same starting state
+    branchComparison(sourceMode = this.mode) {
+        const source = this.getModeComponents(sourceMode);
+        const target = sourceMode === CONFIG.MODES.FIXED ? this.adaptiveMode : this.fixedMode;
+
+        target.carManager.restore({ ...source.carManager.serialize(), settings: target.carManager.settings });
+        target.pedestrianManager.restore({ ...source.pedestrianManager.serialize(), settings: target.pedestrianManager.settings });
+        target.cyclistManager.restore({ ...source.cyclistManager.serialize(), settings: target.cyclistManager.settings });
+        target.statistics.restore(source.statistics.serialize());
+        this.comparisonMode = true;
+        this.markRecordingDiscontinuity();
+    }
+
+    setSeed(seed) {
+        this.random.setSeed(seed);
+        this.reset();
+    }
+
+    getSeed() {
+        return this.random.getSeed();
+    }
+
+    // Run fixed and adaptive controllers side by side; restarts so both start from the same state
+    setComparisonMode(enabled) {
+        this.comparisonMode = enabled;
+        this.reset();
+    }
+
+    isComparisonMode() {
+        return this.comparisonMode;
+    }
+
+    getModeComponents(mode) {
+        return mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
+    }
+
+    getCurrentModeComponents() {
+        return this.getModeComponents(this.mode);
+    }
+
+    updateMode(mode) {
+        const previousMode = this.mode;
+        this.mode = mode;
+        this.markRecordingDiscontinuity();
+
+        // Reset adaptive mode car counting when switching to adaptive mode
+        if (mode === CONFIG.MODES.ADAPTIVE && previousMode !== CONFIG.MODES.ADAPTIVE) {
+            this.adaptiveMode.sensorSystem.resetAllCarCounts();
+        }
+
+        this.emit('modeChanged', { from: previousMode, to: mode });
+    }
+
+    updateSetting(key, value, targetMode = null) {
+        // If no target mode specified, update current mode
+        const mode = targetMode || this.mode;
+        const modeComponents = this.getModeComponents(mode);
+
+        modeComponents.settings[key] = value;
+
+        // Apply setting changes to relevant systems
+        switch (key) {
+            case 'CAR_SPAWN_RATE':
+                // Demand describes the traffic, not the controller, so both modes share it
+                this.fixedMode.settings[key] = value;
+                this.adaptiveMode.settings[key] = value;
+                this.demand.updateSettings({ [key]: value });
+                modeComponents.carManager.updateSettings(modeComponents.settings);
+                break;
+            case 'CAR_SPEED':
+            case 'TIME_GAP':
+            case 'MIN_GAP':
+            case 'REACTION_TIME':
+            case 'CRITICAL_GAP':
+            case 'FOLLOW_UP_TIME':
+                modeComponents.carManager.updateSettings(modeComponents.settings);
+                break;
+            case 'PEDESTRIAN_RATE':
+                // Pedestrian demand is shared like vehicle demand: the same rate on every crosswalk
+                this.fixedMode.settings[key] = value;
+                this.adaptiveMode.settings[key] = value;
+                this.demand.updateSettings({ [key]: value });
+                break;
+            case 'PEDESTRIAN_SPEED':
+                modeComponents.pedestrianManager.updateSettings(modeComponents.settings);
+                modeComponents.trafficLights.updateSettings(modeComponents.settings);
+                break;
+            case 'BICYCLE_RATE':
+                // And so is bicycle demand, the same rate on every approach
+                this.fixedMode.settings[key] = value;
+                this.adaptiveMode.settings[key] = value;
+                this.demand.updateSettings({ [key]: value });
+                break;
+            case 'BICYCLE_SPEED':
+                modeComponents.cyclistManager.updateSettings(modeComponents.settings);
+                break;
+            case 'TURN_RATE':
+                // Turning is part of the demand too: an even left/right split on every approach
+                this.fixedMode.settings[key] = value;
+                this.adaptiveMode.settings[key] = value;
+                this.demand.setTurningRate(value);
+                modeComponents.carManager.updateSettings(modeComponents.settings);
+                break;
+            case 'DETECTOR_DISTANCE':
+                modeComponents.sensorSystem.updateDetectorDistance(value);
+                break;
+            case 'YELLOW_DURATION':
+            case 'ALL_RED_DURATION':
+                // Drivers judge the yellow against the clearance intervals
+                modeComponents.trafficLights.updateSettings(modeComponents.settings);
+                modeComponents.carManager.updateSettings(modeComponents.settings);
+                break;
+            case 'GREEN_DURATION':
+            case 'RED_DURATION':
+            case 'MIN_GREEN_TIME':
+            case 'PEDESTRIAN_WALK_TIME':
+            case 'LEADING_BICYCLE_INTERVAL':
+                modeComponents.trafficLights.updateSettings(modeComponents.settings);
+                break;
+        }
+
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode, changes: { [key]: value } });
+    }
+
+    updateSettings(settings) {
+        const currentMode = this.getCurrentModeComponents();
+        currentMode.settings = { ...currentMode.settings, ...settings };
+        currentMode.trafficLights.updateSettings(currentMode.settings);
+        currentMode.carManager.updateSettings(currentMode.settings);
+        currentMode.pedestrianManager.updateSettings(currentMode.settings);
+        currentMode.cyclistManager.updateSettings(currentMode.settings);
+        this.demand.updateSettings(settings);
+        this.markRecordingDiscontinuity();
+        this.emit('settingsChanged', { mode: this.mode, changes: { ...settings } });
+    }
+
+    // Getters for UI and headless callers
+    // Simulated time in milliseconds
+    getTime() {
+        return this.clock.now();
+    }
+
+    getStatistics() {
+        return this.getCurrentModeComponents().statistics.getStats();
+    }
+
+    // What the vehicle heads show, red during a leading bicycle interval
+    getLightStates() {
+        return this.getCurrentModeComponents().trafficLights.getVehicleLightStates();
+    }
+
+    getCars() {
+        return this.getCurrentModeComponents().carManager.getCars();
+    }
+
+    getPedestrians() {
+        return this.getCurrentModeComponents().pedestrianManager.getPedestrians();
+    }
+
+    getPedestrianSignals() {
+        return this.getCurrentModeComponents().trafficLights.getPedestrianSignals();
+    }
+
+    getCyclists() {
+        return this.getCurrentModeComponents().cyclistManager.getCyclists();
+    }
+
+    getBicycleLightStates() {
+        return this.getCurrentModeComponents().trafficLights.getBicycleLightStates();
+    }
+
+    getCurrentMode() {
+        return this.mode;
+    }
+
+    getSettings() {
+        return { ...this.getCurrentModeComponents().settings };
+    }
+
+    getFixedModeSettings() {
+        return { ...this.fixedMode.settings };
+    }
+
+    getAdaptiveModeSettings() {
+        return { ...this.adaptiveMode.settings };
+    }
+
+    getSensorSystem() {
+        return this.getCurrentModeComponents().sensorSystem;
+    }
+
+    // Fixed vs adaptive statistics plus adaptive-minus-fixed deltas
+    getComparisonStats() {
+        const fixed = this.fixedMode.statistics.getStats();
+        const adaptive = this.adaptiveMode.statistics.getStats();
+        const delta = {};
+        Object.keys(fixed).forEach(key => {
+            if (typeof fixed[key] === 'number' && typeof adaptive[key] === 'number') {
+                delta[key] = adaptive[key] - fixed[key];
+            }
+        });
+        return { fixed, adaptive, delta };
+    }
+}
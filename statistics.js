@@ -1,3 +1,14 @@
+import { CONFIG } from './config.js';
+
+// Per-class statistic names: [vehicles passed, average wait time]
+const CLASS_STAT_NAMES = {
+    [CONFIG.VEHICLE_TYPES.CAR]: ['passengerCarsPassed', 'averagePassengerCarWaitTime'],
+    [CONFIG.VEHICLE_TYPES.TRUCK]: ['trucksPassed', 'averageTruckWaitTime'],
+    [CONFIG.VEHICLE_TYPES.BUS]: ['busesPassed', 'averageBusWaitTime'],
+    [CONFIG.VEHICLE_TYPES.MOTORCYCLE]: ['motorcyclesPassed', 'averageMotorcycleWaitTime'],
+    [CONFIG.VEHICLE_TYPES.EMERGENCY]: ['emergencyVehiclesPassed', 'averageEmergencyVehicleWaitTime']
+};
+
 export class Statistics {
     constructor() {
         this.reset();
@@ -12,31 +23,281 @@ export class Statistics {
         this.totalWaitTime = 0;
         this.currentCars = 0;
         this.waitTimes = [];
+
+        // Turning vehicles are counted separately from through traffic
+        this.carsPassedByMovement = {};
+        this.waitTimesByMovement = {};
+        Object.values(CONFIG.TURN_TYPES).forEach(turnType => {
+            this.carsPassedByMovement[turnType] = 0;
+            this.waitTimesByMovement[turnType] = [];
+        });
+
+        // And per vehicle class
+        this.carsPassedByClass = {};
+        this.waitTimesByClass = {};
+        Object.values(CONFIG.VEHICLE_TYPES).forEach(type => {
+            this.carsPassedByClass[type] = 0;
+            this.waitTimesByClass[type] = [];
+        });
+
+        // Emergency preemptions: durations and recovery times in ms, and the time
+        // other vehicles spent queued while the plan was preempted or recovering
+        this.preemptionTimes = [];
+        this.recoveryTimes = [];
+        this.preemptionQueueDelay = 0;
+
+        // Transit priority: route buses' wait and check-in to check-out times, the wait
+        // of general traffic (everything but route buses and emergency vehicles) to weigh
+        // them against, and the priority calls granted (extensions in ms)
+        this.transitWaitTimes = [];
+        this.transitTravelTimes = [];
+        this.generalWaitTimes = [];
+        this.earlyGreens = 0;
+        this.greenExtensions = [];
+
+        // Pedestrian delay at the curb (ms), one entry per pedestrian across
+        this.pedestrianDelays = [];
+
+        // Cyclist stopped delay (ms), one entry per cyclist through, and right turns
+        // made across a cyclist riding alongside
+        this.cyclistDelays = [];
+        this.cyclistConflicts = 0;
+
+        // Clearance intervals: vehicles caught in the dilemma zone by a yellow, and
+        // red-light entries as { timeIntoRed (ms), conflicting }
+        this.dilemmaZoneVehicles = 0;
+        this.redLightEntries = [];
+
+        // Permissive left turns held in the box for oncoming traffic, and those of them
+        // that only got away once their signal had ended
+        this.leftTurnsYielded = 0;
+        this.sneakers = 0;
+
+        // Lane changes made on the approaches
+        this.laneChanges = 0;
+
+        // Right turns on red, and the delay they saved (ms): the time from each turn until
+        // its approach got the green it would otherwise have waited for. pendingRightTurnsOnRed
+        // counts the turns per approach still before that green.
+        this.rightTurnsOnRed = 0;
+        this.rightTurnOnRedDelaySaved = 0;
+        this.pendingRightTurnsOnRed = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.pendingRightTurnsOnRed[direction] = 0;
+        });
     }
 
-    update(cars, deltaTime) {
+    update(cars, deltaTime, preempted = false, lightStates = {}) {
         this.currentCars = cars.length;
+        if (preempted) {
+            const queued = cars.filter(car => !car.isEmergency() && (car.isWaiting() || car.yieldingTo !== null)).length;
+            this.preemptionQueueDelay += queued * deltaTime;
+        }
+        Object.entries(this.pendingRightTurnsOnRed).forEach(([direction, count]) => {
+            if (lightStates[direction] === CONFIG.LIGHT_STATES.GREEN) {
+                this.pendingRightTurnsOnRed[direction] = 0;
+            } else {
+                this.rightTurnOnRedDelaySaved += count * deltaTime;
+            }
+        });
+    }
+
+    recordRightTurnOnRed(car) {
+        this.rightTurnsOnRed++;
+        this.pendingRightTurnsOnRed[car.fromDirection]++;
+    }
+
+    recordPreemption({ duration, recoveryTime }) {
+        this.preemptionTimes.push(duration);
+        this.recoveryTimes.push(recoveryTime);
+    }
+
+    recordPriority({ type, extension }) {
+        if (type === 'earlyGreen') {
+            this.earlyGreens++;
+        } else {
+            this.greenExtensions.push(extension);
+        }
+    }
+
+    recordPedestrianCrossing(pedestrian) {
+        this.pedestrianDelays.push(pedestrian.getWaitTime());
+    }
+
+    recordCyclistCompletion(cyclist) {
+        this.cyclistDelays.push(cyclist.getWaitTime());
     }
 
     recordCarCompletion(car) {
         this.totalCarsPassed++;
+        if (car.cyclistConflict) {
+            this.cyclistConflicts++;
+        }
+        if (car.inDilemmaZone) {
+            this.dilemmaZoneVehicles++;
+        }
+        if (car.redLightEntry) {
+            this.redLightEntries.push({ ...car.redLightEntry });
+        }
+        if (car.yieldedToOncoming) {
+            this.leftTurnsYielded++;
+        }
+        if (car.sneaker) {
+            this.sneakers++;
+        }
+        this.laneChanges += car.laneChanges;
+        this.carsPassedByMovement[car.turnType]++;
+        this.carsPassedByClass[car.vehicleType]++;
         const waitTime = car.getWaitTime();
         
+        // Transit and general traffic count every vehicle, stopped or not, so priority
+        // savings are per vehicle; the wait statistics below only count vehicles that stopped
+        if (car.transitRoute !== null) {
+            this.transitWaitTimes.push(waitTime);
+            if (car.checkInTime !== null && car.checkOutTime !== null) {
+                this.transitTravelTimes.push(car.checkOutTime - car.checkInTime);
+            }
+        } else if (!car.isEmergency()) {
+            this.generalWaitTimes.push(waitTime);
+        }
+        
         if (waitTime > 0) {
             this.totalWaitTime += waitTime;
             this.waitTimes.push(waitTime);
+            this.waitTimesByMovement[car.turnType].push(waitTime);
+            this.waitTimesByClass[car.vehicleType].push(waitTime);
         }
     }
 
+    serialize() {
+        const waitTimesByMovement = {};
+        Object.entries(this.waitTimesByMovement).forEach(([turnType, times]) => {
+            waitTimesByMovement[turnType] = [...times];
+        });
+        const waitTimesByClass = {};
+        Object.entries(this.waitTimesByClass).forEach(([type, times]) => {
+            waitTimesByClass[type] = [...times];
+        });
+
+        return {
+            totalCarsPassed: this.totalCarsPassed,
+            totalWaitTime: this.totalWaitTime,
+            currentCars: this.currentCars,
+            waitTimes: [...this.waitTimes],
+            carsPassedByMovement: { ...this.carsPassedByMovement },
+            waitTimesByMovement,
+            carsPassedByClass: { ...this.carsPassedByClass },
+            waitTimesByClass,
+            preemptionTimes: [...this.preemptionTimes],
+            recoveryTimes: [...this.recoveryTimes],
+            preemptionQueueDelay: this.preemptionQueueDelay,
+            transitWaitTimes: [...this.transitWaitTimes],
+            transitTravelTimes: [...this.transitTravelTimes],
+            generalWaitTimes: [...this.generalWaitTimes],
+            earlyGreens: this.earlyGreens,
+            greenExtensions: [...this.greenExtensions],
+            pedestrianDelays: [...this.pedestrianDelays],
+            cyclistDelays: [...this.cyclistDelays],
+            cyclistConflicts: this.cyclistConflicts,
+            dilemmaZoneVehicles: this.dilemmaZoneVehicles,
+            redLightEntries: this.redLightEntries.map(entry => ({ ...entry })),
+            leftTurnsYielded: this.leftTurnsYielded,
+            sneakers: this.sneakers,
+            laneChanges: this.laneChanges,
+            rightTurnsOnRed: this.rightTurnsOnRed,
+            rightTurnOnRedDelaySaved: this.rightTurnOnRedDelaySaved,
+            pendingRightTurnsOnRed: { ...this.pendingRightTurnsOnRed }
+        };
+    }
+
+    restore(snapshot) {
+        // Counters missing from an older snapshot start from zero
+        this.reset();
+        const data = { ...this.serialize(), ...snapshot };
+        this.totalCarsPassed = data.totalCarsPassed;
+        this.totalWaitTime = data.totalWaitTime;
+        this.currentCars = data.currentCars;
+        this.waitTimes = [...data.waitTimes];
+        this.carsPassedByMovement = { ...this.carsPassedByMovement, ...data.carsPassedByMovement };
+        Object.values(CONFIG.TURN_TYPES).forEach(turnType => {
+            this.waitTimesByMovement[turnType] = [...(data.waitTimesByMovement[turnType] || [])];
+        });
+        this.carsPassedByClass = { ...this.carsPassedByClass, ...data.carsPassedByClass };
+        Object.values(CONFIG.VEHICLE_TYPES).forEach(type => {
+            this.waitTimesByClass[type] = [...(data.waitTimesByClass[type] || [])];
+        });
+        this.preemptionTimes = [...data.preemptionTimes];
+        this.recoveryTimes = [...data.recoveryTimes];
+        this.preemptionQueueDelay = data.preemptionQueueDelay;
+        this.transitWaitTimes = [...data.transitWaitTimes];
+        this.transitTravelTimes = [...data.transitTravelTimes];
+        this.generalWaitTimes = [...data.generalWaitTimes];
+        this.earlyGreens = data.earlyGreens;
+        this.greenExtensions = [...data.greenExtensions];
+        this.pedestrianDelays = [...data.pedestrianDelays];
+        this.cyclistDelays = [...data.cyclistDelays];
+        this.cyclistConflicts = data.cyclistConflicts;
+        this.dilemmaZoneVehicles = data.dilemmaZoneVehicles;
+        this.redLightEntries = data.redLightEntries.map(entry => ({ ...entry }));
+        this.leftTurnsYielded = data.leftTurnsYielded;
+        this.sneakers = data.sneakers;
+        this.laneChanges = data.laneChanges;
+        this.rightTurnsOnRed = data.rightTurnsOnRed;
+        this.rightTurnOnRedDelaySaved = data.rightTurnOnRedDelaySaved;
+        this.pendingRightTurnsOnRed = { ...data.pendingRightTurnsOnRed };
+    }
+
     getStats() {
-        const avgWaitTime = this.waitTimes.length > 0 
-            ? this.waitTimes.reduce((sum, time) => sum + time, 0) / this.waitTimes.length 
+        const average = (times) => times.length > 0
+            ? times.reduce((sum, time) => sum + time, 0) / times.length
             : 0;
+        const avgWaitTime = average(this.waitTimes);
+        const classStats = {};
+        Object.entries(CLASS_STAT_NAMES).forEach(([type, [passedName, waitName]]) => {
+            classStats[passedName] = this.carsPassedByClass[type];
+            classStats[waitName] = average(this.waitTimesByClass[type]) / 1000;
+        });
 
         return {
             totalCarsPassed: this.totalCarsPassed,
             averageWaitTime: avgWaitTime / 1000, // Convert to seconds
-            currentCars: this.currentCars
+            currentCars: this.currentCars,
+            throughCarsPassed: this.carsPassedByMovement[CONFIG.TURN_TYPES.STRAIGHT],
+            leftTurnsPassed: this.carsPassedByMovement[CONFIG.TURN_TYPES.LEFT],
+            rightTurnsPassed: this.carsPassedByMovement[CONFIG.TURN_TYPES.RIGHT],
+            averageThroughWaitTime: average(this.waitTimesByMovement[CONFIG.TURN_TYPES.STRAIGHT]) / 1000,
+            averageLeftTurnWaitTime: average(this.waitTimesByMovement[CONFIG.TURN_TYPES.LEFT]) / 1000,
+            averageRightTurnWaitTime: average(this.waitTimesByMovement[CONFIG.TURN_TYPES.RIGHT]) / 1000,
+            ...classStats,
+            preemptions: this.preemptionTimes.length,
+            averagePreemptionTime: average(this.preemptionTimes) / 1000,
+            averageRecoveryTime: average(this.recoveryTimes) / 1000,
+            preemptionQueueDelay: this.preemptionQueueDelay / 1000, // Vehicle-seconds
+            transitBusesPassed: this.transitWaitTimes.length,
+            averageTransitWaitTime: average(this.transitWaitTimes) / 1000,
+            averageTransitTravelTime: average(this.transitTravelTimes) / 1000,
+            averageGeneralTrafficWaitTime: average(this.generalWaitTimes) / 1000,
+            earlyGreens: this.earlyGreens,
+            greenExtensions: this.greenExtensions.length,
+            averageGreenExtension: average(this.greenExtensions) / 1000,
+            pedestriansCrossed: this.pedestrianDelays.length,
+            averagePedestrianDelay: average(this.pedestrianDelays) / 1000,
+            maxPedestrianDelay: this.pedestrianDelays.reduce((max, delay) => Math.max(max, delay), 0) / 1000,
+            cyclistsPassed: this.cyclistDelays.length,
+            averageCyclistDelay: average(this.cyclistDelays) / 1000,
+            rightTurnCyclistConflicts: this.cyclistConflicts,
+            dilemmaZoneVehicles: this.dilemmaZoneVehicles,
+            redLightViolations: this.redLightEntries.length,
+            averageRedEntryTime: average(this.redLightEntries.map(entry => entry.timeIntoRed)) / 1000,
+            conflictingRedEntries: this.redLightEntries.filter(entry => entry.conflicting).length,
+            leftTurnsYielded: this.leftTurnsYielded,
+            sneakers: this.sneakers,
+            laneChanges: this.laneChanges,
+            rightTurnsOnRed: this.rightTurnsOnRed,
+            rightTurnOnRedDelaySaved: this.rightTurnOnRedDelaySaved / 1000,
+            averageRightTurnOnRedSaving: this.rightTurnsOnRed > 0
+                ? this.rightTurnOnRedDelaySaved / this.rightTurnsOnRed / 1000
+                : 0
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createArrivalProcess, validateArrivalModel } from '../arrivals.js';
+import { SeededRandom } from '../random.js';
+import { CONFIG } from '../config.js';
+
+const STEP = CONFIG.SIMULATION_STEP;
+
+// Arrival times in seconds over durationSeconds at a constant rate
+function arrivalTimes(model, rate, durationSeconds, seed = 1) {
+    const process = createArrivalProcess(model);
+    const random = new SeededRandom(seed);
+    const times = [];
+    const steps = Math.round(durationSeconds * 1000 / STEP);
+    for (let step = 1; step <= steps; step++) {
+        const count = process.update(rate, STEP, random);
+        // Rounded to the millisecond so cycle positions compare cleanly
+        for (let i = 0; i < count; i++) times.push(Math.round(step * STEP) / 1000);
+    }
+    return times;
+}
+
+test('uniform arrivals are evenly spaced at the demand rate', () => {
+    const times = arrivalTimes('uniform', 720, 62);
+
+    assert.equal(times.length, 12);
+    times.slice(1).forEach((time, index) => {
+        assert.ok(Math.abs(time - times[index] - 5) < 0.05);
+    });
+});
+
+test('poisson arrivals average the demand rate', () => {
+    const times = arrivalTimes('poisson', 720, 7200);
+
+    // 1440 expected; four standard deviations is about 150
+    assert.ok(Math.abs(times.length - 1440) < 150, `${times.length} arrivals`);
+});
+
+test('shifted exponential headways never fall below the minimum', () => {
+    const times = arrivalTimes({ type: 'shiftedExponential', minHeadway: 2 }, 900, 3600);
+
+    assert.ok(Math.abs(times.length - 900) < 100, `${times.length} arrivals`);
+    times.slice(1).forEach((time, index) => {
+        assert.ok(time - times[index] >= 2 - STEP / 1000);
+    });
+});
+
+test('platoons arrive only during the upstream green', () => {
+    const model = { type: 'platooned', cycle: 60, green: 20, offset: 10, saturationHeadway: 2 };
+    const times = arrivalTimes(model, 600, 1800);
+
+    assert.ok(times.length > 0);
+    times.forEach(time => {
+        const cycleTime = (time - 10 + 60) % 60;
+        assert.ok(cycleTime <= 20 + STEP / 1000, `arrival at ${time}s`);
+    });
+});
+
+test('invalid arrival models are reported', () => {
+    assert.deepEqual(validateArrivalModel('poisson'), []);
+    assert.equal(validateArrivalModel('bursty').length, 1);
+    assert.equal(validateArrivalModel({ type: 'platooned', cycle: 30, green: 40 }).length, 1);
+    assert.equal(validateArrivalModel({ type: 'shiftedExponential', minHeadway: 0, gap: 1 }).length, 2);
+});
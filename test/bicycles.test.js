@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+const scenario = JSON.parse(readFileSync(new URL('../scenarios/cycle-corridor.json', import.meta.url), 'utf8'));
+
+function loadCorridor(overrides = {}) {
+    const simulation = new Simulation();
+    simulation.loadScenario({ ...scenario, ...overrides, controllers: [scenario.controllers[0]] });
+    return simulation;
+}
+
+test('the leading bicycle interval holds vehicles at red while cyclists go', () => {
+    const simulation = loadCorridor();
+    const { trafficLights } = simulation.getModeComponents(CONFIG.MODES.FIXED);
+    const interval = scenario.controllers[0].params.LEADING_BICYCLE_INTERVAL;
+
+    // Length of each stretch in which an approach's cyclists have green and its vehicles red
+    const leading = {};
+    const stretches = [];
+    for (let time = 0; time < 180000; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        const bicycles = trafficLights.getBicycleLightStates();
+        const vehicles = trafficLights.getVehicleLightStates();
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            if (bicycles[direction] === CONFIG.LIGHT_STATES.GREEN && vehicles[direction] === CONFIG.LIGHT_STATES.RED) {
+                leading[direction] = (leading[direction] || 0) + CONFIG.SIMULATION_STEP;
+            } else if (leading[direction]) {
+                stretches.push(leading[direction]);
+                leading[direction] = 0;
+            }
+        });
+    }
+
+    assert.ok(stretches.length > 0);
+    stretches.forEach(duration => {
+        assert.ok(Math.abs(duration - interval) <= CONFIG.SIMULATION_STEP + 1e-6, `${duration} ms`);
+    });
+});
+
+test('bike lanes let cyclists pass the vehicle queue', () => {
+    const withLanes = loadCorridor();
+    const sharing = loadCorridor({ geometry: { ...scenario.geometry, bikeLanes: [], bikeBoxes: [] } });
+    withLanes.run(900000);
+    sharing.run(900000);
+
+    const lanes = withLanes.getStatistics();
+    const shared = sharing.getStatistics();
+    assert.ok(lanes.cyclistsPassed > 0 && shared.cyclistsPassed > 0);
+    assert.ok(lanes.averageCyclistDelay < shared.averageCyclistDelay);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+test('vehicles following on an approach never overlap or brake harder than they can', () => {
+    const simulation = new Simulation({ seed: 21 });
+    simulation.initialize();
+    simulation.updateSetting('CAR_SPAWN_RATE', 14);
+
+    const dt = CONFIG.SIMULATION_STEP / 1000;
+    const speeds = new Map();
+    let followed = 0;
+    for (let time = 0; time < 300000; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        simulation.getCars().forEach(car => {
+            const previousSpeed = speeds.get(car.id);
+            if (previousSpeed !== undefined && car.state !== 'yielding') {
+                // Crawling speeds snap to a standstill
+                const snap = car.speed === 0 ? CONFIG.CAR_FOLLOWING.stoppedSpeed : 0;
+                assert.ok(previousSpeed - car.speed <= car.deceleration * dt + snap + 1e-9, `car ${car.id} braked too hard`);
+            }
+            speeds.set(car.id, car.speed);
+            assert.ok(car.speed >= 0);
+
+            if (car.state !== 'approaching' && car.state !== 'waiting') return;
+            const ahead = car.checkForCarAhead();
+            if (!ahead) return;
+            followed++;
+            const gap = car.getDistanceToCarAhead(ahead) - (car.width + ahead.width) / 2;
+            assert.ok(gap > 0, `car ${car.id} overlaps car ${ahead.id} (gap ${gap.toFixed(2)}px)`);
+        });
+    }
+
+    assert.ok(followed > 0);
+    assert.ok(simulation.getStatistics().totalCarsPassed > 0);
+});
+
+test('a standing queue keeps the minimum gap', () => {
+    const simulation = new Simulation({ seed: 21 });
+    simulation.initialize();
+    simulation.updateSetting('CAR_SPAWN_RATE', 14);
+    simulation.run(CONFIG.DEFAULT_SETTINGS.GREEN_DURATION + 20000);
+
+    const standing = simulation.getCars().filter(car => car.state === 'waiting' && car.checkForCarAhead()?.speed === 0);
+    assert.ok(standing.length > 0);
+    standing.forEach(car => {
+        const ahead = car.checkForCarAhead();
+        const gap = car.getDistanceToCarAhead(ahead) - (car.width + ahead.width) / 2;
+        assert.ok(gap >= CONFIG.DEFAULT_SETTINGS.MIN_GAP * 0.9, `gap ${gap.toFixed(2)}px`);
+    });
+});
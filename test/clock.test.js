@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationClock } from '../clock.js';
+import { Simulation } from '../simulation.js';
+
+function runFiveMinutes() {
+    const simulation = new Simulation({ seed: 3 });
+    simulation.initialize();
+    for (let step = 0; step < 300 * 60; step++) {
+        simulation.step(1000 / 60);
+    }
+    return { time: simulation.getTime(), statistics: simulation.getStatistics() };
+}
+
+test('the clock moves only when advanced', () => {
+    const clock = new SimulationClock();
+    clock.advance(16);
+    clock.advance(34);
+    assert.equal(clock.now(), 50);
+
+    clock.reset();
+    assert.equal(clock.now(), 0);
+});
+
+test('waits are measured in simulated time, whatever the wall clock does', () => {
+    const reference = runFiveMinutes();
+
+    // A minute of wall time passes at every reading, as for a tab left in the background
+    const realNow = Date.now;
+    let wallTime = realNow();
+    Date.now = () => (wallTime += 60000);
+    let skewed;
+    try {
+        skewed = runFiveMinutes();
+    } finally {
+        Date.now = realNow;
+    }
+
+    assert.ok(reference.statistics.averageWaitTime > 0);
+    assert.deepEqual(skewed, reference);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function createSimulation(comparisonMode) {
+    const simulation = new Simulation({ seed: 5 });
+    simulation.initialize();
+    simulation.setComparisonMode(comparisonMode);
+    return simulation;
+}
+
+// Every arrival each mode has seen, spawned or still waiting for its spawn point,
+// as id -> direction/lane/color on arrival
+function recordArrivals(simulation, modes, durationMs) {
+    const seen = {};
+    modes.forEach(mode => {
+        seen[mode] = {};
+    });
+    for (let time = 0; time < durationMs; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        modes.forEach(mode => {
+            const carManager = simulation.getModeComponents(mode).carManager;
+            [...carManager.getCars(), ...carManager.pendingArrivals].forEach(({ id, direction, fromDirection, lane, color }) => {
+                seen[mode][id] ??= `${direction || fromDirection}/${lane}/${color}`;
+            });
+        });
+    }
+    return seen;
+}
+
+test('both controllers are given the same arrivals', () => {
+    const seen = recordArrivals(createSimulation(true), [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE], 300000);
+
+    assert.ok(Object.keys(seen.fixed).length > 0);
+    assert.deepEqual(seen.adaptive, seen.fixed);
+});
+
+test('comparing does not change the results of the mode on show', () => {
+    const alone = createSimulation(false);
+    const compared = createSimulation(true);
+
+    assert.deepEqual(
+        recordArrivals(compared, [CONFIG.MODES.FIXED], 300000),
+        recordArrivals(alone, [CONFIG.MODES.FIXED], 300000)
+    );
+    assert.deepEqual(compared.getComparisonStats().fixed, alone.getStatistics());
+    assert.ok(compared.getComparisonStats().adaptive.totalCarsPassed > 0);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function runDrivers(driverMix) {
+    const simulation = new Simulation({ seed: 4 });
+    simulation.initialize();
+    simulation.updateSetting('CAR_SPAWN_RATE', 10);
+    simulation.setDriverMix(driverMix);
+    simulation.run(600000);
+    return simulation.getStatistics();
+}
+
+test('only red runners enter on red; compliant drivers stop for the yellow they cannot clear', () => {
+    const compliant = runDrivers({ cautious: 0.3, typical: 0.7 });
+    const runners = runDrivers({ redRunner: 1 });
+
+    assert.equal(compliant.redLightViolations, 0);
+    assert.ok(runners.redLightViolations > 0);
+    assert.ok(runners.averageRedEntryTime > 0);
+});
+
+test('the all-red interval separates the yellow from the next green', () => {
+    const simulation = new Simulation({ seed: 4 });
+    simulation.initialize();
+    simulation.updateSetting('ALL_RED_DURATION', 2000);
+
+    let yellowEnded = null;
+    const clearances = [];
+    simulation.on('phaseChanged', ({ time, lights }) => {
+        const states = Object.values(lights);
+        if (states.every(state => state === CONFIG.LIGHT_STATES.RED)) {
+            yellowEnded = time;
+        } else if (yellowEnded !== null && states.includes(CONFIG.LIGHT_STATES.GREEN)) {
+            clearances.push(time - yellowEnded);
+            yellowEnded = null;
+        }
+    });
+    simulation.run(300000);
+
+    assert.ok(clearances.length > 0);
+    clearances.forEach(clearance => {
+        assert.ok(Math.abs(clearance - 2000) <= CONFIG.SIMULATION_STEP + 1e-6, `${clearance} ms all-red`);
+    });
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DemandGenerator, getProfileRate, normalizeProfile, validateProfile } from '../demand.js';
+import { SimulationClock } from '../clock.js';
+import { SeededRandom } from '../random.js';
+import { CONFIG } from '../config.js';
+
+test('profiles interpolate between points and hold beyond their ends', () => {
+    const profile = normalizeProfile([{ time: 900, rate: 1200 }, { time: 0, rate: 400 }, { time: 1800, rate: 1200 }, { time: 1800, rate: 300 }]);
+
+    assert.equal(getProfileRate(profile, 0), 400);
+    assert.equal(getProfileRate(profile, 450), 800);
+    assert.equal(getProfileRate(profile, 1200), 1200);
+    assert.equal(getProfileRate(profile, 1800), 300);
+    assert.equal(getProfileRate(profile, 7200), 300);
+    assert.deepEqual(normalizeProfile(500), [{ time: 0, rate: 500 }]);
+});
+
+test('invalid profiles are reported', () => {
+    assert.deepEqual(validateProfile(600), []);
+    assert.equal(validateProfile(-1).length, 1);
+    assert.equal(validateProfile([]).length, 1);
+    assert.equal(validateProfile([{ time: -1, rate: 'x' }]).length, 2);
+});
+
+test('each approach receives the number of vehicles its rate asks for', () => {
+    const clock = new SimulationClock();
+    const demand = new DemandGenerator(new SeededRandom(1), clock);
+    demand.initialize(CONFIG.DEFAULT_SETTINGS);
+    demand.setProfile('north', 720);
+    demand.setProfile('east', [{ time: 0, rate: 0 }, { time: 600, rate: 720 }]);
+    demand.setProfile('south', 0);
+    demand.setProfile('west', 0);
+
+    const counts = { north: 0, east: 0, south: 0, west: 0 };
+    for (let time = 0; time < 600000; time += CONFIG.SIMULATION_STEP) {
+        demand.update(CONFIG.SIMULATION_STEP).forEach(arrival => counts[arrival.direction]++);
+        clock.advance(CONFIG.SIMULATION_STEP);
+    }
+
+    // 720 veh/h for ten minutes, and a ramp from 0 to 720 veh/h averaging half that
+    assert.ok(Math.abs(counts.north - 120) <= 1);
+    assert.ok(Math.abs(counts.east - 60) <= 1);
+    assert.equal(counts.south + counts.west, 0);
+});
+
+test('the spawn rate only sets approaches without a profile of their own', () => {
+    const demand = new DemandGenerator(new SeededRandom(1));
+    demand.initialize(CONFIG.DEFAULT_SETTINGS);
+    demand.setProfile('north', 900);
+    demand.setSpawnRate(8);
+
+    const rates = (generator) => Object.fromEntries(Object.entries(generator.getProfiles())
+        .map(([direction, profile]) => [direction, getProfileRate(profile, 0)]));
+    assert.deepEqual(rates(demand), { north: 900, east: 720, south: 720, west: 720 });
+
+    // Which approaches have their own profile survives a snapshot
+    const restored = new DemandGenerator(new SeededRandom(1));
+    restored.restore(demand.serialize());
+    restored.setSpawnRate(4);
+    assert.deepEqual(restored.getProfiledApproaches(), ['north']);
+    assert.deepEqual(rates(restored), { north: 900, east: 360, south: 360, west: 360 });
+});
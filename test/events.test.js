@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from '../events.js';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function createSimulation() {
+    const simulation = new Simulation({ seed: 3 });
+    simulation.initialize();
+    return simulation;
+}
+
+test('on, once and off control which handlers are called', () => {
+    const emitter = new EventEmitter(['tick']);
+    const calls = [];
+    const unsubscribe = emitter.on('tick', payload => calls.push(['on', payload]));
+    emitter.once('tick', payload => calls.push(['once', payload]));
+
+    emitter.emit('tick', 1);
+    emitter.emit('tick', 2);
+    unsubscribe();
+    emitter.emit('tick', 3);
+
+    assert.deepEqual(calls, [['on', 1], ['once', 1], ['on', 2]]);
+    assert.equal(emitter.hasListeners('tick'), false);
+    assert.throws(() => emitter.on('tock', () => {}), /Unknown event "tock"/);
+});
+
+test('lifecycle events carry the simulated time they happened at', () => {
+    const simulation = createSimulation();
+    const spawned = [];
+    const completed = [];
+    simulation.on('carSpawned', event => spawned.push(event));
+    simulation.on('carCompleted', event => completed.push(event));
+    simulation.run(120000);
+
+    assert.ok(spawned.length > 0);
+    assert.ok(completed.length > 0);
+    spawned.forEach(event => assert.equal(event.mode, simulation.mode));
+    completed.forEach(event => {
+        assert.ok(event.time > 0 && event.time <= simulation.getTime());
+        assert.equal(event.waitTime, event.car.getWaitTime());
+    });
+});
+
+test('phase changes are reported once per change', () => {
+    const simulation = createSimulation();
+    const phases = [];
+    simulation.on('phaseChanged', event => phases.push(event));
+    simulation.run(CONFIG.DEFAULT_SETTINGS.GREEN_DURATION + 500);
+
+    assert.equal(phases.length, 1);
+    assert.equal(phases[0].lights.north, CONFIG.LIGHT_STATES.YELLOW);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandParameter, expandSweep, runExperiment, runSweep, toCsv } from '../experiments.js';
+
+test('ranges expand inclusively without float drift', () => {
+    assert.deepEqual(expandParameter('GREEN_DURATION', { from: 15000, to: 45000, step: 15000 }), [15000, 30000, 45000]);
+    assert.equal(expandParameter('CAR_SPAWN_RATE', { from: 0.1, to: 0.3, step: 0.1 }).length, 3);
+    assert.deepEqual(expandParameter('CAR_SPAWN_RATE', [1, 5]), [1, 5]);
+    assert.throws(() => expandParameter('GREEN_DURATION', { from: 10, to: 5, step: 1 }), /Invalid range/);
+});
+
+test('a sweep expands to every combination of parameter values', () => {
+    const combinations = expandSweep({
+        parameters: {
+            GREEN_DURATION: [20000, 30000],
+            CAR_SPAWN_RATE: [2, 4, 6]
+        }
+    });
+
+    assert.equal(combinations.length, 6);
+    assert.deepEqual(combinations[0], { GREEN_DURATION: 20000, CAR_SPAWN_RATE: 2 });
+    assert.deepEqual(combinations[5], { GREEN_DURATION: 30000, CAR_SPAWN_RATE: 6 });
+    assert.throws(() => expandSweep({ parameters: { NOT_A_SETTING: [1] } }), /Unknown parameter/);
+});
+
+test('a run is reproducible from its seed', () => {
+    const options = { mode: 'adaptive', seed: 3, settings: { CAR_SPAWN_RATE: 8 }, durationMs: 120000 };
+
+    const first = runExperiment(options);
+    assert.deepEqual(runExperiment(options), first);
+    assert.equal(first.CAR_SPAWN_RATE, 8);
+    assert.ok(first.totalCarsPassed > 0);
+});
+
+test('runSweep reports progress for mode x combination x seed runs', () => {
+    const progress = [];
+    const rows = runSweep({
+        modes: ['fixed', 'adaptive'],
+        durationSeconds: 10,
+        seeds: [1, 2],
+        parameters: { GREEN_DURATION: [20000, 30000] }
+    }, (row, index, total) => progress.push([index, total]));
+
+    assert.equal(rows.length, 8);
+    assert.deepEqual(progress.at(-1), [8, 8]);
+});
+
+test('CSV output has one header and quotes fields that need it', () => {
+    const csv = toCsv([{ mode: 'fixed', note: 'a,b' }, { mode: 'adaptive', extra: 1 }]);
+
+    assert.equal(csv, 'mode,note,extra\nfixed,"a,b",\nadaptive,,1\n');
+    assert.equal(toCsv([]), '');
+});
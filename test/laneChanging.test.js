@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+import { Car } from '../cars.js';
+
+test('turning vehicles reach their turn lane before the stop line, sliding across smoothly', () => {
+    const simulation = new Simulation({ seed: 5 });
+    simulation.initialize();
+    simulation.updateSetting('CAR_SPAWN_RATE', 10);
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        simulation.setTurningMovement(direction, { left: 0.3, through: 0.4, right: 0.3 });
+    });
+
+    const step = CONFIG.LANE_CHANGING.lateralSpeed * CONFIG.SIMULATION_STEP / 1000;
+    const previous = new Map();
+    let turnsChecked = 0;
+    for (let time = 0; time < 300000; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        simulation.getCars().forEach(car => {
+            const last = previous.get(car.id);
+            if (last && !last.pastStopLine && car.pastStopLine && car.getRequiredLane() !== null) {
+                turnsChecked++;
+                assert.equal(car.lane, car.getRequiredLane(), `car ${car.id} turning ${car.turnType} from lane ${car.lane}`);
+            }
+            // Drawn position moves no faster than lateralSpeed, the lane change itself included
+            if (last && car.yieldingTo === null && last.yieldingTo === null) {
+                const drawnOffset = simulation.intersection.getLaneOffset(car.fromDirection, car.lane) + car.lateralPosition;
+                const lastOffset = simulation.intersection.getLaneOffset(car.fromDirection, last.lane) + last.lateralPosition;
+                assert.ok(Math.abs(drawnOffset - lastOffset) <= step + 1e-6, `car ${car.id} jumped sideways`);
+            }
+            previous.set(car.id, { lane: car.lane, lateralPosition: car.lateralPosition, pastStopLine: car.pastStopLine, yieldingTo: car.yieldingTo });
+        });
+    }
+
+    assert.ok(turnsChecked > 0);
+    assert.ok(simulation.getStatistics().laneChanges > 0);
+});
+
+test('vehicles only follow the vehicle ahead in their own lane', () => {
+    const simulation = new Simulation({ seed: 5 });
+    simulation.initialize();
+    simulation.updateSetting('CAR_SPAWN_RATE', 12);
+
+    let checked = 0;
+    for (let time = 0; time < 120000; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        simulation.getCars().forEach(car => {
+            if (car.state !== 'approaching' && car.state !== 'waiting') return;
+            const ahead = car.checkForCarAhead();
+            if (!(ahead instanceof Car)) return; // Cyclists keep to the curb
+            checked++;
+            // Or one held alongside, waiting to merge into this lane
+            assert.ok(ahead.lane === car.lane || (ahead.waitingToMerge && ahead.getRequiredLane() === car.lane),
+                `car ${car.id} in lane ${car.lane} follows car ${ahead.id} in lane ${ahead.lane}`);
+        });
+    }
+    assert.ok(checked > 0);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+const scenario = JSON.parse(readFileSync(new URL('../scenarios/pedestrian-crossings.json', import.meta.url), 'utf8'));
+
+test('pedestrians step off the curb only on WALK and their delay is recorded', () => {
+    const simulation = new Simulation();
+    simulation.loadScenario({ ...scenario, controllers: [scenario.controllers[0]] });
+    const { trafficLights, pedestrianManager } = simulation.getModeComponents(CONFIG.MODES.FIXED);
+
+    const waiting = new Set();
+    let started = 0;
+    for (let time = 0; time < 600000; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        const signals = trafficLights.getPedestrianSignals();
+        pedestrianManager.getPedestrians().forEach(pedestrian => {
+            if (pedestrian.isWaiting()) {
+                waiting.add(pedestrian.id);
+            } else if (waiting.delete(pedestrian.id)) {
+                started++;
+                assert.equal(signals[pedestrian.crosswalk], CONFIG.PEDESTRIAN_SIGNALS.WALK, `pedestrian ${pedestrian.id}`);
+            }
+        });
+    }
+
+    const stats = simulation.getStatistics();
+    assert.ok(started > 0);
+    assert.ok(stats.pedestriansCrossed > 0);
+    assert.ok(stats.averagePedestrianDelay > 0);
+    assert.ok(stats.maxPedestrianDelay >= stats.averagePedestrianDelay);
+});
+
+test('turning vehicles wait for pedestrians on the crosswalk they turn across', () => {
+    const runWith = (rates) => {
+        const simulation = new Simulation();
+        simulation.loadScenario({ ...scenario, pedestrians: { ...scenario.pedestrians, rates }, controllers: [scenario.controllers[0]] });
+        simulation.run(900000);
+        return simulation.getStatistics();
+    };
+    const withPedestrians = runWith(scenario.pedestrians.rates);
+    const without = runWith(0);
+
+    assert.equal(without.pedestriansCrossed, 0);
+    assert.ok(withPedestrians.averageRightTurnWaitTime > without.averageRightTurnWaitTime);
+});
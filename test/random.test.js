@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../random.js';
+import { Simulation } from '../simulation.js';
+import { utils } from '../utils.js';
+
+// What every car looks like as it arrives: enough to tell two arrival streams apart
+function arrivals(seed) {
+    const simulation = new Simulation({ seed });
+    simulation.initialize();
+    const seen = new Map();
+    for (let step = 0; step < 300 * 60; step++) {
+        simulation.step(1000 / 60);
+        simulation.getCars().forEach(car => {
+            if (!seen.has(car)) {
+                seen.set(car, `${car.fromDirection}/${car.lane}/${car.color}`);
+            }
+        });
+    }
+    return [...seen.values()];
+}
+
+test('a seed always gives the same sequence', () => {
+    const first = new SeededRandom(1234);
+    const second = new SeededRandom(1234);
+    const sequence = Array.from({ length: 100 }, () => first.next());
+
+    assert.deepEqual(Array.from({ length: 100 }, () => second.next()), sequence);
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+    assert.notDeepEqual(Array.from({ length: 100 }, () => new SeededRandom(4321).next()), sequence);
+});
+
+test('reseeding restarts the sequence', () => {
+    const random = new SeededRandom(7);
+    const start = [random.next(), random.next()];
+    random.setSeed(random.getSeed());
+
+    assert.deepEqual([random.next(), random.next()], start);
+});
+
+test('the same seed gives the same arrivals', () => {
+    const first = arrivals(42);
+
+    assert.ok(first.length > 0);
+    assert.deepEqual(arrivals(42), first);
+    assert.notDeepEqual(arrivals(43), first);
+});
+
+test('the random helpers draw only from the stream they are given', () => {
+    const draw = (random) => [
+        utils.randomBetween(2, 5, random),
+        utils.randomInt(0, 9, random),
+        utils.randomFromArray(['a', 'b', 'c'], random),
+        utils.randomExponential(3, random),
+        utils.randomWeighted(['x', 'y'], [1, 3], random)
+    ];
+
+    assert.deepEqual(draw(new SeededRandom(99)), draw(new SeededRandom(99)));
+    assert.throws(() => utils.randomInt(0, 9), TypeError);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function createSimulation(seed = 11) {
+    const simulation = new Simulation({ seed });
+    simulation.initialize();
+    return simulation;
+}
+
+// Whole steps, so a seek lands on a time a plain run also reaches
+const steps = (ms) => Math.round(ms / CONFIG.SIMULATION_STEP) * CONFIG.SIMULATION_STEP;
+
+test('seeking backwards reproduces the state a plain run reaches', () => {
+    const recorded = createSimulation();
+    recorded.startRecording();
+    recorded.run(steps(300000));
+
+    const target = steps(123456);
+    recorded.seek(target);
+
+    const reference = createSimulation();
+    reference.run(target);
+    assert.equal(recorded.getTime(), reference.getTime());
+    assert.deepEqual(recorded.getStatistics(), reference.getStatistics());
+});
+
+test('seeking forwards again returns to the end of the recording', () => {
+    const simulation = createSimulation();
+    const recorder = simulation.startRecording();
+    simulation.run(steps(120000));
+    const end = simulation.saveState();
+    const eventCount = recorder.getEvents().length;
+
+    simulation.seek(30000);
+    simulation.seek(recorder.getEndTime());
+
+    assert.deepEqual(simulation.saveState(), end);
+    assert.equal(recorder.getEvents().length, eventCount);
+});
+
+test('spawn events describe the vehicle', () => {
+    const simulation = createSimulation();
+    const recorder = simulation.startRecording();
+    simulation.run(60000);
+
+    const spawn = recorder.getEvents().find(event => event.type === 'spawn');
+    assert.ok(spawn);
+    ['direction', 'lane', 'turnType', 'vehicleType', 'driverType'].forEach(key => {
+        assert.notEqual(spawn[key], undefined, key);
+    });
+});
+
+test('long recordings keep a bounded number of keyframes', () => {
+    const simulation = createSimulation();
+    const recorder = simulation.startRecording();
+    simulation.run(CONFIG.REPLAY_KEYFRAME_INTERVAL * CONFIG.REPLAY_MAX_KEYFRAMES * 3);
+
+    assert.ok(recorder.keyframes.length <= CONFIG.REPLAY_MAX_KEYFRAMES);
+    assert.equal(recorder.keyframes[0].time, recorder.getStartTime());
+});
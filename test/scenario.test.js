@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+import { validateScenario, normalizeScenario, exportScenario } from '../scenario.js';
+import { parseTurningMovementCounts, countsToScenario } from '../counts.js';
+
+const scenariosDirectory = new URL('../scenarios/', import.meta.url);
+
+test('the bundled scenarios are valid', () => {
+    readdirSync(scenariosDirectory).filter(file => file.endsWith('.json')).forEach(file => {
+        const scenario = JSON.parse(readFileSync(new URL(file, scenariosDirectory), 'utf8'));
+        assert.deepEqual(validateScenario(scenario), [], file);
+    });
+});
+
+test('every problem in a scenario is reported', () => {
+    const errors = validateScenario({
+        version: CONFIG.SCENARIO_VERSION,
+        seed: 1.5,
+        demand: { up: 100 },
+        vehicles: { speed: -1 },
+        controllers: [{ type: 'fixed', params: { DETECTOR_DISTANCE: 300 } }],
+        metrics: ['nothing']
+    });
+
+    assert.equal(errors.length, 5);
+    assert.throws(() => normalizeScenario({ version: CONFIG.SCENARIO_VERSION, seed: 'x' }), /Invalid scenario:\n- seed must be an integer/);
+});
+
+test('sections of the wrong shape are reported rather than thrown on', () => {
+    const errors = validateScenario({
+        version: CONFIG.SCENARIO_VERSION,
+        geometry: 'wide',
+        vehicles: null,
+        pedestrians: [120],
+        controllers: [{ type: 'fixed', params: 5 }, null]
+    });
+
+    assert.deepEqual(errors, [
+        'geometry must be an object',
+        'vehicles must be an object',
+        'pedestrians must be an object',
+        'controllers[0].params must be an object',
+        'controllers[1] must be an object'
+    ]);
+    assert.deepEqual(validateScenario({ version: 1, demand: { approachShares: null } }), ['demand.approachShares must be an object']);
+});
+
+test('unknown scenario versions are rejected', () => {
+    assert.match(validateScenario({ version: CONFIG.SCENARIO_VERSION + 1 })[0], /Unsupported scenario version/);
+    assert.match(validateScenario({})[0], /Unsupported scenario version/);
+});
+
+test('version 1 demand is converted to rates per approach', () => {
+    const scenario = normalizeScenario({
+        version: 1,
+        demand: { spawnRate: 6, approachShares: { north: 1, east: 3, south: 1, west: 1 } }
+    });
+
+    assert.equal(scenario.version, CONFIG.SCENARIO_VERSION);
+    assert.deepEqual(scenario.demand.east, [{ time: 0, rate: 1080 }]);
+    assert.deepEqual(scenario.demand.north, [{ time: 0, rate: 360 }]);
+});
+
+test('omitted sections take their defaults', () => {
+    const scenario = normalizeScenario({ version: CONFIG.SCENARIO_VERSION, demand: { east: 600 } });
+
+    assert.deepEqual(scenario.demand.east, [{ time: 0, rate: 600 }]);
+    assert.deepEqual(scenario.demand.west, [{ time: 0, rate: CONFIG.DEFAULT_SETTINGS.CAR_SPAWN_RATE * 90 }]);
+    assert.equal(scenario.vehicles.speed, CONFIG.DEFAULT_SETTINGS.CAR_SPEED);
+    assert.deepEqual(scenario.controllers, [{ type: CONFIG.MODES.FIXED, params: {} }]);
+});
+
+test('an exported scenario loads back to the same configuration', () => {
+    const scenario = JSON.parse(readFileSync(new URL('evening-peak.json', scenariosDirectory), 'utf8'));
+    const simulation = new Simulation();
+    simulation.loadScenario(scenario);
+
+    const exported = exportScenario(simulation);
+    ['demand', 'turning', 'geometry'].forEach(section => {
+        assert.deepEqual(normalizeScenario(exported)[section], normalizeScenario(scenario)[section], section);
+    });
+    const reloaded = new Simulation();
+    reloaded.loadScenario(exported);
+    assert.deepEqual(exportScenario(reloaded), exported);
+
+    simulation.run(300000);
+    assert.ok(simulation.getStatistics().totalCarsPassed > 0);
+});
+
+test('approaches following the spawn rate still follow it after an export round trip', () => {
+    const simulation = new Simulation();
+    simulation.initialize();
+    simulation.setDemandProfile('east', 900);
+    simulation.updateSetting('CAR_SPAWN_RATE', 8);
+
+    const exported = exportScenario(simulation);
+    assert.deepEqual(exported.demand, { east: 900 });
+    assert.equal(exported.spawnRate, 8);
+
+    const reloaded = new Simulation();
+    reloaded.loadScenario(exported);
+    assert.deepEqual(reloaded.demand.getProfiledApproaches(), ['east']);
+    reloaded.updateSetting('CAR_SPAWN_RATE', 4);
+    const rates = Object.fromEntries(Object.entries(reloaded.getDemandProfiles())
+        .map(([direction, profile]) => [direction, profile[0].rate]));
+    assert.deepEqual(rates, { north: 360, east: 900, south: 360, west: 360 });
+});
+
+test('turning movement counts import as time-varying demand', () => {
+    const counts = parseTurningMovementCounts(readFileSync(new URL('am-peak-counts.csv', scenariosDirectory), 'utf8'));
+    const scenario = countsToScenario(counts, { seed: 3 });
+    assert.deepEqual(validateScenario(scenario), []);
+
+    // First interval northbound: 9 + 46 + 13 vehicles in 15 minutes
+    assert.deepEqual(scenario.demand.north[0], { time: 0, rate: 68 * 4 });
+    assert.equal(scenario.durationSeconds, counts.intervals.length * counts.intervalSeconds);
+
+    const simulation = new Simulation();
+    simulation.loadScenario(scenario);
+    simulation.run(300000);
+    assert.ok(simulation.getStatistics().totalCarsPassed > 0);
+});
+
+test('malformed counts are rejected', () => {
+    assert.throws(() => parseTurningMovementCounts('Interval,Approach\n07:00,N'), /Invalid turning movement counts/);
+});
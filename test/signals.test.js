@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+const FIVE_MINUTES = 300000;
+
+test('an emergency vehicle preempts the signal and the plan recovers', () => {
+    const simulation = new Simulation({ seed: 5 });
+    simulation.initialize();
+    let preempting = false;
+    const lightsWhilePreempting = [];
+    simulation.on('preemptionStarted', () => { preempting = true; });
+    simulation.on('preemptionEnded', () => { preempting = false; });
+    simulation.on('phaseChanged', ({ lights }) => {
+        if (preempting) lightsWhilePreempting.push({ ...lights });
+    });
+    simulation.run(60000);
+    simulation.dispatchEmergencyVehicle(CONFIG.DIRECTIONS.EAST);
+    simulation.run(FIVE_MINUTES);
+
+    const stats = simulation.getStatistics();
+    assert.equal(stats.preemptions, 1);
+    assert.equal(stats.emergencyVehiclesPassed, 1);
+    assert.ok(stats.averagePreemptionTime > 0);
+    assert.ok(stats.averageRecoveryTime > 0);
+    // The called approach gets a green while the crossing approaches are held at red
+    const served = lightsWhilePreempting.find(lights => lights.east === CONFIG.LIGHT_STATES.GREEN);
+    assert.ok(served);
+    assert.equal(served.north, CONFIG.LIGHT_STATES.RED);
+    assert.equal(served.south, CONFIG.LIGHT_STATES.RED);
+});
+
+function runRightTurns(rightTurnOnRed) {
+    const simulation = new Simulation();
+    simulation.loadScenario({
+        version: CONFIG.SCENARIO_VERSION,
+        seed: 9,
+        geometry: { rightTurnOnRed },
+        turning: Object.fromEntries(Object.values(CONFIG.DIRECTIONS)
+            .map(direction => [direction, { left: 0, through: 0.5, right: 0.5 }])),
+        pedestrians: { rates: 0 }
+    });
+    simulation.run(FIVE_MINUTES);
+    return simulation.getStatistics();
+}
+
+test('right turns on red are only made where they are allowed', () => {
+    const allowed = runRightTurns(Object.values(CONFIG.DIRECTIONS));
+    assert.ok(allowed.rightTurnsOnRed > 0);
+    assert.ok(allowed.rightTurnOnRedDelaySaved > 0);
+
+    const prohibited = runRightTurns([]);
+    assert.equal(prohibited.rightTurnsOnRed, 0);
+    assert.ok(prohibited.averageRightTurnWaitTime > allowed.averageRightTurnWaitTime);
+});
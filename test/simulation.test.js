@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function createSimulation() {
+    const simulation = new Simulation();
+    simulation.initialize();
+    return simulation;
+}
+
+test('the simulation runs in Node without a canvas or DOM', () => {
+    assert.equal(typeof document, 'undefined');
+    const simulation = createSimulation();
+    const stats = simulation.run(300000);
+
+    assert.ok(stats.totalCarsPassed > 0);
+    assert.ok(simulation.getCars().length > 0);
+});
+
+test('step advances the signal plan by the time given', () => {
+    const simulation = createSimulation();
+    assert.equal(simulation.getLightStates().north, CONFIG.LIGHT_STATES.GREEN);
+
+    simulation.run(CONFIG.DEFAULT_SETTINGS.GREEN_DURATION + 500);
+    assert.equal(simulation.getLightStates().north, CONFIG.LIGHT_STATES.YELLOW);
+    assert.equal(simulation.getLightStates().east, CONFIG.LIGHT_STATES.RED);
+});
+
+test('reset clears the traffic and the statistics', () => {
+    const simulation = createSimulation();
+    simulation.run(120000);
+    simulation.reset();
+
+    assert.equal(simulation.getCars().length, 0);
+    assert.equal(simulation.getStatistics().totalCarsPassed, 0);
+});
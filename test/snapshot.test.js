@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function createSimulation(seed = 7) {
+    const simulation = new Simulation({ seed });
+    simulation.initialize();
+    return simulation;
+}
+
+const FIVE_MINUTES = 300000;
+
+test('a restored snapshot continues exactly like the original', () => {
+    const original = createSimulation();
+    original.run(FIVE_MINUTES);
+
+    const restored = createSimulation(99);
+    restored.loadState(JSON.parse(JSON.stringify(original.saveState())));
+    assert.equal(restored.getTime(), original.getTime());
+
+    original.run(FIVE_MINUTES);
+    restored.run(FIVE_MINUTES);
+    assert.deepEqual(restored.saveState(), original.saveState());
+});
+
+test('a snapshot without state added in later versions still loads', () => {
+    const original = createSimulation();
+    original.run(FIVE_MINUTES);
+    const snapshot = JSON.parse(JSON.stringify(original.saveState()));
+    [snapshot.fixedMode, snapshot.adaptiveMode].forEach(mode => {
+        delete mode.carManager.pendingArrivals;
+        delete mode.statistics.waitTimes;
+        delete mode.settings.MIN_GREEN_TIME;
+        delete mode.statistics.carsPassedByClass;
+        delete mode.statistics.waitTimesByClass;
+        delete mode.statistics.transitWaitTimes;
+        delete mode.statistics.pedestrianDelays;
+        delete mode.pedestrianManager;
+        delete mode.trafficLights.pedestrianCalls;
+        delete mode.trafficLights.crossingLength;
+        delete mode.trafficLights.bicycleCalls;
+        delete mode.cyclistManager;
+        delete mode.statistics.cyclistDelays;
+        delete mode.statistics.redLightEntries;
+        delete mode.statistics.leftTurnsYielded;
+        delete mode.settings.CRITICAL_GAP;
+        delete mode.statistics.pendingRightTurnsOnRed;
+        delete mode.statistics.laneChanges;
+    });
+    delete snapshot.demand.vehicleMix;
+    delete snapshot.demand.busRoutes;
+    delete snapshot.demand.busDepartures;
+    delete snapshot.demand.driverMix;
+    delete snapshot.demand.profiledApproaches;
+
+    const restored = createSimulation();
+    restored.loadState(snapshot);
+    restored.run(FIVE_MINUTES);
+
+    const stats = restored.getStatistics();
+    assert.ok(stats.totalCarsPassed > original.getStatistics().totalCarsPassed);
+    assert.ok(Number.isFinite(stats.averageWaitTime));
+});
+
+test('snapshots of an unsupported version are rejected', () => {
+    const simulation = createSimulation();
+    const snapshot = { ...simulation.saveState(), version: CONFIG.SNAPSHOT_VERSION + 1 };
+
+    assert.throws(() => simulation.loadState(snapshot), /Unsupported snapshot version/);
+});
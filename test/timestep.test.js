@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+function createSimulation() {
+    const simulation = new Simulation({ seed: 21 });
+    simulation.initialize();
+    return simulation;
+}
+
+// The browser loop in main.js: each frame owes frameMs times the time scale of
+// simulated time, paid off in whole fixed ticks
+function playAtTimeScale(simulation, timeScale, untilMs, frameMs = 1000 / 60) {
+    let accumulator = 0;
+    while (simulation.getTime() + CONFIG.SIMULATION_STEP / 2 < untilMs) {
+        accumulator += frameMs * timeScale;
+        while (accumulator >= CONFIG.SIMULATION_STEP && simulation.getTime() + CONFIG.SIMULATION_STEP / 2 < untilMs) {
+            simulation.tick();
+            accumulator -= CONFIG.SIMULATION_STEP;
+        }
+    }
+}
+
+test('tick advances the clock by exactly one fixed step', () => {
+    const simulation = createSimulation();
+    simulation.tick();
+    simulation.tick();
+
+    assert.equal(simulation.getTime(), 2 * CONFIG.SIMULATION_STEP);
+});
+
+test('runUntil stops on the tick nearest the target', () => {
+    const simulation = createSimulation();
+    simulation.runUntil(60000);
+
+    assert.ok(Math.abs(simulation.getTime() - 60000) <= CONFIG.SIMULATION_STEP / 2);
+});
+
+test('results match at any time scale', () => {
+    const results = [0.5, 1, 10, 100].map(timeScale => {
+        const simulation = createSimulation();
+        playAtTimeScale(simulation, timeScale, 300000);
+        return { time: simulation.getTime(), stats: simulation.getStatistics(), lights: simulation.getLightStates() };
+    });
+
+    assert.ok(results[0].stats.totalCarsPassed > 0);
+    results.slice(1).forEach(result => assert.deepEqual(result, results[0]));
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Simulation } from '../simulation.js';
+
+const scenario = JSON.parse(readFileSync(new URL('../scenarios/bus-priority.json', import.meta.url), 'utf8'));
+
+function runBusPriority(transitPriority, durationMs = 1800000) {
+    const simulation = new Simulation();
+    simulation.loadScenario({ ...scenario, controllers: [scenario.controllers[0]] });
+    simulation.updateSetting('TRANSIT_PRIORITY', transitPriority);
+    simulation.run(durationMs);
+    return simulation.getStatistics();
+}
+
+test('transit signal priority lowers the delay of route buses', () => {
+    const withPriority = runBusPriority(true);
+    const without = runBusPriority(false);
+
+    assert.equal(withPriority.transitBusesPassed, without.transitBusesPassed);
+    assert.ok(withPriority.transitBusesPassed > 0);
+    assert.ok(withPriority.earlyGreens + withPriority.greenExtensions > 0);
+    assert.equal(without.earlyGreens + without.greenExtensions, 0);
+    assert.ok(withPriority.averageTransitWaitTime < without.averageTransitWaitTime);
+    assert.ok(withPriority.averageTransitTravelTime < without.averageTransitTravelTime);
+});
+
+test('wait statistics other than transit and general traffic only count vehicles that stopped', () => {
+    const stats = runBusPriority(true, 600000);
+
+    assert.ok(stats.averageWaitTime > stats.averageGeneralTrafficWaitTime);
+});
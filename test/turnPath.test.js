@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { utils } from '../utils.js';
+import { CONFIG } from '../config.js';
+
+test('the Bezier tangent is the derivative of the curve', () => {
+    const points = [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 60, y: 30 }, { x: 60, y: 60 }];
+    const h = 1e-6;
+    [0, 0.3, 0.7, 1].forEach(t => {
+        const before = utils.getBezierPoint(Math.max(t - h, 0), ...points);
+        const after = utils.getBezierPoint(Math.min(t + h, 1), ...points);
+        const span = Math.min(t + h, 1) - Math.max(t - h, 0);
+        const tangent = utils.getBezierTangent(t, ...points);
+        assert.ok(Math.abs(tangent.x - (after.x - before.x) / span) < 1e-3);
+        assert.ok(Math.abs(tangent.y - (after.y - before.y) / span) < 1e-3);
+    });
+});
+
+test('turning vehicles move continuously through the box', () => {
+    const simulation = new Simulation({ seed: 12 });
+    simulation.initialize();
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        simulation.setTurningMovement(direction, { left: 0.4, through: 0.2, right: 0.4 });
+    });
+
+    const step = CONFIG.SIMULATION_STEP / 1000;
+    // Along the road, plus sliding across after a lane change
+    const maxStep = (CONFIG.DEFAULT_SETTINGS.CAR_SPEED * 2 + CONFIG.LANE_CHANGING.lateralSpeed) * step + 1e-6;
+    const last = new Map();
+    let turnsSeen = 0;
+    for (let time = 0; time < 300000; time += CONFIG.SIMULATION_STEP) {
+        simulation.tick();
+        simulation.getCars().forEach(car => {
+            const previous = last.get(car.id);
+            // Where it is drawn, shifted sideways by lateralPosition
+            const x = car.x - Math.sin(car.angle) * car.lateralPosition;
+            const y = car.y + Math.cos(car.angle) * car.lateralPosition;
+            if (previous) {
+                const moved = Math.hypot(x - previous.x, y - previous.y);
+                assert.ok(moved <= maxStep, `car ${car.id} jumped ${moved.toFixed(1)}px while ${car.state}`);
+            }
+            if (car.state === 'turning') turnsSeen++;
+            last.set(car.id, { x, y });
+        });
+    }
+
+    assert.ok(turnsSeen > 0);
+    assert.ok(simulation.getStatistics().leftTurnsPassed > 0);
+    assert.ok(simulation.getStatistics().rightTurnsPassed > 0);
+});
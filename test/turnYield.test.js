@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { CONFIG } from '../config.js';
+
+// North approach turns left across the south approach's through traffic
+function createSimulation(oncomingRate) {
+    const simulation = new Simulation({ seed: 9 });
+    simulation.initialize();
+    simulation.setDemandProfile('north', 400);
+    simulation.setDemandProfile('south', oncomingRate);
+    simulation.setDemandProfile('east', 0);
+    simulation.setDemandProfile('west', 0);
+    simulation.setTurningMovement('north', { left: 1, through: 0, right: 0 });
+    simulation.setTurningMovement('south', { left: 0, through: 1, right: 0 });
+    return simulation;
+}
+
+test('left turners go only when oncoming traffic leaves at least the critical gap', () => {
+    const simulation = createSimulation(600);
+    const { carManager } = simulation.getModeComponents(CONFIG.MODES.FIXED);
+    const criticalGap = CONFIG.DEFAULT_SETTINGS.CRITICAL_GAP / 1000;
+    const followUpTime = CONFIG.DEFAULT_SETTINGS.FOLLOW_UP_TIME / 1000;
+
+    const waiting = new Set();
+    const accepted = [];
+    for (let step = 0; step < 6000; step++) {
+        simulation.tick();
+        const cars = carManager.getCars();
+        cars.filter(car => car.fromDirection === 'north' && car.turnType === CONFIG.TURN_TYPES.LEFT).forEach(car => {
+            if (car.gapAcceptedAt === null) {
+                if (car.state === 'turning' && car.speed === 0) waiting.add(car);
+                return;
+            }
+            if (!waiting.delete(car)) return;
+            // Took the gap from a standstill this step: no through car was too close
+            accepted.push(car.gapAcceptedAt);
+            const required = accepted.length > 1 && car.gapAcceptedAt - accepted[accepted.length - 2] < criticalGap * 1000
+                ? criticalGap - followUpTime
+                : criticalGap;
+            cars.filter(other => other.fromDirection === 'south').forEach(other => {
+                assert.ok(other.getTimeToConflictArea() >= required - 0.1, `${other.getTimeToConflictArea()} s gap`);
+            });
+        });
+    }
+
+    assert.ok(accepted.length > 0);
+    for (let i = 1; i < accepted.length; i++) {
+        assert.ok(accepted[i] - accepted[i - 1] >= followUpTime * 1000 - CONFIG.SIMULATION_STEP, 'follow-up time');
+    }
+    assert.ok(simulation.getStatistics().leftTurnsYielded > 0);
+});
+
+test('oncoming traffic delays left turns without gridlocking them', () => {
+    const run = (oncomingRate) => {
+        const simulation = createSimulation(oncomingRate);
+        const waits = [];
+        simulation.on('carCompleted', ({ mode, car, waitTime }) => {
+            if (mode === CONFIG.MODES.FIXED && car.turnType === CONFIG.TURN_TYPES.LEFT) waits.push(waitTime);
+        });
+        simulation.run(600000);
+        return { ...simulation.getStatistics(), averageDelay: waits.reduce((sum, wait) => sum + wait, 0) / waits.length };
+    };
+    const opposed = run(600);
+    const unopposed = run(0);
+
+    // Unopposed, turners are only held for the follow-up time behind one another
+    assert.ok(unopposed.leftTurnsYielded < opposed.leftTurnsYielded / 4);
+    // Every left turner counts here, not only those that stopped
+    assert.ok(opposed.averageDelay > unopposed.averageDelay, `${opposed.averageDelay} vs ${unopposed.averageDelay} ms`);
+    assert.ok(opposed.leftTurnsPassed > unopposed.leftTurnsPassed * 0.8, `${opposed.leftTurnsPassed} of ${unopposed.leftTurnsPassed}`);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DemandGenerator, normalizeTurningMovement, validateTurningMovement } from '../demand.js';
+import { Simulation } from '../simulation.js';
+import { SeededRandom } from '../random.js';
+import { CONFIG } from '../config.js';
+
+const { LEFT, STRAIGHT, RIGHT } = CONFIG.TURN_TYPES;
+
+test('origin-destination rows convert to movement fractions', () => {
+    // Southbound traffic from the north leg turns left into the east leg
+    assert.deepEqual(normalizeTurningMovement('north', { east: 0.2, south: 0.7, west: 0.1 }), { left: 0.2, through: 0.7, right: 0.1 });
+    assert.deepEqual(normalizeTurningMovement('west', { left: 0.5, through: 0.5 }), { left: 0.5, through: 0.5, right: 0 });
+    assert.deepEqual(validateTurningMovement('north', { left: 0.5, through: 0.6, right: 0 }), ['turning fractions must add up to 1']);
+    assert.equal(validateTurningMovement('north', { north: 1 }).length, 1);
+});
+
+test('arrivals follow the turning percentages and enter either lane', () => {
+    const demand = new DemandGenerator(new SeededRandom(4));
+    demand.setTurningMovements({ north: { left: 0.25, through: 0.5, right: 0.25 } });
+
+    const counts = { [LEFT]: 0, [STRAIGHT]: 0, [RIGHT]: 0 };
+    const lanes = new Set();
+    for (let i = 0; i < 4000; i++) {
+        const arrival = demand.createArrival('north');
+        counts[arrival.turnType]++;
+        // Turners move over to their turn lane on the approach
+        if (arrival.turnType === LEFT) lanes.add(arrival.lane);
+    }
+
+    assert.deepEqual([...lanes].sort(), [0, 1]);
+    assert.ok(Math.abs(counts[LEFT] / 4000 - 0.25) < 0.03);
+    assert.ok(Math.abs(counts[STRAIGHT] / 4000 - 0.5) < 0.03);
+    assert.ok(Math.abs(counts[RIGHT] / 4000 - 0.25) < 0.03);
+});
+
+test('vehicles leave by the leg of their movement', () => {
+    const simulation = new Simulation({ seed: 8 });
+    simulation.initialize();
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        simulation.setTurningMovement(direction, { left: 0.3, through: 0.4, right: 0.3 });
+    });
+
+    const center = { x: CONFIG.CANVAS_WIDTH / 2, y: CONFIG.CANVAS_HEIGHT / 2 };
+    const exits = [];
+    simulation.on('carCompleted', ({ car }) => exits.push(car));
+    simulation.run(600000);
+
+    assert.ok(exits.length > 0);
+    exits.forEach(car => {
+        const side = Math.abs(car.x - center.x) > Math.abs(car.y - center.y)
+            ? (car.x > center.x ? 'east' : 'west')
+            : (car.y > center.y ? 'south' : 'north');
+        assert.equal(side, car.calculateToDirection(), `car ${car.id} from ${car.fromDirection} turning ${car.turnType}`);
+    });
+    const stats = simulation.getStatistics();
+    assert.equal(stats.leftTurnsPassed + stats.rightTurnsPassed + stats.throughCarsPassed, stats.totalCarsPassed);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DemandGenerator, validateVehicleMix } from '../demand.js';
+import { Simulation } from '../simulation.js';
+import { SeededRandom } from '../random.js';
+import { CONFIG } from '../config.js';
+
+test('arrivals follow the vehicle mix', () => {
+    const demand = new DemandGenerator(new SeededRandom(6));
+    demand.setVehicleMix({ car: 0.5, truck: 0.3, bus: 0.2 });
+
+    const counts = {};
+    for (let i = 0; i < 4000; i++) {
+        const { vehicleType } = demand.createArrival('east');
+        counts[vehicleType] = (counts[vehicleType] || 0) + 1;
+    }
+
+    assert.ok(Math.abs(counts.car / 4000 - 0.5) < 0.03);
+    assert.ok(Math.abs(counts.truck / 4000 - 0.3) < 0.03);
+    assert.ok(Math.abs(counts.bus / 4000 - 0.2) < 0.03);
+    assert.equal(counts.motorcycle, undefined);
+});
+
+test('invalid vehicle mixes are reported', () => {
+    assert.deepEqual(validateVehicleMix(CONFIG.DEFAULT_VEHICLE_MIX), []);
+    assert.deepEqual(validateVehicleMix({ car: 0.5, truck: 0.4 }), ['vehicle mix fractions must add up to 1']);
+    assert.equal(validateVehicleMix({ tram: 1 }).length, 1);
+});
+
+test('each class drives with its own size and performance and is counted separately', () => {
+    const simulation = new Simulation({ seed: 2 });
+    simulation.initialize();
+    simulation.setVehicleMix({ truck: 0.5, motorcycle: 0.5 });
+    simulation.run(300000);
+
+    const cars = simulation.getCars();
+    assert.ok(cars.length > 0);
+    cars.forEach(car => {
+        const vehicleClass = CONFIG.VEHICLE_CLASSES[car.vehicleType];
+        assert.equal(car.width, vehicleClass.width);
+        assert.equal(car.acceleration, vehicleClass.acceleration);
+        assert.ok(car.speed <= CONFIG.DEFAULT_SETTINGS.CAR_SPEED * vehicleClass.speedFactor + 1e-9);
+    });
+
+    const stats = simulation.getStatistics();
+    assert.ok(stats.trucksPassed > 0 && stats.motorcyclesPassed > 0);
+    assert.equal(stats.trucksPassed + stats.motorcyclesPassed, stats.totalCarsPassed);
+    assert.equal(stats.passengerCarsPassed, 0);
+});
@@ -1,23 +1,39 @@
 import { CONFIG } from "./config.js";
+import { SimulationClock } from "./clock.js";
 
 
 export class TrafficLightController {
     initialize(mode, settings) {
         this.mode = mode;
         this.settings = { ...settings };
+        this.resetPreemption();
+        this.priorityCalls = [];
+        this.resetPedestrianSignals();
+        this.bicycleCalls = {};
         if (mode === CONFIG.MODES.FIXED) {
             this.initializeFixedMode();
         } else if (mode === CONFIG.MODES.ADAPTIVE) {
             this.initializeAdaptiveMode();
         }
     }
-    constructor() {
+    constructor(clock = new SimulationClock()) {
+        this.clock = clock;
         this.lights = {};
+
+        // Callback fired on every phase change with getPhaseInfo()
+        this.onPhaseChanged = null;
+        // Callbacks fired when a preemption starts ({ direction }) and once the normal
+        // plan has recovered ({ direction, duration, recoveryTime }, times in ms)
+        this.onPreemptionStarted = null;
+        this.onPreemptionEnded = null;
+        // Callback fired when transit priority moves a green: { direction, type } with
+        // type 'earlyGreen' or 'extension', and for extensions the time added (ms)
+        this.onPriorityGranted = null;
         this.mode = CONFIG.MODES.FIXED;
         this.settings = { ...CONFIG.DEFAULT_SETTINGS };
        
         // Fixed mode state - explicit phases for described cycle
-        // 0: NS green, 1: NS yellow, 2: NS red (wait), 3: WE green, 4: WE yellow, 5: WE red (wait)
+        // 0: NS green, 1: NS yellow, 2: all-red, 3: WE green, 4: WE yellow, 5: all-red
         this.fixedState = {
             currentPhase: 0,
             phaseTimer: 0,
@@ -31,12 +47,27 @@ export class TrafficLightController {
             phaseTimer: 0,
             isActive: false,
             priorityScores: { WE: 0, NS: 0 },
+            queuedCars: { WE: 0, NS: 0 },
+            lastDepartures: { WE: null, NS: null },
             lastSwitchTime: 0,
             firstCarTriggered: false
         };
        
         this.initializeLights();
+        this.resetPreemption();
+        this.priorityCalls = []; // Approaches with a route bus checked in
+
+        // Pedestrian signal per crosswalk, timed from the curb-to-curb crossing length
+        this.crossingLength = 0; // Set from the intersection geometry (setCrossingLength)
+        this.resetPedestrianSignals();
+        this.bicycleCalls = {}; // Approaches with cyclists standing at red: { count, waitTime }
+    }
 
+    // Emergency vehicle preemption state; null stages mean normal operation
+    resetPreemption() {
+        this.preemptionCalls = []; // Approaches with an emergency vehicle detected
+        this.preemption = null;    // { direction, stage, timer, startTime, exitTime, interruptedPair }
+        this.recovery = null;      // { direction, duration, startTime, waitingFor }
     }
 
     initializeLights() {
@@ -54,26 +85,31 @@ export class TrafficLightController {
 
 
     initializeFixedMode() {
-        console.log('Initializing Fixed Mode');
         this.fixedState = {
             currentPhase: 0, // Start with North-South green
             phaseTimer: 0,
-            isActive: true
+            isActive: true,
+            greenAdjustment: 0,     // Transit priority time moved into (+) or out of (-) this green
+            nextGreenAdjustment: 0, // And into the next one, which evens it out
+            extendedFor: null       // Approach this green is being extended for
         };
         this.setFixedLightState();
     }
 
 
     initializeAdaptiveMode() {
-        console.log('Initializing Adaptive Mode');
         this.adaptiveState = {
             currentPair: null, // Wait for first car
             currentPhase: 'red',
             phaseTimer: 0,
             isActive: true,
             priorityScores: { WE: 0, NS: 0 },
+            queuedCars: { WE: 0, NS: 0 }, // Vehicles standing in each pair's detection zones
+            lastDepartures: { WE: null, NS: null }, // And when a vehicle last crossed their stop lines
             lastSwitchTime: 0,
-            firstCarTriggered: false
+            firstCarTriggered: false,
+            extendedFor: null,   // Approach the green is being held for
+            extensionStart: null // And since when
         };
         // Start with all lights red in adaptive mode
         this.setAllLightsRed();
@@ -84,6 +120,15 @@ export class TrafficLightController {
         this.mode = mode;
         this.settings = { ...settings };
 
+        // A preemption call overrides the normal plan until the emergency vehicle has cleared
+        if (!this.preemption && this.preemptionCalls.length > 0) {
+            this.startPreemption(this.preemptionCalls[0]);
+        }
+        if (this.preemption) {
+            this.updatePreemption(deltaTime);
+            this.updatePedestrianSignals(deltaTime);
+            return;
+        }
 
         if (mode === CONFIG.MODES.FIXED) {
             if (!this.fixedState.isActive) {
@@ -96,6 +141,319 @@ export class TrafficLightController {
             }
             this.updateAdaptiveMode(deltaTime);
         }
+        this.updateRecovery();
+        this.updatePedestrianSignals(deltaTime);
+    }
+
+
+    // PEDESTRIAN SIGNALS - WALK, flashing DON'T WALK and DON'T WALK on each crosswalk
+    resetPedestrianSignals() {
+        this.pedestrianCalls = {}; // Crosswalks with the button pushed: { count, waitTime }
+        this.pedestrianSignals = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(crosswalk => {
+            this.pedestrianSignals[crosswalk] = { state: CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK, timer: 0 };
+        });
+    }
+
+    setPedestrianCalls(calls) {
+        this.pedestrianCalls = { ...calls };
+    }
+
+    setCrossingLength(length) {
+        this.crossingLength = length;
+    }
+
+    // Pedestrians walk alongside the pair they do not cross: the north and south
+    // crosswalks run with WE, the east and west ones with NS
+    getPedestrianPair(crosswalk) {
+        return this.getPairForDirection(crosswalk) === 'NS' ? 'WE' : 'NS';
+    }
+
+    // Flashing DON'T WALK lets someone who stepped off at the end of WALK reach the far curb
+    getPedestrianClearance() {
+        return this.crossingLength / this.settings.PEDESTRIAN_SPEED * 1000;
+    }
+
+    // The pair's green is held while a crosswalk alongside it shows WALK or flashing DON'T WALK
+    isPedestrianClearing(pair) {
+        return Object.entries(this.pedestrianSignals).some(([crosswalk, signal]) =>
+            this.getPedestrianPair(crosswalk) === pair && signal.state !== CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK);
+    }
+
+    // WALK is shown only when the button has been pushed; a preemption cuts it short,
+    // though the clearance still runs in full for those already crossing
+    updatePedestrianSignals(deltaTime) {
+        Object.entries(this.pedestrianSignals).forEach(([crosswalk, signal]) => {
+            signal.timer += deltaTime;
+            switch (signal.state) {
+                case CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK:
+                    if (this.pedestrianCalls[crosswalk] && this.canStartWalk(this.getPedestrianPair(crosswalk))) {
+                        signal.state = CONFIG.PEDESTRIAN_SIGNALS.WALK;
+                        signal.timer = 0;
+                    }
+                    break;
+                case CONFIG.PEDESTRIAN_SIGNALS.WALK:
+                    if (this.preemption || signal.timer >= this.settings.PEDESTRIAN_WALK_TIME) {
+                        signal.state = CONFIG.PEDESTRIAN_SIGNALS.FLASHING_DONT_WALK;
+                        signal.timer = 0;
+                    }
+                    break;
+                case CONFIG.PEDESTRIAN_SIGNALS.FLASHING_DONT_WALK:
+                    if (signal.timer >= this.getPedestrianClearance()) {
+                        signal.state = CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK;
+                        signal.timer = 0;
+                    }
+                    break;
+            }
+        });
+    }
+
+    // WALK needs the pair on green outside any preemption. A fixed-time green must also
+    // have time left for WALK and clearance, unless it has only just started; an adaptive
+    // green waits for them, so once the other pair is due, later pushes wait for the next green.
+    canStartWalk(pair) {
+        if (this.preemption) return false;
+        const lights = this.getLightStates();
+        if (!this.getPairDirections(pair).every(direction => lights[direction] === CONFIG.LIGHT_STATES.GREEN)) {
+            return false;
+        }
+        if (this.mode !== CONFIG.MODES.FIXED) {
+            return this.adaptiveState.phaseTimer === 0 || !this.shouldSwitchInAdaptive();
+        }
+
+        const state = this.fixedState;
+        const remaining = this.settings.GREEN_DURATION + state.greenAdjustment - state.phaseTimer;
+        return state.phaseTimer === 0 || remaining >= this.settings.PEDESTRIAN_WALK_TIME + this.getPedestrianClearance();
+    }
+
+    getPedestrianSignals() {
+        const signals = {};
+        Object.entries(this.pedestrianSignals).forEach(([crosswalk, signal]) => {
+            signals[crosswalk] = signal.state;
+        });
+        return signals;
+    }
+
+
+    // BICYCLE SIGNALS - Cyclists run with the phase itself. During the leading bicycle
+    // interval at the start of each green the vehicle heads still show red, so cyclists
+    // are on their way before turning traffic moves.
+    setBicycleCalls(calls) {
+        this.bicycleCalls = { ...calls };
+    }
+
+    isLeadingBicycleInterval() {
+        const interval = this.settings.LEADING_BICYCLE_INTERVAL;
+        if (this.preemption || !(interval > 0)) return false;
+        if (this.mode === CONFIG.MODES.FIXED) {
+            const { currentPhase, phaseTimer } = this.fixedState;
+            return (currentPhase === 0 || currentPhase === 3) && phaseTimer < interval;
+        }
+        return this.adaptiveState.currentPhase === 'green' && this.adaptiveState.phaseTimer < interval;
+    }
+
+    getBicycleLightStates() {
+        return this.getLightStates();
+    }
+
+    // What the vehicle heads show
+    getVehicleLightStates() {
+        const states = this.getLightStates();
+        if (this.isLeadingBicycleInterval()) {
+            Object.keys(states).forEach(direction => {
+                if (states[direction] === CONFIG.LIGHT_STATES.GREEN) {
+                    states[direction] = CONFIG.LIGHT_STATES.RED;
+                }
+            });
+        }
+        return states;
+    }
+
+
+    // TRANSIT PRIORITY - Early green or green extension for checked-in buses
+    setPriorityCalls(directions) {
+        this.priorityCalls = [...directions];
+    }
+
+    // The pair a checked-in bus is waiting for, preferring the pair on green; null without
+    // calls or with transit priority switched off
+    getPriorityPair(greenPair = null) {
+        if (!this.settings.TRANSIT_PRIORITY || this.priorityCalls.length === 0) return null;
+        const pairs = this.priorityCalls.map(direction => this.getPairForDirection(direction));
+        return pairs.includes(greenPair) ? greenPair : pairs[0];
+    }
+
+    getPriorityDirection(pair) {
+        return this.priorityCalls.find(direction => this.getPairForDirection(direction) === pair);
+    }
+
+    notifyPriorityGranted(info) {
+        if (this.onPriorityGranted) {
+            this.onPriorityGranted(info);
+        }
+    }
+
+
+    // PREEMPTION - Emergency vehicle priority over the normal plan
+    setPreemptionCalls(directions) {
+        this.preemptionCalls = [...directions];
+    }
+
+    isPreempted() {
+        return this.preemption !== null || this.recovery !== null;
+    }
+
+    getPairForDirection(direction) {
+        return direction === CONFIG.DIRECTIONS.NORTH || direction === CONFIG.DIRECTIONS.SOUTH ? 'NS' : 'WE';
+    }
+
+    getPairDirections(pair) {
+        return pair === 'NS'
+            ? [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.SOUTH]
+            : [CONFIG.DIRECTIONS.WEST, CONFIG.DIRECTIONS.EAST];
+    }
+
+    // The current phase ends through yellow and all-red unless it already serves the caller
+    startPreemption(direction) {
+        const servedPair = this.getPairForDirection(direction);
+        const otherPair = servedPair === 'NS' ? 'WE' : 'NS';
+        const lights = this.getLightStates();
+        const servedGreen = this.getPairDirections(servedPair)
+            .every(approach => lights[approach] === CONFIG.LIGHT_STATES.GREEN);
+        const otherActive = this.getPairDirections(otherPair)
+            .some(approach => lights[approach] !== CONFIG.LIGHT_STATES.RED);
+
+        this.recovery = null;
+        this.preemption = {
+            direction,
+            stage: null,
+            timer: 0,
+            startTime: this.clock.now(),
+            exitTime: null,
+            interruptedPair: otherActive ? otherPair : null
+        };
+        if (this.onPreemptionStarted) {
+            this.onPreemptionStarted({ direction });
+        }
+
+        if (servedGreen) {
+            this.setPreemptionStage('dwell');
+        } else if (Object.values(lights).some(state => state !== CONFIG.LIGHT_STATES.RED)) {
+            this.setPreemptionStage('clear');
+        } else {
+            this.setPreemptionStage('allRed');
+        }
+    }
+
+    // Stages: clear (yellow) -> allRed -> dwell (green for the caller) -> exit (yellow) -> exitAllRed
+    updatePreemption(deltaTime) {
+        const preemption = this.preemption;
+        preemption.timer += deltaTime;
+        const called = this.preemptionCalls.includes(preemption.direction);
+
+        switch (preemption.stage) {
+            case 'clear':
+                if (preemption.timer >= this.settings.YELLOW_DURATION) {
+                    this.setPreemptionStage('allRed');
+                }
+                break;
+            case 'allRed':
+                if (preemption.timer >= this.settings.PREEMPTION_ALL_RED) {
+                    this.setPreemptionStage('dwell');
+                }
+                break;
+            case 'dwell':
+                if (!called && preemption.timer >= this.settings.PREEMPTION_MIN_DWELL) {
+                    this.setPreemptionStage('exit');
+                }
+                break;
+            case 'exit':
+                if (preemption.timer >= this.settings.YELLOW_DURATION) {
+                    this.setPreemptionStage('exitAllRed');
+                }
+                break;
+            case 'exitAllRed':
+                if (preemption.timer >= this.settings.PREEMPTION_ALL_RED) {
+                    this.endPreemption();
+                }
+                break;
+        }
+    }
+
+    setPreemptionStage(stage) {
+        const preemption = this.preemption;
+        const servedPair = this.getPairForDirection(preemption.direction);
+        preemption.stage = stage;
+        preemption.timer = 0;
+        if (stage === 'exit') {
+            preemption.exitTime = this.clock.now();
+        }
+
+        if (stage === 'clear') {
+            // Greens turn yellow; yellows already showing run again in full
+            Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+                if (this.lights[direction].state !== CONFIG.LIGHT_STATES.RED) {
+                    this.lights[direction].state = CONFIG.LIGHT_STATES.YELLOW;
+                }
+            });
+        } else if (stage === 'dwell' || stage === 'exit') {
+            this.setAllLightsRed();
+            const state = stage === 'dwell' ? CONFIG.LIGHT_STATES.GREEN : CONFIG.LIGHT_STATES.YELLOW;
+            this.getPairDirections(servedPair).forEach(direction => {
+                this.lights[direction].state = state;
+            });
+        } else {
+            this.setAllLightsRed();
+        }
+        this.notifyPhaseChanged('preemption');
+    }
+
+    // Resume the normal plan with the phase after the one served, so the
+    // approaches cut short by the preemption are next
+    endPreemption() {
+        const { direction, startTime, exitTime, interruptedPair } = this.preemption;
+        const servedPair = this.getPairForDirection(direction);
+        const nextPair = servedPair === 'NS' ? 'WE' : 'NS';
+        this.preemption = null;
+        // Preemption lasts until the emergency green ends; recovery runs from there
+        this.recovery = {
+            direction,
+            duration: exitTime - startTime,
+            startTime: exitTime,
+            waitingFor: interruptedPair || nextPair
+        };
+
+        if (this.mode === CONFIG.MODES.FIXED) {
+            this.fixedState.currentPhase = nextPair === 'NS' ? 0 : 3;
+            this.fixedState.phaseTimer = 0;
+            this.fixedState.greenAdjustment = 0;
+            this.fixedState.nextGreenAdjustment = 0;
+            this.fixedState.extendedFor = null;
+            this.setFixedLightState();
+        } else {
+            this.adaptiveState.currentPair = servedPair;
+            this.adaptiveState.currentPhase = 'red';
+            this.adaptiveState.phaseTimer = this.settings.ALL_RED_DURATION; // Clearance already given
+            this.adaptiveState.lastSwitchTime = this.clock.now();
+            this.setAllLightsRed();
+        }
+        this.notifyPhaseChanged('preemptionEnd');
+        this.updateRecovery();
+    }
+
+    // Recovery lasts until the normal plan serves the interrupted approaches again
+    updateRecovery() {
+        if (!this.recovery) return;
+        const lights = this.getLightStates();
+        const served = this.getPairDirections(this.recovery.waitingFor)
+            .some(direction => lights[direction] === CONFIG.LIGHT_STATES.GREEN);
+        if (!served) return;
+
+        const { direction, duration, startTime } = this.recovery;
+        this.recovery = null;
+        if (this.onPreemptionEnded) {
+            this.onPreemptionEnded({ direction, duration, recoveryTime: this.clock.now() - startTime });
+        }
     }
 
 
@@ -106,32 +464,28 @@ export class TrafficLightController {
 
         switch (this.fixedState.currentPhase) {
             case 0: // NS green
-                if (this.fixedState.phaseTimer >= this.settings.GREEN_DURATION) {
-                    this.advanceFixedPhase();
-                }
+                this.updateFixedGreen('NS');
                 break;
             case 1: // NS yellow
                 if (this.fixedState.phaseTimer >= this.settings.YELLOW_DURATION) {
                     this.advanceFixedPhase();
                 }
                 break;
-            case 2: // NS red (wait)
-                if (this.fixedState.phaseTimer >= 3000) { // 3 seconds wait
+            case 2: // NS red (all-red clearance)
+                if (this.fixedState.phaseTimer >= this.settings.ALL_RED_DURATION) {
                     this.advanceFixedPhase();
                 }
                 break;
             case 3: // WE green
-                if (this.fixedState.phaseTimer >= this.settings.GREEN_DURATION) {
-                    this.advanceFixedPhase();
-                }
+                this.updateFixedGreen('WE');
                 break;
             case 4: // WE yellow
                 if (this.fixedState.phaseTimer >= this.settings.YELLOW_DURATION) {
                     this.advanceFixedPhase();
                 }
                 break;
-            case 5: // WE red (wait)
-                if (this.fixedState.phaseTimer >= 3000) { // 3 seconds wait
+            case 5: // WE red (all-red clearance)
+                if (this.fixedState.phaseTimer >= this.settings.ALL_RED_DURATION) {
                     this.advanceFixedPhase();
                 }
                 break;
@@ -139,11 +493,50 @@ export class TrafficLightController {
     }
 
 
-    advanceFixedPhase() {
+    // Transit priority holds a green for a checked-in bus on the green approaches, or
+    // cuts it short for one waiting on red, within the configured limits. The next
+    // green gives back or receives the difference and ends on time, keeping the cycle
+    // intact; it is not moved again itself. Pedestrians still crossing alongside hold
+    // the green until their clearance has run.
+    updateFixedGreen(pair) {
+        const state = this.fixedState;
+        const planned = this.settings.GREEN_DURATION + state.greenAdjustment;
+        const priorityPair = state.greenAdjustment === 0 ? this.getPriorityPair(pair) : null;
+        let end = planned;
+        if (priorityPair === pair) {
+            // Never take the next green below the minimum
+            const slack = this.settings.GREEN_DURATION - this.settings.MIN_GREEN_TIME;
+            end = planned + Math.max(0, Math.min(this.settings.PRIORITY_MAX_EXTENSION, slack));
+            if (end > planned && state.phaseTimer >= planned && state.extendedFor === null) {
+                state.extendedFor = this.getPriorityDirection(pair);
+            }
+        } else if (priorityPair) {
+            end = Math.min(planned, Math.max(this.settings.MIN_GREEN_TIME, planned - this.settings.PRIORITY_MAX_EARLY_GREEN));
+        }
+        if (state.phaseTimer < end || this.isPedestrianClearing(pair)) return;
+
+        if (state.extendedFor !== null) {
+            const extension = state.phaseTimer - planned;
+            state.nextGreenAdjustment = -extension;
+            this.notifyPriorityGranted({ direction: state.extendedFor, type: 'extension', extension });
+        } else if (end < planned) {
+            state.nextGreenAdjustment = planned - state.phaseTimer;
+            this.notifyPriorityGranted({ direction: this.getPriorityDirection(priorityPair), type: 'earlyGreen' });
+        }
+        this.advanceFixedPhase(state.extendedFor !== null || end < planned ? 'transitPriority' : 'timer');
+    }
+
+
+    advanceFixedPhase(reason = 'timer') {
     this.fixedState.currentPhase = (this.fixedState.currentPhase + 1) % 6;
     this.fixedState.phaseTimer = 0;
+    if (this.fixedState.currentPhase === 0 || this.fixedState.currentPhase === 3) {
+        this.fixedState.greenAdjustment = this.fixedState.nextGreenAdjustment;
+        this.fixedState.nextGreenAdjustment = 0;
+        this.fixedState.extendedFor = null;
+    }
     this.setFixedLightState();
-    console.log(`Fixed Mode: Advanced to phase ${this.fixedState.currentPhase}`);
+    this.notifyPhaseChanged(reason);
     }
 
 
@@ -161,7 +554,7 @@ export class TrafficLightController {
                 this.lights[CONFIG.DIRECTIONS.NORTH].state = CONFIG.LIGHT_STATES.YELLOW;
                 this.lights[CONFIG.DIRECTIONS.SOUTH].state = CONFIG.LIGHT_STATES.YELLOW;
                 break;
-            case 2: // NS red (wait)
+            case 2: // NS red (all-red clearance)
                 // All lights remain red
                 break;
             case 3: // WE green
@@ -172,7 +565,7 @@ export class TrafficLightController {
                 this.lights[CONFIG.DIRECTIONS.WEST].state = CONFIG.LIGHT_STATES.YELLOW;
                 this.lights[CONFIG.DIRECTIONS.EAST].state = CONFIG.LIGHT_STATES.YELLOW;
                 break;
-            case 5: // WE red (wait)
+            case 5: // WE red (all-red clearance)
                 // All lights remain red
                 break;
         }
@@ -184,12 +577,16 @@ export class TrafficLightController {
         this.adaptiveState.phaseTimer += deltaTime;
 
 
-        // If no pair is active, wait for first car to trigger
+        // If no pair is active, wait for first car (or checked-in bus) to trigger
         if (this.adaptiveState.currentPair === null) {
+            const priorityPair = this.getPriorityPair();
+            if (priorityPair) {
+                this.switchToAdaptivePair(priorityPair, 'transitPriority');
+                return;
+            }
             const highestPriorityPair = this.getHighestPriorityPair();
             if (highestPriorityPair && this.adaptiveState.priorityScores[highestPriorityPair] > 0) {
-                console.log(`Adaptive Mode: First car detected, switching to ${highestPriorityPair}`);
-                this.switchToAdaptivePair(highestPriorityPair);
+                this.switchToAdaptivePair(highestPriorityPair, 'firstCar');
             }
             return;
         }
@@ -197,25 +594,27 @@ export class TrafficLightController {
 
         switch (this.adaptiveState.currentPhase) {
             case 'green':
-                // Check if we should switch based on priority
-                const shouldSwitch = this.shouldSwitchInAdaptive();
-                if (shouldSwitch) {
-                    console.log('Adaptive Mode: Switching due to higher priority');
-                    this.startAdaptiveYellow();
-                }
+                this.updateAdaptiveGreen();
                 break;
             case 'yellow':
                 if (this.adaptiveState.phaseTimer >= this.settings.YELLOW_DURATION) {
-                    this.startAdaptiveRed();
+                    this.startAdaptiveRed('timer');
                 }
                 break;
             case 'red':
-                if (this.adaptiveState.phaseTimer >= 2000) { // 2 second transition
+                if (this.adaptiveState.phaseTimer >= this.settings.ALL_RED_DURATION) {
+                    // A checked-in bus is served first
+                    const priorityPair = this.getPriorityPair();
+                    if (priorityPair) {
+                        this.adaptiveState.currentPair = priorityPair;
+                        this.startAdaptiveGreen('transitPriority');
+                        break;
+                    }
                     const nextPair = this.getHighestPriorityPair();
                     if (nextPair && nextPair !== this.adaptiveState.currentPair) {
-                        this.switchToAdaptivePair(nextPair);
+                        this.switchToAdaptivePair(nextPair, 'priority');
                     } else if (nextPair === this.adaptiveState.currentPair) {
-                        this.startAdaptiveGreen();
+                        this.startAdaptiveGreen('priority');
                     }
                 }
                 break;
@@ -223,34 +622,123 @@ export class TrafficLightController {
     }
 
 
-    switchToAdaptivePair(pair) {
+    // Greens switch on the detector scores once the minimum green has run and the queue
+    // standing at the green approaches has pulled away (up to max green), except that
+    // transit priority holds the green for a checked-in bus (up to the extension limit
+    // and max green) and cuts it short, once the minimum green has run, for a bus waiting
+    // on red. Nothing ends the green while pedestrians alongside have WALK or are clearing.
+    updateAdaptiveGreen() {
+        const state = this.adaptiveState;
+        if (this.isPedestrianClearing(state.currentPair)) return;
+        const priorityPair = this.getPriorityPair(state.currentPair);
+        const shouldSwitch = this.shouldSwitchInAdaptive();
+
+        // One extension per green
+        const holding = state.extendedFor !== null;
+        if (priorityPair === state.currentPair && (holding || (shouldSwitch && state.extensionStart === null))) {
+            if (!holding) {
+                state.extendedFor = this.getPriorityDirection(priorityPair);
+                state.extensionStart = this.clock.now();
+            }
+            const extended = this.clock.now() - state.extensionStart;
+            if (extended < this.settings.PRIORITY_MAX_EXTENSION && state.phaseTimer < this.settings.MAX_GREEN_TIME) {
+                return;
+            }
+        }
+        if (state.extendedFor !== null) {
+            // The bus has checked out, or the limits are reached
+            this.notifyPriorityGranted({ direction: state.extendedFor, type: 'extension', extension: this.clock.now() - state.extensionStart });
+            state.extendedFor = null;
+        }
+
+        if (priorityPair && priorityPair !== state.currentPair && state.phaseTimer >= this.settings.MIN_GREEN_TIME) {
+            this.notifyPriorityGranted({ direction: this.getPriorityDirection(priorityPair), type: 'earlyGreen' });
+            this.startAdaptiveYellow('transitPriority');
+        } else if (shouldSwitch && state.phaseTimer >= this.settings.MIN_GREEN_TIME && !this.isQueueDischarging()) {
+            this.startAdaptiveYellow('priority');
+        }
+    }
+
+
+    // Vehicles standing at the green approaches pull away one after another, each a
+    // reaction time after the one ahead, so the green waits for them for as long as they
+    // keep crossing the stop line; a queue held up behind a turning vehicle giving way
+    // does not keep it
+    isQueueDischarging() {
+        const state = this.adaptiveState;
+        if (state.queuedCars[state.currentPair] === 0 || state.phaseTimer >= this.settings.MAX_GREEN_TIME) {
+            return false;
+        }
+        const vehicleGreen = state.phaseTimer - this.settings.LEADING_BICYCLE_INTERVAL;
+        const lastDeparture = state.lastDepartures[state.currentPair];
+        const sinceDeparture = lastDeparture === null ? Infinity : this.clock.now() - lastDeparture;
+        return Math.min(vehicleGreen, sinceDeparture) < CONFIG.ADAPTIVE_SETTINGS.QUEUE_DISCHARGE_GAP;
+    }
+
+
+    switchToAdaptivePair(pair, reason) {
         this.adaptiveState.currentPair = pair;
-        this.startAdaptiveGreen();
+        this.startAdaptiveGreen(reason);
     }
 
 
-    startAdaptiveGreen() {
+    startAdaptiveGreen(reason = 'timer') {
         this.adaptiveState.currentPhase = 'green';
         this.adaptiveState.phaseTimer = 0;
+        this.adaptiveState.extendedFor = null;
+        this.adaptiveState.extensionStart = null;
         this.setAdaptiveLightState();
-        console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned GREEN`);
+        this.notifyPhaseChanged(reason);
     }
 
 
-    startAdaptiveYellow() {
+    startAdaptiveYellow(reason = 'timer') {
         this.adaptiveState.currentPhase = 'yellow';
         this.adaptiveState.phaseTimer = 0;
         this.setAdaptiveLightState();
-        console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned YELLOW`);
+        this.notifyPhaseChanged(reason);
     }
 
 
-    startAdaptiveRed() {
+    startAdaptiveRed(reason = 'timer') {
         this.adaptiveState.currentPhase = 'red';
         this.adaptiveState.phaseTimer = 0;
-        this.adaptiveState.lastSwitchTime = Date.now();
+        this.adaptiveState.lastSwitchTime = this.clock.now();
         this.setAllLightsRed();
-        console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned RED`);
+        this.notifyPhaseChanged(reason);
+    }
+
+
+    // Snapshot of the controller at a phase change, including the adaptive
+    // scores that drove the decision
+    getPhaseInfo() {
+        const preemption = this.preemption
+            ? { direction: this.preemption.direction, stage: this.preemption.stage }
+            : null;
+        if (this.mode === CONFIG.MODES.FIXED) {
+            return {
+                mode: this.mode,
+                phase: this.fixedState.currentPhase,
+                preemption,
+                lights: this.getLightStates()
+            };
+        }
+        return {
+            mode: this.mode,
+            phase: this.adaptiveState.currentPhase,
+            pair: this.adaptiveState.currentPair,
+            scores: { ...this.adaptiveState.priorityScores },
+            preemption,
+            lights: this.getLightStates()
+        };
+    }
+
+
+    // reason: 'timer', 'priority', 'firstCar', 'preemption', 'preemptionEnd' or 'transitPriority'
+    notifyPhaseChanged(reason) {
+        if (this.onPhaseChanged) {
+            this.onPhaseChanged({ ...this.getPhaseInfo(), reason });
+        }
     }
 
 
@@ -292,6 +780,8 @@ export class TrafficLightController {
        
         if (weScore > nsScore && weScore > 0) return 'WE';
         if (nsScore > weScore && nsScore > 0) return 'NS';
+        // Equal demand (e.g. the same constant rate on every approach) hands over to the pair not just served
+        if (weScore > 0) return this.adaptiveState.currentPair === 'NS' ? 'WE' : 'NS';
         return null;
     }
 
@@ -300,13 +790,8 @@ export class TrafficLightController {
         if (this.mode !== CONFIG.MODES.ADAPTIVE || !this.adaptiveState.isActive) return;
 
 
-        // Check if we need to reset car counts on phase change
-        const currentPhase = this.adaptiveState.currentPhase;
-        if (this.lastPhase && this.lastPhase !== currentPhase) {
-            // Phase changed, reset will be handled by the sensor system
-            console.log(`Adaptive Mode: Phase changed from ${this.lastPhase} to ${currentPhase}, car counts will reset`);
-        }
-        this.lastPhase = currentPhase;
+        // Phase changes reset car counts; that is handled by the sensor system
+        this.lastPhase = this.adaptiveState.currentPhase;
 
 
         // Calculate priority scores for each pair
@@ -314,6 +799,18 @@ export class TrafficLightController {
         const nsScore = this.calculatePairScore('NS', sensorData);
        
         this.adaptiveState.priorityScores = { WE: weScore, NS: nsScore };
+        this.adaptiveState.queuedCars = {
+            WE: sensorData[CONFIG.DIRECTIONS.WEST].queuedCars + sensorData[CONFIG.DIRECTIONS.EAST].queuedCars,
+            NS: sensorData[CONFIG.DIRECTIONS.NORTH].queuedCars + sensorData[CONFIG.DIRECTIONS.SOUTH].queuedCars
+        };
+        const lastDeparture = (...directions) => {
+            const times = directions.map(direction => sensorData[direction].lastDepartureTime).filter(time => time !== null);
+            return times.length > 0 ? Math.max(...times) : null;
+        };
+        this.adaptiveState.lastDepartures = {
+            WE: lastDeparture(CONFIG.DIRECTIONS.WEST, CONFIG.DIRECTIONS.EAST),
+            NS: lastDeparture(CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.SOUTH)
+        };
     }
 
 
@@ -337,6 +834,20 @@ export class TrafficLightController {
                         northData.totalCarsDetected + southData.totalCarsDetected;
         }
        
+        // Pedestrians who pushed the button weigh like waiting cars
+        Object.entries(this.pedestrianCalls).forEach(([crosswalk, call]) => {
+            if (this.getPedestrianPair(crosswalk) === pair) {
+                totalScore += call.count * (call.waitTime / 1000);
+            }
+        });
+       
+        // And so do cyclists standing at red
+        Object.entries(this.bicycleCalls).forEach(([direction, call]) => {
+            if (this.getPairForDirection(direction) === pair) {
+                totalScore += call.count * (call.waitTime / 1000);
+            }
+        });
+       
         return totalScore;
     }
 
@@ -349,11 +860,61 @@ export class TrafficLightController {
 
 
     render(ctx, intersection) {
+        const vehicleStates = this.getVehicleLightStates();
         const directions = ['north', 'south', 'east', 'west'];
         directions.forEach(direction => {
-            const state = this.lights[CONFIG.DIRECTIONS[direction.toUpperCase()]].state;
+            const state = vehicleStates[CONFIG.DIRECTIONS[direction.toUpperCase()]];
             this.renderTrafficLight(ctx, direction, state, intersection);
         });
+        Object.entries(this.pedestrianSignals).forEach(([crosswalk, signal]) => {
+            this.renderPedestrianSignal(ctx, intersection.getCrosswalk(crosswalk), signal.state);
+        });
+        Object.entries(this.getBicycleLightStates()).forEach(([direction, state]) => {
+            if (intersection.hasBikeLane(direction) || intersection.hasBikeBox(direction)) {
+                this.renderBicycleSignal(ctx, intersection.getBicycleSignalPosition(direction), state);
+            }
+        });
+    }
+
+
+    // A small single lamp on the curb of approaches with bike lanes or boxes, lit in
+    // the bicycle signal's colour
+    renderBicycleSignal(ctx, position, state) {
+        ctx.fillStyle = '#333';
+        ctx.fillRect(position.x - 5, position.y - 5, 10, 10);
+        ctx.fillStyle = state;
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+
+    // A head at each end of the crosswalk: walking figure for WALK, orange hand for
+    // DON'T WALK, blinking once a second while flashing
+    renderPedestrianSignal(ctx, crosswalk, state) {
+        const length = Math.hypot(crosswalk.x2 - crosswalk.x1, crosswalk.y2 - crosswalk.y1);
+        const along = { x: (crosswalk.x2 - crosswalk.x1) / length, y: (crosswalk.y2 - crosswalk.y1) / length };
+        const ends = [
+            { x: crosswalk.x1 - along.x * 10, y: crosswalk.y1 - along.y * 10 },
+            { x: crosswalk.x2 + along.x * 10, y: crosswalk.y2 + along.y * 10 }
+        ];
+        const handLit = state === CONFIG.PEDESTRIAN_SIGNALS.DONT_WALK ||
+            (state === CONFIG.PEDESTRIAN_SIGNALS.FLASHING_DONT_WALK && Math.floor(this.clock.now() / 500) % 2 === 0);
+
+        ends.forEach(({ x, y }) => {
+            ctx.fillStyle = '#333';
+            ctx.fillRect(x - 5, y - 5, 10, 10);
+            if (state === CONFIG.PEDESTRIAN_SIGNALS.WALK) {
+                ctx.fillStyle = '#FFFFFF';
+                ctx.beginPath();
+                ctx.arc(x, y - 2.5, 1.5, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillRect(x - 1, y - 1, 2, 5);
+            } else if (handLit) {
+                ctx.fillStyle = '#FF8C00';
+                ctx.fillRect(x - 3, y - 3, 6, 6);
+            }
+        });
     }
 
 
@@ -421,6 +982,10 @@ export class TrafficLightController {
 
 
     reset() {
+        this.resetPreemption();
+        this.priorityCalls = [];
+        this.resetPedestrianSignals();
+        this.bicycleCalls = {};
         if (this.mode === CONFIG.MODES.FIXED) {
             this.fixedState.isActive = false;
             this.initializeFixedMode();
@@ -428,7 +993,57 @@ export class TrafficLightController {
             this.adaptiveState.isActive = false;
             this.initializeAdaptiveMode();
         }
-        console.log(`${this.mode} mode reset`);
+    }
+
+
+    serialize() {
+        return JSON.parse(JSON.stringify({
+            mode: this.mode,
+            settings: this.settings,
+            lights: this.lights,
+            fixedState: this.fixedState,
+            adaptiveState: this.adaptiveState,
+            lastPhase: this.lastPhase || null,
+            preemptionCalls: this.preemptionCalls,
+            priorityCalls: this.priorityCalls,
+            preemption: this.preemption,
+            recovery: this.recovery,
+            pedestrianCalls: this.pedestrianCalls,
+            pedestrianSignals: this.pedestrianSignals,
+            crossingLength: this.crossingLength,
+            bicycleCalls: this.bicycleCalls
+        }));
+    }
+
+
+    restore(data) {
+        // State missing from an older snapshot takes the value of a freshly started controller
+        const initial = new TrafficLightController(this.clock);
+        initial.initializeFixedMode();
+        initial.initializeAdaptiveMode();
+        const defaults = { ...initial.serialize(), crossingLength: this.crossingLength };
+        const withDefaults = (key) => data[key].isActive ? { ...defaults[key], ...data[key] } : data[key];
+        const state = JSON.parse(JSON.stringify({
+            ...defaults,
+            ...data,
+            settings: { ...defaults.settings, ...data.settings },
+            fixedState: withDefaults('fixedState'),
+            adaptiveState: withDefaults('adaptiveState')
+        }));
+        this.mode = state.mode;
+        this.settings = state.settings;
+        this.lights = state.lights;
+        this.fixedState = state.fixedState;
+        this.adaptiveState = state.adaptiveState;
+        this.lastPhase = state.lastPhase || undefined;
+        this.preemptionCalls = state.preemptionCalls;
+        this.priorityCalls = state.priorityCalls;
+        this.preemption = state.preemption;
+        this.recovery = state.recovery;
+        this.pedestrianCalls = state.pedestrianCalls;
+        this.pedestrianSignals = state.pedestrianSignals;
+        this.crossingLength = state.crossingLength;
+        this.bicycleCalls = state.bicycleCalls;
     }
 
 
@@ -1,4 +1,6 @@
 import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { parseTurningMovementCounts, countsToScenario } from './counts.js';
 
 export class UIController {
     constructor(gameEngine) {
@@ -13,8 +15,40 @@ export class UIController {
         // Control elements
         this.elements = {
             modeSelect: document.getElementById('mode-select'),
+            comparisonToggle: document.getElementById('comparisonToggle'),
             playPauseBtn: document.getElementById('playPauseBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            saveStateBtn: document.getElementById('saveStateBtn'),
+            loadStateBtn: document.getElementById('loadStateBtn'),
+            loadStateInput: document.getElementById('loadStateInput'),
+            branchBtn: document.getElementById('branchBtn'),
+            stepBtn: document.getElementById('stepBtn'),
+            jumpBackBtn: document.getElementById('jumpBackBtn'),
+            timelineSlider: document.getElementById('timelineSlider'),
+            timelineLabel: document.getElementById('timelineLabel'),
+            exportReplayBtn: document.getElementById('exportReplayBtn'),
+            eventLog: document.getElementById('eventLog'),
+            timeScale: document.getElementById('timeScale'),
+            achievedSpeed: document.getElementById('achievedSpeed'),
+            runUntilInput: document.getElementById('runUntilInput'),
+            runUntilBtn: document.getElementById('runUntilBtn'),
+            seedInput: document.getElementById('seedInput'),
+            applySeedBtn: document.getElementById('applySeedBtn'),
+            profileDirection: document.getElementById('profileDirection'),
+            profileRows: document.getElementById('profileRows'),
+            addProfilePointBtn: document.getElementById('addProfilePointBtn'),
+            applyProfileBtn: document.getElementById('applyProfileBtn'),
+            arrivalModel: document.getElementById('arrivalModel'),
+            arrivalParams: document.getElementById('arrivalParams'),
+            turnLeftInput: document.getElementById('turnLeftInput'),
+            turnRightInput: document.getElementById('turnRightInput'),
+            demandSummary: document.getElementById('demandSummary'),
+            scenarioName: document.getElementById('scenarioName'),
+            importScenarioBtn: document.getElementById('importScenarioBtn'),
+            importScenarioInput: document.getElementById('importScenarioInput'),
+            exportScenarioBtn: document.getElementById('exportScenarioBtn'),
+            importCountsBtn: document.getElementById('importCountsBtn'),
+            importCountsInput: document.getElementById('importCountsInput'),
             
             // Fixed timer controls
             fixedControls: document.getElementById('fixed-controls'),
@@ -24,6 +58,8 @@ export class UIController {
             yellowValue: document.getElementById('yellowDurationValue'),
             redDuration: document.getElementById('redDuration'),
             redValue: document.getElementById('redDurationValue'),
+            allRedDuration: document.getElementById('allRedDuration'),
+            allRedValue: document.getElementById('allRedDurationValue'),
             
             // Adaptive controls
             adaptiveControls: document.getElementById('adaptive-controls'),
@@ -33,23 +69,92 @@ export class UIController {
             minGreenValue: document.getElementById('minGreenValue'),
             adaptiveYellowDuration: document.getElementById('adaptiveYellowDuration'),
             adaptiveYellowValue: document.getElementById('adaptiveYellowValue'),
+            adaptiveAllRedDuration: document.getElementById('adaptiveAllRedDuration'),
+            adaptiveAllRedValue: document.getElementById('adaptiveAllRedValue'),
             
             // Car controls
             carSpawnRate: document.getElementById('carSpawnRate'),
             carSpeed: document.getElementById('carSpeed'),
+            timeGap: document.getElementById('timeGap'),
+            reactionTime: document.getElementById('reactionTime'),
+            criticalGap: document.getElementById('criticalGap'),
+            followUpTime: document.getElementById('followUpTime'),
+            turnRate: document.getElementById('turnRate'),
             // ...existing code...
             spawnValue: document.getElementById('spawnValue'),
             speedValue: document.getElementById('speedValue'),
+            timeGapValue: document.getElementById('timeGapValue'),
+            reactionTimeValue: document.getElementById('reactionTimeValue'),
+            criticalGapValue: document.getElementById('criticalGapValue'),
+            followUpTimeValue: document.getElementById('followUpTimeValue'),
+            turnValue: document.getElementById('turnValue'),
+            mixInputs: document.querySelectorAll('.vehicle-mix input'),
+            driverMixInputs: document.querySelectorAll('.driver-mix input'),
             // ...existing code...
+
+            // Emergency vehicles
+            emergencyApproach: document.getElementById('emergencyApproach'),
+            emergencyTurn: document.getElementById('emergencyTurn'),
+            dispatchEmergencyBtn: document.getElementById('dispatchEmergencyBtn'),
+
+            // Transit priority
+            transitPriorityToggle: document.getElementById('transitPriorityToggle'),
+            busRouteApproach: document.getElementById('busRouteApproach'),
+            busRouteHeadway: document.getElementById('busRouteHeadway'),
+            addBusRouteBtn: document.getElementById('addBusRouteBtn'),
+            clearBusRoutesBtn: document.getElementById('clearBusRoutesBtn'),
+            busRouteSummary: document.getElementById('busRouteSummary'),
+
+            // Pedestrians
+            pedestrianRate: document.getElementById('pedestrianRate'),
+            pedestrianRateValue: document.getElementById('pedestrianRateValue'),
+
+            // Bicycles
+            bicycleRate: document.getElementById('bicycleRate'),
+            bicycleRateValue: document.getElementById('bicycleRateValue'),
+            leadingBicycleInterval: document.getElementById('leadingBicycleInterval'),
+            leadingBicycleValue: document.getElementById('leadingBicycleValue'),
+            bikeLanesToggle: document.getElementById('bikeLanesToggle'),
+            bikeBoxesToggle: document.getElementById('bikeBoxesToggle'),
+            rightTurnOnRedInputs: document.querySelectorAll('.right-turn-on-red input'),
             
             // Statistics
+            simTimeStat: document.getElementById('simTimeStat'),
             carsPassedStat: document.getElementById('carsPassedStat'),
             avgWaitStat: document.getElementById('avgWaitStat'),
             currentCarsStat: document.getElementById('currentCarsStat'),
+            movementStat: document.getElementById('movementStat'),
+            vehicleClassStat: document.getElementById('vehicleClassStat'),
+            preemptionStat: document.getElementById('preemptionStat'),
+            transitPriorityStat: document.getElementById('transitPriorityStat'),
+            pedestrianStat: document.getElementById('pedestrianStat'),
+            cyclistStat: document.getElementById('cyclistStat'),
+            redLightStat: document.getElementById('redLightStat'),
+            permissiveLeftStat: document.getElementById('permissiveLeftStat'),
+            laneChangeStat: document.getElementById('laneChangeStat'),
+            rightTurnOnRedStat: document.getElementById('rightTurnOnRedStat'),
             northCountStat: document.getElementById('northCountStat'),
             southCountStat: document.getElementById('southCountStat'),
             eastCountStat: document.getElementById('eastCountStat'),
             westCountStat: document.getElementById('westCountStat'),
+
+            // Comparison statistics
+            comparisonStats: document.getElementById('comparison-stats'),
+            cmpFixedPassed: document.getElementById('cmpFixedPassed'),
+            cmpAdaptivePassed: document.getElementById('cmpAdaptivePassed'),
+            cmpDeltaPassed: document.getElementById('cmpDeltaPassed'),
+            cmpFixedWait: document.getElementById('cmpFixedWait'),
+            cmpAdaptiveWait: document.getElementById('cmpAdaptiveWait'),
+            cmpDeltaWait: document.getElementById('cmpDeltaWait'),
+            cmpFixedCars: document.getElementById('cmpFixedCars'),
+            cmpAdaptiveCars: document.getElementById('cmpAdaptiveCars'),
+            cmpDeltaCars: document.getElementById('cmpDeltaCars'),
+            cmpFixedPedDelay: document.getElementById('cmpFixedPedDelay'),
+            cmpAdaptivePedDelay: document.getElementById('cmpAdaptivePedDelay'),
+            cmpDeltaPedDelay: document.getElementById('cmpDeltaPedDelay'),
+            cmpFixedBikeDelay: document.getElementById('cmpFixedBikeDelay'),
+            cmpAdaptiveBikeDelay: document.getElementById('cmpAdaptiveBikeDelay'),
+            cmpDeltaBikeDelay: document.getElementById('cmpDeltaBikeDelay'),
             
             // Light status
             northLight: document.getElementById('north-light'),
@@ -73,58 +178,279 @@ export class UIController {
             this.updateSliderValues(); // Update sliders when mode changes
         });
 
+        // Side-by-side comparison
+        this.elements.comparisonToggle.addEventListener('change', (e) => {
+            this.gameEngine.setComparisonMode(e.target.checked);
+            this.updateModeDisplay();
+        });
+
         // Control buttons
         this.elements.playPauseBtn.addEventListener('click', () => {
-            this.isPlaying = window.trafficSimulator.togglePause();
-            this.elements.playPauseBtn.textContent = this.isPlaying ? '⏸️ Pause' : '▶️ Play';
+            window.trafficSimulator.togglePause();
+            this.updatePlayPauseButton();
         });
 
         this.elements.resetBtn.addEventListener('click', () => {
-            this.gameEngine.reset();
+            window.trafficSimulator.reset();
+        });
+
+        // Snapshot save / load
+        this.elements.saveStateBtn.addEventListener('click', () => {
+            this.saveSnapshot();
+        });
+
+        this.elements.loadStateBtn.addEventListener('click', () => {
+            this.elements.loadStateInput.click();
+        });
+
+        this.elements.loadStateInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadSnapshot(file);
+            e.target.value = ''; // Allow loading the same file again
+        });
+
+        this.elements.branchBtn.addEventListener('click', () => {
+            this.gameEngine.branchComparison();
+            this.syncWithEngine();
+        });
+
+        // Demand editor: arrival model plus one row per { time, rate } point of the selected approach
+        this.elements.profileDirection.addEventListener('change', () => {
+            this.renderDemandEditor();
+        });
+
+        this.elements.arrivalModel.addEventListener('change', (e) => {
+            this.renderArrivalParams({ type: e.target.value, ...CONFIG.DEFAULT_ARRIVAL_PARAMS[e.target.value] });
+        });
+
+        this.elements.addProfilePointBtn.addEventListener('click', () => {
+            const points = this.readProfileRows();
+            const last = points[points.length - 1] || { time: 0, rate: 0 };
+            this.addProfileRow(points.length > 0 ? last.time / 60 + 15 : 0, last.rate);
+        });
+
+        this.elements.applyProfileBtn.addEventListener('click', () => {
+            const direction = this.elements.profileDirection.value;
+            try {
+                this.gameEngine.setDemandProfile(direction, this.readProfileRows());
+                this.gameEngine.setArrivalModel(direction, this.readArrivalModel());
+                this.gameEngine.setTurningMovement(direction, this.readTurningMovement());
+                this.renderDemandEditor();
+            } catch (error) {
+                alert(`Invalid demand: ${error.message}`);
+            }
         });
 
+        this.elements.dispatchEmergencyBtn.addEventListener('click', () => {
+            try {
+                this.gameEngine.dispatchEmergencyVehicle(this.elements.emergencyApproach.value, this.elements.emergencyTurn.value);
+            } catch (error) {
+                alert(`Could not dispatch emergency vehicle: ${error.message}`);
+            }
+        });
+
+        // Priority applies to both controllers, so a comparison stays like for like
+        this.elements.transitPriorityToggle.addEventListener('change', (e) => {
+            Object.values(CONFIG.MODES).forEach(mode => this.gameEngine.updateSetting('TRANSIT_PRIORITY', e.target.checked, mode));
+        });
+
+        // Bike lanes and boxes are part of the geometry, shared by both modes
+        this.elements.bikeLanesToggle.addEventListener('change', (e) => {
+            this.gameEngine.setGeometry({ bikeLanes: e.target.checked ? Object.values(CONFIG.DIRECTIONS) : [] });
+        });
+        this.elements.bikeBoxesToggle.addEventListener('change', (e) => {
+            this.gameEngine.setGeometry({ bikeBoxes: e.target.checked ? Object.values(CONFIG.DIRECTIONS) : [] });
+        });
+        // So is where right turn on red is allowed, approach by approach
+        this.elements.rightTurnOnRedInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                const rightTurnOnRed = [...this.elements.rightTurnOnRedInputs]
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => checkbox.dataset.direction);
+                this.gameEngine.setGeometry({ rightTurnOnRed });
+            });
+        });
+
+        this.elements.addBusRouteBtn.addEventListener('click', () => {
+            const routes = this.gameEngine.getBusRoutes();
+            try {
+                this.gameEngine.setBusRoutes([...routes, {
+                    name: String(routes.length + 1),
+                    approach: this.elements.busRouteApproach.value,
+                    headway: (parseFloat(this.elements.busRouteHeadway.value) || 0) * 60,
+                    offset: this.gameEngine.getTime() / 1000
+                }]);
+            } catch (error) {
+                alert(`Could not add bus route: ${error.message}`);
+            }
+            this.renderBusRoutes();
+        });
+
+        this.elements.clearBusRoutesBtn.addEventListener('click', () => {
+            this.gameEngine.setBusRoutes([]);
+            this.renderBusRoutes();
+        });
+
+        // Scenario import / export
+        this.elements.importScenarioBtn.addEventListener('click', () => {
+            this.elements.importScenarioInput.click();
+        });
+
+        this.elements.importScenarioInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importScenario(file);
+            e.target.value = ''; // Allow importing the same file again
+        });
+
+        this.elements.exportScenarioBtn.addEventListener('click', () => {
+            this.exportScenario();
+        });
+
+        this.elements.importCountsBtn.addEventListener('click', () => {
+            this.elements.importCountsInput.click();
+        });
+
+        this.elements.importCountsInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importCounts(file);
+            e.target.value = '';
+        });
+
+        // Replay timeline: dragging seeks, the interval update follows the clock otherwise
+        this.isScrubbing = false;
+        this.elements.timelineSlider.addEventListener('pointerdown', () => {
+            this.isScrubbing = true;
+        });
+        this.elements.timelineSlider.addEventListener('input', (e) => {
+            window.trafficSimulator.seek(parseFloat(e.target.value) * 1000);
+            this.updatePlayPauseButton();
+        });
+        this.elements.timelineSlider.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+
+        this.elements.jumpBackBtn.addEventListener('click', () => {
+            window.trafficSimulator.seek(this.gameEngine.getTime() - 30000);
+            this.updatePlayPauseButton();
+        });
+
+        this.elements.exportReplayBtn.addEventListener('click', () => {
+            const recorder = this.gameEngine.getRecorder();
+            if (!recorder) return;
+            this.downloadJson(recorder.export(), `traffic-replay-seed${this.gameEngine.getSeed()}.json`);
+        });
+
+        // Fixed-timestep playback controls
+        this.elements.stepBtn.addEventListener('click', () => {
+            window.trafficSimulator.stepOnce();
+            this.updatePlayPauseButton();
+        });
+
+        this.elements.timeScale.addEventListener('change', (e) => {
+            window.trafficSimulator.setTimeScale(parseFloat(e.target.value));
+        });
+
+        this.elements.runUntilBtn.addEventListener('click', () => {
+            const seconds = parseFloat(this.elements.runUntilInput.value);
+            if (isNaN(seconds)) return;
+            window.trafficSimulator.runUntil(seconds * 1000);
+            this.updatePlayPauseButton();
+        });
+
+        // Seed control: apply restarts the run with the new seed and records it in the URL
+        this.elements.applySeedBtn.addEventListener('click', () => {
+            const seed = parseInt(this.elements.seedInput.value, 10);
+            if (isNaN(seed)) return;
+            this.gameEngine.setSeed(seed);
+            this.updateSeedDisplay();
+        });
+        this.updateSeedDisplay();
+
+        const fixed = [CONFIG.MODES.FIXED];
+        const adaptive = [CONFIG.MODES.ADAPTIVE];
+        const shared = [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE];
+
         // Fixed timer controls
-        this.setupSlider('greenDuration', 'greenValue', 'GREEN_DURATION', (value) => value * 1000);
-        this.setupSlider('yellowDuration', 'yellowValue', 'YELLOW_DURATION', (value) => value * 1000);
-        this.setupSlider('redDuration', 'redValue', 'RED_DURATION', (value) => value * 1000);
+        this.setupSlider('greenDuration', 'greenValue', 'GREEN_DURATION', (value) => value * 1000, fixed);
+        this.setupSlider('yellowDuration', 'yellowValue', 'YELLOW_DURATION', (value) => value * 1000, fixed);
+        this.setupSlider('redDuration', 'redValue', 'RED_DURATION', (value) => value * 1000, fixed);
+        this.setupSlider('allRedDuration', 'allRedValue', 'ALL_RED_DURATION', (value) => value * 1000, fixed);
 
         // Adaptive controls
-        this.setupSlider('detectorDistance', 'detectorValue', 'DETECTOR_DISTANCE');
-        this.setupSlider('minGreenTime', 'minGreenValue', 'MIN_GREEN_TIME', (value) => value * 1000);
-        this.setupSlider('adaptiveYellowDuration', 'adaptiveYellowValue', 'YELLOW_DURATION', (value) => value * 1000);
+        this.setupSlider('detectorDistance', 'detectorValue', 'DETECTOR_DISTANCE', null, adaptive);
+        this.setupSlider('minGreenTime', 'minGreenValue', 'MIN_GREEN_TIME', (value) => value * 1000, adaptive);
+        this.setupSlider('adaptiveYellowDuration', 'adaptiveYellowValue', 'YELLOW_DURATION', (value) => value * 1000, adaptive);
+        this.setupSlider('adaptiveAllRedDuration', 'adaptiveAllRedValue', 'ALL_RED_DURATION', (value) => value * 1000, adaptive);
+
+        // Car controls (shared by both modes)
+        this.setupSlider('carSpawnRate', 'spawnValue', 'CAR_SPAWN_RATE', null, shared);
+        this.setupSlider('carSpeed', 'speedValue', 'CAR_SPEED', null, shared);
+        this.setupSlider('timeGap', 'timeGapValue', 'TIME_GAP', (value) => value * 1000, shared);
+        this.setupSlider('reactionTime', 'reactionTimeValue', 'REACTION_TIME', (value) => value * 1000, shared);
+        this.setupSlider('criticalGap', 'criticalGapValue', 'CRITICAL_GAP', (value) => value * 1000, shared);
+        this.setupSlider('followUpTime', 'followUpTimeValue', 'FOLLOW_UP_TIME', (value) => value * 1000, shared);
+        this.setupSlider('turnRate', 'turnValue', 'TURN_RATE', (value) => value / 100, shared);
+        this.setupSlider('pedestrianRate', 'pedestrianRateValue', 'PEDESTRIAN_RATE', null, shared);
+        this.setupSlider('bicycleRate', 'bicycleRateValue', 'BICYCLE_RATE', null, shared);
+        this.setupSlider('leadingBicycleInterval', 'leadingBicycleValue', 'LEADING_BICYCLE_INTERVAL', (value) => value * 1000, shared);
+
+        // The spawn rate slider sets the approaches without a profile of their own, and the
+        // turn rate slider replaces every approach's turning split
+        this.elements.carSpawnRate.addEventListener('input', () => {
+            this.renderProfileRows();
+        });
+        this.elements.turnRate.addEventListener('input', () => {
+            this.renderTurningMovement();
+        });
 
-        // Car controls
-        this.setupSlider('carSpawnRate', 'spawnValue', 'CAR_SPAWN_RATE');
-        this.setupSlider('carSpeed', 'speedValue', 'CAR_SPEED');
-    // ...existing code...
+        // Mix percentages are rescaled to add up to 100
+        this.elements.mixInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                try {
+                    this.gameEngine.setVehicleMix(this.readVehicleMix());
+                } catch (error) {
+                    alert(`Could not apply vehicle mix: ${error.message}`);
+                }
+                this.renderVehicleMix();
+            });
+        });
+        this.elements.driverMixInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                try {
+                    this.gameEngine.setDriverMix(this.readDriverMix());
+                } catch (error) {
+                    alert(`Could not apply driver mix: ${error.message}`);
+                }
+                this.renderDriverMix();
+            });
+        });
+        this.renderDemandEditor();
+        this.renderVehicleMix();
+        this.renderDriverMix();
+        this.renderBusRoutes();
     }
 
-    setupSlider(sliderId, valueId, settingKey, transform = null) {
+    setupSlider(sliderId, valueId, settingKey, transform = null, targetModes = null) {
         const slider = this.elements[sliderId];
         const valueDisplay = this.elements[valueId];
 
         if (!slider || !valueDisplay) return;
 
+        const applyValue = (value) => {
+            const settingValue = transform ? transform(value) : value;
+            const modes = targetModes || [this.gameEngine.getCurrentMode()];
+            modes.forEach(mode => this.gameEngine.updateSetting(settingKey, settingValue, mode));
+        };
+
         slider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             valueDisplay.textContent = value;
-            
-            const settingValue = transform ? transform(value) : value;
-            
-            // For yellow duration, update the correct mode
-            if (settingKey === 'YELLOW_DURATION') {
-                if (sliderId === 'adaptiveYellowDuration') {
-                    this.gameEngine.updateSetting(settingKey, settingValue, CONFIG.MODES.ADAPTIVE);
-                } else {
-                    this.gameEngine.updateSetting(settingKey, settingValue, CONFIG.MODES.FIXED);
-                }
-            } else {
-                this.gameEngine.updateSetting(settingKey, settingValue);
-            }
+            applyValue(value);
         });
 
-        // Initialize display
+        // Initialize display and push the initial slider value into the engine
         valueDisplay.textContent = slider.value;
+        applyValue(parseFloat(slider.value));
     }
 
     updateSliderValues() {
@@ -139,6 +465,8 @@ export class UIController {
             this.elements.yellowValue.textContent = settings.YELLOW_DURATION / 1000;
             this.elements.redDuration.value = settings.RED_DURATION / 1000;
             this.elements.redValue.textContent = settings.RED_DURATION / 1000;
+            this.elements.allRedDuration.value = settings.ALL_RED_DURATION / 1000;
+            this.elements.allRedValue.textContent = settings.ALL_RED_DURATION / 1000;
         } else {
             this.elements.detectorDistance.value = settings.DETECTOR_DISTANCE;
             this.elements.detectorValue.textContent = settings.DETECTOR_DISTANCE;
@@ -148,6 +476,8 @@ export class UIController {
                 this.elements.adaptiveYellowDuration.value = settings.YELLOW_DURATION / 1000;
                 this.elements.adaptiveYellowValue.textContent = settings.YELLOW_DURATION / 1000;
             }
+            this.elements.adaptiveAllRedDuration.value = settings.ALL_RED_DURATION / 1000;
+            this.elements.adaptiveAllRedValue.textContent = settings.ALL_RED_DURATION / 1000;
         }
         
         // Car settings are shared
@@ -155,10 +485,277 @@ export class UIController {
         this.elements.spawnValue.textContent = settings.CAR_SPAWN_RATE;
         this.elements.carSpeed.value = settings.CAR_SPEED;
         this.elements.speedValue.textContent = settings.CAR_SPEED;
+        this.elements.timeGap.value = settings.TIME_GAP / 1000;
+        this.elements.timeGapValue.textContent = settings.TIME_GAP / 1000;
+        this.elements.reactionTime.value = settings.REACTION_TIME / 1000;
+        this.elements.reactionTimeValue.textContent = settings.REACTION_TIME / 1000;
+        this.elements.criticalGap.value = settings.CRITICAL_GAP / 1000;
+        this.elements.criticalGapValue.textContent = settings.CRITICAL_GAP / 1000;
+        this.elements.followUpTime.value = settings.FOLLOW_UP_TIME / 1000;
+        this.elements.followUpTimeValue.textContent = settings.FOLLOW_UP_TIME / 1000;
+        this.elements.turnRate.value = Math.round(settings.TURN_RATE * 100);
+        this.elements.turnValue.textContent = Math.round(settings.TURN_RATE * 100);
+        this.elements.pedestrianRate.value = settings.PEDESTRIAN_RATE;
+        this.elements.pedestrianRateValue.textContent = Math.round(settings.PEDESTRIAN_RATE);
+        this.elements.bicycleRate.value = settings.BICYCLE_RATE;
+        this.elements.bicycleRateValue.textContent = Math.round(settings.BICYCLE_RATE);
+        this.elements.leadingBicycleInterval.value = settings.LEADING_BICYCLE_INTERVAL / 1000;
+        this.elements.leadingBicycleValue.textContent = settings.LEADING_BICYCLE_INTERVAL / 1000;
+    }
+    saveSnapshot() {
+        const snapshot = this.gameEngine.saveState();
+        this.downloadJson(snapshot, `traffic-snapshot-seed${snapshot.random.seed}-${Math.round(this.gameEngine.getTime() / 1000)}s.json`);
+    }
+
+    downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    loadSnapshot(file) {
+        file.text().then(text => {
+            try {
+                this.gameEngine.loadState(JSON.parse(text));
+                this.syncWithEngine();
+            } catch (error) {
+                alert(`Could not load snapshot: ${error.message}`);
+            }
+        });
+    }
+
+    renderDemandEditor() {
+        this.renderArrivalParams(this.gameEngine.getArrivalModels()[this.elements.profileDirection.value]);
+        this.renderTurningMovement();
+        this.renderProfileRows();
+    }
+
+    renderVehicleMix() {
+        const mix = this.gameEngine.getVehicleMix();
+        this.elements.mixInputs.forEach(input => {
+            input.value = Math.round(mix[input.dataset.vehicleType] * 100);
+        });
+    }
+
+    renderBusRoutes() {
+        const routes = this.gameEngine.getBusRoutes();
+        this.elements.busRouteSummary.textContent = routes.length > 0
+            ? routes.map(route => `Route ${route.name}: ${route.approach} ${route.turn}, every ${route.headway / 60} min`).join('; ')
+            : 'No bus routes';
+    }
+
+    readVehicleMix() {
+        return this.readMix(this.elements.mixInputs, 'vehicleType', 'vehicle class');
     }
+
+    renderDriverMix() {
+        const mix = this.gameEngine.getDriverMix();
+        this.elements.driverMixInputs.forEach(input => {
+            input.value = Math.round(mix[input.dataset.driverType] * 100);
+        });
+    }
+
+    readDriverMix() {
+        return this.readMix(this.elements.driverMixInputs, 'driverType', 'driver type');
+    }
+
+    // Percentage inputs keyed by a data attribute, rescaled to fractions adding up to 1
+    readMix(inputs, key, kind) {
+        const weights = {};
+        let total = 0;
+        inputs.forEach(input => {
+            weights[input.dataset[key]] = Math.max(0, parseFloat(input.value) || 0);
+            total += weights[input.dataset[key]];
+        });
+        if (total === 0) {
+            throw new Error(`at least one ${kind} needs a share`);
+        }
+        const mix = {};
+        Object.entries(weights).forEach(([type, weight]) => {
+            mix[type] = weight / total;
+        });
+        return mix;
+    }
+
+    renderTurningMovement() {
+        const movement = this.gameEngine.getTurningMovements()[this.elements.profileDirection.value];
+        this.elements.turnLeftInput.value = Math.round(movement.left * 100);
+        this.elements.turnRightInput.value = Math.round(movement.right * 100);
+    }
+
+    // Left and right percentages from the editor; the rest goes straight on
+    readTurningMovement() {
+        const left = parseFloat(this.elements.turnLeftInput.value) / 100;
+        const right = parseFloat(this.elements.turnRightInput.value) / 100;
+        return { left, through: 1 - left - right, right };
+    }
+
+    // One number input per parameter of the model (seconds)
+    renderArrivalParams(model) {
+        this.elements.arrivalModel.value = model.type;
+        this.elements.arrivalParams.innerHTML = '';
+        Object.entries(model).filter(([key]) => key !== 'type').forEach(([key, value]) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '0.5';
+            input.value = value;
+            input.dataset.param = key;
+            label.append(`${key} (s) `, input);
+            this.elements.arrivalParams.appendChild(label);
+        });
+    }
+
+    readArrivalModel() {
+        const model = { type: this.elements.arrivalModel.value };
+        this.elements.arrivalParams.querySelectorAll('input').forEach(input => {
+            model[input.dataset.param] = parseFloat(input.value);
+        });
+        return model;
+    }
+
+    renderProfileRows() {
+        const profile = this.gameEngine.getDemandProfiles()[this.elements.profileDirection.value];
+        this.elements.profileRows.innerHTML = '';
+        profile.forEach(point => this.addProfileRow(point.time / 60, point.rate));
+    }
+
+    addProfileRow(timeMinutes, rate) {
+        const row = document.createElement('tr');
+        const timeInput = document.createElement('input');
+        timeInput.type = 'number';
+        timeInput.min = '0';
+        timeInput.step = '1';
+        timeInput.value = timeMinutes;
+        const rateInput = document.createElement('input');
+        rateInput.type = 'number';
+        rateInput.min = '0';
+        rateInput.step = '50';
+        rateInput.value = Math.round(rate);
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✖';
+        removeBtn.addEventListener('click', () => row.remove());
+
+        [timeInput, rateInput, removeBtn].forEach(element => {
+            const cell = document.createElement('td');
+            cell.appendChild(element);
+            row.appendChild(cell);
+        });
+        this.elements.profileRows.appendChild(row);
+    }
+
+    // Profile points from the editor, with time converted to seconds
+    readProfileRows() {
+        return [...this.elements.profileRows.querySelectorAll('tr')].map(row => {
+            const [timeInput, rateInput] = row.querySelectorAll('input');
+            return { time: parseFloat(timeInput.value) * 60, rate: parseFloat(rateInput.value) };
+        });
+    }
+
+    updateDemandSummary() {
+        const rates = this.gameEngine.getDemandRates();
+        this.elements.demandSummary.textContent = 'Now: ' + Object.values(CONFIG.DIRECTIONS)
+            .map(direction => `${direction[0].toUpperCase()} ${Math.round(rates[direction])}`)
+            .join(' · ') + ' veh/h';
+    }
+
+    importScenario(file) {
+        file.text().then(text => {
+            try {
+                this.applyScenario(JSON.parse(text));
+            } catch (error) {
+                alert(`Could not import scenario: ${error.message}`);
+            }
+        });
+    }
+
+    // A count sheet is replayed as a scenario built from it
+    importCounts(file) {
+        file.text().then(text => {
+            try {
+                const name = file.name.replace(/\.csv$/i, '');
+                this.applyScenario(countsToScenario(parseTurningMovementCounts(text), { name }));
+            } catch (error) {
+                alert(`Could not import counts: ${error.message}`);
+            }
+        });
+    }
+
+    applyScenario(definition) {
+        const scenario = this.gameEngine.loadScenario(definition);
+        window.trafficSimulator.reset();
+        this.syncWithEngine();
+        // Offer to run the study for its full duration
+        this.elements.runUntilInput.value = scenario.durationSeconds;
+    }
+
+    exportScenario() {
+        const name = this.elements.scenarioName.value.trim() || 'Untitled scenario';
+        const scenario = this.gameEngine.exportScenario({ name });
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        this.downloadJson(scenario, `scenario-${slug || 'untitled'}.json`);
+    }
+
+    // Refresh every control after the engine state was replaced wholesale
+    syncWithEngine() {
+        this.setMode(this.gameEngine.getCurrentMode());
+        this.elements.comparisonToggle.checked = this.gameEngine.isComparisonMode();
+        this.updateModeDisplay();
+        this.updateSliderValues();
+        this.updateSeedDisplay();
+        this.elements.transitPriorityToggle.checked = this.gameEngine.getSettings().TRANSIT_PRIORITY;
+        const geometry = this.gameEngine.getGeometry();
+        this.elements.bikeLanesToggle.checked = geometry.bikeLanes.length > 0;
+        this.elements.bikeBoxesToggle.checked = geometry.bikeBoxes.length > 0;
+        this.elements.rightTurnOnRedInputs.forEach(input => {
+            input.checked = geometry.rightTurnOnRed.includes(input.dataset.direction);
+        });
+        this.elements.scenarioName.value = this.gameEngine.getScenarioInfo().name;
+        this.renderDemandEditor();
+        this.renderVehicleMix();
+        this.renderDriverMix();
+        this.renderBusRoutes();
+    }
+
+    updatePlayPauseButton() {
+        // The simulator can pause itself (step, run until), so read its state
+        this.isPlaying = window.trafficSimulator.isRunning;
+        this.elements.playPauseBtn.textContent = this.isPlaying ? '⏸️ Pause' : '▶️ Play';
+    }
+
+    // Only shown while playback falls noticeably short of the chosen speed
+    updateAchievedSpeed() {
+        const simulator = window.trafficSimulator;
+        const achieved = simulator.getAchievedTimeScale();
+        const lagging = simulator.isRunning && simulator.runUntilTime === null && achieved < simulator.timeScale * 0.9;
+        this.elements.achievedSpeed.textContent = lagging ? `running at ${achieved.toFixed(1)}x` : '';
+    }
+
+    updateSeedDisplay() {
+        const seed = this.gameEngine.getSeed();
+        this.elements.seedInput.value = seed;
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', seed);
+        window.history.replaceState(null, '', url);
+    }
+
     updateModeDisplay() {
         const mode = this.gameEngine.getCurrentMode();
-        
+
+        // Comparison runs both controllers, so show both control sets
+        if (this.gameEngine.isComparisonMode()) {
+            this.elements.fixedControls.style.display = 'block';
+            this.elements.adaptiveControls.style.display = 'block';
+            this.elements.comparisonStats.style.display = 'block';
+            return;
+        }
+        this.elements.comparisonStats.style.display = 'none';
+
         if (mode === CONFIG.MODES.FIXED) {
             this.elements.fixedControls.style.display = 'block';
             this.elements.adaptiveControls.style.display = 'none';
@@ -171,7 +768,12 @@ export class UIController {
     startStatsUpdate() {
         setInterval(() => {
             this.updateStatistics();
+            this.updateComparisonStatistics();
+            this.updateDemandSummary();
+            this.updateTimeline();
             this.updateLightStatus();
+            this.updatePlayPauseButton();
+            this.updateAchievedSpeed();
         }, 100); // Update 10 times per second
     }
 
@@ -179,9 +781,20 @@ export class UIController {
         const stats = this.gameEngine.getStatistics();
         const totalCarsDetected = this.gameEngine.getSensorSystem().getTotalCarsDetected();
         
+        this.elements.simTimeStat.textContent = utils.formatTime(this.gameEngine.getTime()) + 's';
         this.elements.carsPassedStat.textContent = stats.totalCarsPassed;
         this.elements.avgWaitStat.textContent = stats.averageWaitTime.toFixed(1) + 's';
         this.elements.currentCarsStat.textContent = stats.currentCars;
+        this.elements.movementStat.textContent = `${stats.leftTurnsPassed} / ${stats.throughCarsPassed} / ${stats.rightTurnsPassed}`;
+        this.elements.vehicleClassStat.textContent = `${stats.passengerCarsPassed} / ${stats.trucksPassed} / ${stats.busesPassed} / ${stats.motorcyclesPassed}`;
+        this.elements.preemptionStat.textContent = `${stats.preemptions} / ${stats.averageRecoveryTime.toFixed(1)}s`;
+        this.elements.transitPriorityStat.textContent = `${stats.earlyGreens} / ${stats.greenExtensions} / ${stats.averageTransitTravelTime.toFixed(1)}s`;
+        this.elements.pedestrianStat.textContent = `${stats.pedestriansCrossed} / ${stats.averagePedestrianDelay.toFixed(1)}s`;
+        this.elements.cyclistStat.textContent = `${stats.cyclistsPassed} / ${stats.averageCyclistDelay.toFixed(1)}s / ${stats.rightTurnCyclistConflicts}`;
+        this.elements.redLightStat.textContent = `${stats.dilemmaZoneVehicles} / ${stats.redLightViolations} / ${stats.conflictingRedEntries}`;
+        this.elements.permissiveLeftStat.textContent = `${stats.leftTurnsYielded} / ${stats.sneakers}`;
+        this.elements.laneChangeStat.textContent = stats.laneChanges;
+        this.elements.rightTurnOnRedStat.textContent = `${stats.rightTurnsOnRed} / ${stats.rightTurnOnRedDelaySaved.toFixed(0)}s`;
         
         // Update car count statistics (only show in adaptive mode)
         if (this.gameEngine.getCurrentMode() === 'adaptive') {
@@ -198,6 +811,71 @@ export class UIController {
         }
     }
 
+    updateComparisonStatistics() {
+        if (!this.gameEngine.isComparisonMode()) return;
+
+        const { fixed, adaptive, delta } = this.gameEngine.getComparisonStats();
+        const signed = (value, digits = 0) => (value > 0 ? '+' : '') + value.toFixed(digits);
+
+        this.elements.cmpFixedPassed.textContent = fixed.totalCarsPassed;
+        this.elements.cmpAdaptivePassed.textContent = adaptive.totalCarsPassed;
+        this.elements.cmpDeltaPassed.textContent = signed(delta.totalCarsPassed);
+        this.elements.cmpFixedWait.textContent = fixed.averageWaitTime.toFixed(1) + 's';
+        this.elements.cmpAdaptiveWait.textContent = adaptive.averageWaitTime.toFixed(1) + 's';
+        this.elements.cmpDeltaWait.textContent = signed(delta.averageWaitTime, 1) + 's';
+        this.elements.cmpFixedCars.textContent = fixed.currentCars;
+        this.elements.cmpAdaptiveCars.textContent = adaptive.currentCars;
+        this.elements.cmpDeltaCars.textContent = signed(delta.currentCars);
+        this.elements.cmpFixedPedDelay.textContent = fixed.averagePedestrianDelay.toFixed(1) + 's';
+        this.elements.cmpAdaptivePedDelay.textContent = adaptive.averagePedestrianDelay.toFixed(1) + 's';
+        this.elements.cmpDeltaPedDelay.textContent = signed(delta.averagePedestrianDelay, 1) + 's';
+        this.elements.cmpFixedBikeDelay.textContent = fixed.averageCyclistDelay.toFixed(1) + 's';
+        this.elements.cmpAdaptiveBikeDelay.textContent = adaptive.averageCyclistDelay.toFixed(1) + 's';
+        this.elements.cmpDeltaBikeDelay.textContent = signed(delta.averageCyclistDelay, 1) + 's';
+    }
+
+    updateTimeline() {
+        const recorder = this.gameEngine.getRecorder();
+        if (!recorder) return;
+
+        const now = this.gameEngine.getTime();
+        const end = recorder.getEndTime();
+        if (!this.isScrubbing) {
+            this.elements.timelineSlider.min = recorder.getStartTime() / 1000;
+            this.elements.timelineSlider.max = end / 1000;
+            this.elements.timelineSlider.value = now / 1000;
+        }
+        this.elements.timelineLabel.textContent = `${utils.formatTime(now)}s / ${utils.formatTime(end)}s`;
+
+        // Most recent events up to the current moment, newest first
+        const events = recorder.getEvents(now - 30000, now).slice(-12).reverse();
+        this.elements.eventLog.innerHTML = '';
+        events.forEach(event => {
+            const item = document.createElement('li');
+            item.className = `event-${event.type}`;
+            item.textContent = `${utils.formatTime(event.t)}s ${this.describeEvent(event)}`;
+            this.elements.eventLog.appendChild(item);
+        });
+    }
+
+    describeEvent(event) {
+        switch (event.type) {
+            case 'phase':
+                if (event.mode === CONFIG.MODES.ADAPTIVE) {
+                    return `[adaptive] ${event.pair} ${event.phase} by ${event.reason} (scores WE ${event.scores.WE.toFixed(1)} / NS ${event.scores.NS.toFixed(1)})`;
+                }
+                return `[fixed] phase ${event.phase}`;
+            case 'spawn':
+                return `[${event.mode}] car ${event.id} spawned ${event.direction} lane ${event.lane}`;
+            case 'state':
+                return `[${event.mode}] car ${event.id} ${event.from} → ${event.to}`;
+            case 'complete':
+                return `[${event.mode}] car ${event.id} completed, waited ${utils.formatTime(event.waitTime)}s`;
+            default:
+                return `[${event.mode}] ${event.type}`;
+        }
+    }
+
     updateLightStatus() {
         const lightStates = this.gameEngine.getLightStates();
         
@@ -232,34 +910,3 @@ export class UIController {
         }
     }
 }
-
-document.getElementById('greenDuration').min = 15;
-document.getElementById('greenDuration').max = 100;
-
-document.getElementById('redDuration').min = 15;
-document.getElementById('redDuration').max = 100;
-
-const greenSlider = document.getElementById('greenDuration');
-const greenValue = document.getElementById('greenDurationValue');
-greenSlider.addEventListener('input', () => {
-    greenValue.textContent = greenSlider.value;
-});
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
@@ -35,18 +35,38 @@ export const utils = {
         return Math.min(Math.max(value, min), max);
     },
 
-    // Random number generation
-    randomBetween(min, max) {
-        return Math.random() * (max - min) + min;
+    // Random number generation, always from the simulation's SeededRandom so runs are reproducible
+    randomBetween(min, max, random) {
+        return random.next() * (max - min) + min;
     },
 
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, random) {
+        return Math.floor(random.next() * (max - min + 1)) + min;
     },
 
     // Array utilities
-    randomFromArray(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    randomFromArray(array, random) {
+        return array[Math.floor(random.next() * array.length)];
+    },
+
+    // Exponentially distributed value with the given mean
+    randomExponential(mean, random) {
+        return -Math.log(1 - random.next()) * mean;
+    },
+
+    // Pick an item with probability proportional to its weight
+    randomWeighted(array, weights, random) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let threshold = random.next() * total;
+        let lastPositive = array.length - 1;
+        for (let i = 0; i < array.length; i++) {
+            if (weights[i] <= 0) continue;
+            threshold -= weights[i];
+            lastPositive = i;
+            if (threshold < 0) return array[i];
+        }
+        // Rounding can leave a sliver of threshold; never return a zero-weight item for it
+        return array[lastPositive];
     },
 
     // Timing utilities
@@ -90,5 +110,14 @@ export const utils = {
             x: ax * tCubed + bx * tSquared + cx * t + p0.x,
             y: ay * tCubed + by * tSquared + cy * t + p0.y
         };
+    },
+
+    // Bezier curve derivative (direction of travel) at t
+    getBezierTangent(t, p0, p1, p2, p3) {
+        const u = 1 - t;
+        return {
+            x: 3 * u * u * (p1.x - p0.x) + 6 * u * t * (p2.x - p1.x) + 3 * t * t * (p3.x - p2.x),
+            y: 3 * u * u * (p1.y - p0.y) + 6 * u * t * (p2.y - p1.y) + 3 * t * t * (p3.y - p2.y)
+        };
     }
 };
\ No newline at end of file